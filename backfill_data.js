@@ -1,76 +1,163 @@
 // backfill_data.js
-import fs from 'fs/promises';
+import fs from 'fs';
+import { parseArgs } from 'util';
 import DatabaseManager from './src/database/DatabaseManager.js';
 import logger from './src/utils/logger.js';
-import config from './src/config.js';
+import config, { args as commandLineArgs } from './src/config.js';
+import { getAssetConfig, getTimeframeMs, expandCandle, TIMEFRAMES } from './src/utils/helpers.js';
+import { FORMATS, detectFormat, readRecords, parseRecord } from './src/utils/priceImport.js';
 
 /**
- * A standalone script to read a JSON file of historical prices and
- * load them into the bot's database.
+ * Imports historical prices into the bot's database. Files are streamed and written
+ * in batched transactions, so their size does not matter.
  *
- * Usage: node backfill_data.js
+ * Records are price ticks ({ timestamp, price }) or OHLC candles ({ timestamp, open,
+ * high, low, close }), in a JSON array, NDJSON or CSV with a header row. Candles are
+ * expanded into the four ticks they imply, or stored in the `candles` table as they are.
+ *
+ * Usage:
+ *   node backfill_data.js                                        # historical_prices.json, first configured asset
+ *   node backfill_data.js --file prices.csv --asset ETH
+ *   node backfill_data.js --file candles.ndjson --interval 1m    # candles, expanded into ticks
+ *   node backfill_data.js --file candles.json --interval 5m --candles store
+ *   node backfill_data.js --file prices.json --from 2025-08-20 --to 2025-08-24 --dedupe replace
+ *   node backfill_data.js --file prices.csv --dry-run            # validate only, nothing is written
  */
-async function backfill() {
-    logger.info("--- Database Backfill Utility ---");
-    const inputFile = 'historical_prices.json';
+const { values: args, positionals } = parseArgs({
+    args: commandLineArgs,
+    allowPositionals: true,
+    options: {
+        file: { type: 'string', default: 'historical_prices.json' },
+        format: { type: 'string' }, // Defaults to the file extension
+        asset: { type: 'string' },
+        interval: { type: 'string' }, // Candle length, required for candle records
+        candles: { type: 'string', default: 'expand' }, // 'expand' or 'store'
+        from: { type: 'string' },
+        to: { type: 'string' },
+        dedupe: { type: 'string', default: 'skip' }, // 'skip' keeps stored rows, 'replace' overwrites them
+        'batch-size': { type: 'string', default: '5000' },
+        'dry-run': { type: 'boolean', default: false },
+    },
+});
 
-    try {
-        // 1. Read the historical data from the JSON file
-        logger.info(`Reading historical data from ${inputFile}...`);
-        const historicalData = JSON.parse(await fs.readFile(inputFile, 'utf8'));
+// Invalid rows logged one by one; the rest are only counted.
+const MAX_REPORTED_INVALID = 10;
+const PROGRESS_EVERY_ROWS = 100000;
 
-        if (!Array.isArray(historicalData) || historicalData.length === 0) {
-            logger.error("Input file is empty or not a valid JSON array. Aborting.");
-            return;
-        }
+function parseTime(value, name) {
+    if (value === undefined) return null;
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) throw new Error(`--${name} must be a date, got '${value}'.`);
+    return time;
+}
+
+function resolveOptions() {
+    // The asset used to be the only (positional) argument.
+    const assetConfig = getAssetConfig(config, args.asset ?? positionals[0]);
+    if (!assetConfig) throw new Error(`Asset '${args.asset ?? positionals[0]}' is not in config.trading.assets.`);
 
-        logger.success(`Loaded ${historicalData.length} price records from file.`);
+    const format = args.format ?? detectFormat(args.file);
+    if (!FORMATS.includes(format)) {
+        throw new Error(`--format must be one of ${FORMATS.join(', ')}${args.format ? `, got '${args.format}'` : ` (cannot tell from '${args.file}')`}.`);
+    }
+    if (args.interval !== undefined && !TIMEFRAMES[args.interval]) {
+        throw new Error(`--interval must be one of ${Object.keys(TIMEFRAMES).join(', ')}, got '${args.interval}'.`);
+    }
+    if (!['expand', 'store'].includes(args.candles)) throw new Error(`--candles must be 'expand' or 'store', got '${args.candles}'.`);
+    if (!['skip', 'replace'].includes(args.dedupe)) throw new Error(`--dedupe must be 'skip' or 'replace', got '${args.dedupe}'.`);
+    const batchSize = Number(args['batch-size']);
+    if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error(`--batch-size must be a positive integer, got '${args['batch-size']}'.`);
+
+    return {
+        asset: assetConfig.trading.asset,
+        format,
+        intervalMs: args.interval ? getTimeframeMs(args.interval) : null,
+        from: parseTime(args.from, 'from'),
+        to: parseTime(args.to, 'to'),
+        replace: args.dedupe === 'replace',
+        batchSize,
+        dryRun: args['dry-run'],
+    };
+}
 
-        // 2. Connect to the database
-        const db = new DatabaseManager(config.database.file);
+async function backfill() {
+    logger.info("--- Price Import Utility ---");
+    const options = resolveOptions();
+    const { asset, format, intervalMs, from, to, replace, batchSize, dryRun } = options;
+    if (!fs.existsSync(args.file)) throw new Error(`The file '${args.file}' was not found.`);
+
+    let db = null;
+    if (!dryRun) {
+        db = new DatabaseManager(config.database.file, config);
         await db.connect();
+    }
+    logger.info(`${dryRun ? 'Validating' : 'Importing'} ${asset} ${format.toUpperCase()} records from ${args.file}${dryRun ? ' (dry run, nothing is written)' : ` into ${config.database.file}`}...`);
 
-        // 3. Insert all records into the database
-        logger.info("Starting database insertion... This may take a moment for large files.");
-        
-        let insertedCount = 0;
-        // Using a transaction is much faster for bulk inserts
-        await db.db.run('BEGIN TRANSACTION;');
+    const counts = { rows: 0, ticks: 0, candles: 0, prepared: 0, written: 0, outOfRange: 0, invalid: 0 };
+    let ticks = [];
+    let candles = [];
+    const flush = async () => {
+        counts.prepared += ticks.length + candles.length;
+        if (!dryRun && ticks.length > 0) counts.written += await db.savePriceBatch(ticks, { replace });
+        if (!dryRun && candles.length > 0) counts.written += await db.saveCandleBatch(candles, { replace });
+        ticks = [];
+        candles = [];
+    };
+    const reportInvalid = (row, problem) => {
+        counts.invalid++;
+        if (counts.invalid <= MAX_REPORTED_INVALID) logger.warn(`Row ${row} ${problem}.`);
+        if (counts.invalid === MAX_REPORTED_INVALID + 1) logger.warn("Further invalid rows are only counted.");
+    };
 
-        for (const record of historicalData) {
-            if (record.timestamp && record.price) {
-                try {
-                    const result = await db.db.run(
-                        'INSERT OR IGNORE INTO prices (timestamp, price) VALUES (?, ?)',
-                        [record.timestamp, record.price]
-                    );
-                    if (result.changes > 0) {
-                        insertedCount++;
-                    }
-                } catch (e) {
-                    // Ignore constraint errors if a timestamp already exists, but log others
-                    if (!e.message.includes('UNIQUE constraint failed')) {
-                        logger.error(`Failed to insert record ${record.timestamp}: ${e.message}`);
-                    }
-                }
-            }
+    for await (const { row, record, error } of readRecords(args.file, format)) {
+        counts.rows++;
+        if (counts.rows % PROGRESS_EVERY_ROWS === 0) logger.info(`${counts.rows} rows read...`);
+        if (error) {
+            reportInvalid(row, error);
+            continue;
+        }
+        let parsed;
+        try {
+            parsed = parseRecord(record, intervalMs);
+        } catch (problem) {
+            reportInvalid(row, problem.message);
+            continue;
+        }
+        const time = new Date(parsed.timestamp).getTime();
+        if ((from !== null && time < from) || (to !== null && time > to)) {
+            counts.outOfRange++;
+            continue;
         }
-        
-        await db.db.run('COMMIT;');
-
-        logger.success("--- Backfill Complete! ---");
-        logger.info(`Total records in file: ${historicalData.length}`);
-        logger.info(`New records inserted:  ${insertedCount}`);
-        logger.info("The database is now populated with historical data.");
 
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            logger.error(`Error: The file '${inputFile}' was not found in the project directory.`);
+        if (parsed.kind === 'tick') {
+            counts.ticks++;
+            ticks.push({ asset, timestamp: parsed.timestamp, price: parsed.price, source: 'import' });
+        } else if (args.candles === 'store') {
+            counts.candles++;
+            const { timestamp, open, high, low, close } = parsed;
+            candles.push({ asset, timeframe: args.interval, timestamp, open, high, low, close, ticks: parsed.ticks, source: 'import' });
         } else {
-            logger.error(`An unexpected error occurred: ${error.message}`);
+            counts.candles++;
+            const expanded = expandCandle({ start: time, intervalMs, ...parsed });
+            ticks.push(...expanded.map(tick => ({ asset, ...tick, source: 'import' })));
         }
-        await db.db.run('ROLLBACK;'); // Rollback transaction on error
+        if (ticks.length + candles.length >= batchSize) await flush();
     }
+    await flush();
+
+    const candleNote = counts.candles === 0 ? '' : args.candles === 'store' ? ', stored as candles' : ', expanded into ticks';
+    const duplicates = replace || dryRun ? 0 : counts.prepared - counts.written;
+    logger.success(`--- ${dryRun ? 'Validation' : 'Import'} Complete! ---`);
+    logger.info(`Rows read:  ${counts.rows}`);
+    logger.info(`Valid:      ${counts.ticks + counts.candles} (${counts.ticks} ticks, ${counts.candles} candles${candleNote})`);
+    if (!dryRun) logger.info(`${replace ? 'Written: ' : 'Inserted:'}   ${counts.written} of ${counts.prepared} rows`);
+    logger.info(`Skipped:    ${dryRun ? '' : `${duplicates} already stored, `}${counts.outOfRange} outside the time range`);
+    logger.info(`Invalid:    ${counts.invalid}`);
+
+    if (db) await db.db.close();
 }
 
-backfill();
\ No newline at end of file
+backfill().catch(error => {
+    logger.error(`Import failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,110 @@
+// backtest.js
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import Backtester from './src/backtest/Backtester.js';
+import DatabaseManager from './src/database/DatabaseManager.js';
+import logger from './src/utils/logger.js';
+import config, { args as commandLineArgs } from './src/config.js';
+import { getAssetConfig } from './src/utils/helpers.js';
+
+/**
+ * Replays historical prices through the live strategy components and reports
+ * the resulting trades and equity curve.
+ *
+ * Usage:
+ *   node backtest.js                                 # replay the stored prices of the first configured asset
+ *   node backtest.js --asset ETH                     # replay another configured asset
+ *   node backtest.js --file historical_prices.json   # replay a backfill file
+ *   node backtest.js --from 2025-08-20 --to 2025-08-24 --balance 2000 --fee 0.00045 --slippage 0.0005
+ *   node backtest.js --profile sol-aggressive --risk.stopLossPercentage=0.3   # any config profile or override
+ */
+const { values: args } = parseArgs({
+    args: commandLineArgs,
+    options: {
+        asset: { type: 'string' },
+        file: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        balance: { type: 'string', default: '1000' },
+        fee: { type: 'string', default: '0.00045' },
+        slippage: { type: 'string', default: '0.0005' },
+        out: { type: 'string', default: 'backtest_results.json' },
+        verbose: { type: 'boolean', default: false },
+    },
+});
+
+async function* readJsonFile(file, from, to) {
+    const records = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!Array.isArray(records)) throw new Error(`${file} is not a JSON array.`);
+    records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    for (const record of records) {
+        if (from && record.timestamp < from) continue;
+        if (to && record.timestamp > to) continue;
+        yield record;
+    }
+}
+
+async function backtest() {
+    logger.info("--- Backtest Utility ---");
+    const assetConfig = getAssetConfig(config, args.asset);
+    if (!assetConfig) throw new Error(`Asset '${args.asset}' is not in config.trading.assets.`);
+    const asset = assetConfig.trading.asset;
+    let db = null;
+    let source;
+
+    if (args.file) {
+        logger.info(`Replaying ${asset} prices from ${args.file}...`);
+        source = readJsonFile(args.file, args.from, args.to);
+    } else {
+        db = new DatabaseManager(config.database.file, config);
+        await db.connect();
+        logger.info(`Replaying ${asset} prices from ${config.database.file}...`);
+        // Rolled-up history (see PriceRetention) is replayed from its candles.
+        source = db.streamPriceHistory({ asset, timeframe: assetConfig.ta.timeframe, from: args.from ?? null, to: args.to ?? null });
+    }
+
+    const backtester = new Backtester(assetConfig, {
+        startingBalance: parseFloat(args.balance),
+        feeRate: parseFloat(args.fee),
+        slippage: parseFloat(args.slippage),
+    });
+
+    logger.setQuiet(!args.verbose);
+    const result = await backtester.run(source);
+    logger.setQuiet(false);
+
+    if (db) await db.db.close();
+
+    await fs.writeFile(args.out, JSON.stringify(result, null, 2));
+
+    const { summary } = result;
+    logger.success("--- Backtest Complete! ---");
+    logger.info(`Ticks replayed:  ${summary.ticks}`);
+    if (summary.gapTicks > 0) logger.warn(`Price gaps:      entries held for ${summary.gapTicks} ticks while a gap was in the analysis window`);
+    if (summary.blockedEntries > 0) logger.warn(`Circuit breaker: ${summary.blockedEntries} entry signal(s) skipped while a guard was tripped`);
+    logger.info(`Trades:          ${summary.trades} (${summary.wins} wins / ${summary.losses} losses, ${(summary.winRate * 100).toFixed(1)}% win rate)`);
+    logger.info(`Net PnL:         $${summary.netPnl.toFixed(2)} (fees $${summary.fees.toFixed(2)})`);
+    logger.info(`Final equity:    $${summary.finalEquity.toFixed(2)} (${(summary.returnPct * 100).toFixed(2)}%)`);
+    logger.info(`Max drawdown:    ${(summary.maxDrawdownPct * 100).toFixed(2)}%`);
+
+    if (result.trades.length > 0) {
+        console.log('');
+        console.table(result.trades.map(t => ({
+            entry: t.entryTime,
+            exit: t.exitTime,
+            entryPx: t.entryPx.toFixed(4),
+            exitPx: t.exitPx.toFixed(4),
+            size: t.size.toFixed(4),
+            reason: t.reason,
+            tiers: t.scaleOuts.length,
+            pnl: t.pnl.toFixed(2),
+        })));
+    }
+    logger.info(`Trade list and equity curve written to ${args.out}`);
+}
+
+backtest().catch(error => {
+    logger.setQuiet(false);
+    logger.error(`Backtest failed: ${error.message}`);
+    process.exit(1);
+});
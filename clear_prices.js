@@ -12,7 +12,7 @@ import config from './src/config.js';
 async function clearPrices() {
     logger.info("--- Price Data Clearing Utility ---");
 
-    const db = new DatabaseManager(config.database.file);
+    const db = new DatabaseManager(config.database.file, config);
     await db.connect();
 
     logger.warn("This will delete ALL entries from the 'prices' table.");
@@ -0,0 +1,68 @@
+// migrate_db.js
+import { parseArgs } from 'util';
+import DatabaseManager from './src/database/DatabaseManager.js';
+import logger from './src/utils/logger.js';
+import config, { args as commandLineArgs } from './src/config.js';
+
+/**
+ * Shows the database's schema version and applies pending migrations. The bot also
+ * migrates on startup; this is for checking first, or stopping at a given version.
+ *
+ * Usage:
+ *   node migrate_db.js                  # status: applied and pending migrations
+ *   node migrate_db.js up               # apply all pending migrations (backs the file up first)
+ *   node migrate_db.js up --to 5        # stop after migration 5
+ *   node migrate_db.js up --no-backup
+ *   node migrate_db.js --database.file=trading_bot.testnet.db
+ */
+const { values: args, positionals } = parseArgs({
+    args: commandLineArgs,
+    allowPositionals: true,
+    options: {
+        to: { type: 'string' },
+        'no-backup': { type: 'boolean', default: false },
+    },
+});
+
+const COMMANDS = ['status', 'up'];
+
+async function showStatus(db) {
+    const { current, latest, applied, pending } = await db.getSchemaStatus();
+    logger.info(`Database:       ${config.database.file}`);
+    logger.info(`Schema version: ${current} of ${latest}${current === 0 && applied.length === 0 ? ' (not versioned yet)' : ''}`);
+    for (const { version, name, applied_at } of applied) {
+        logger.info(`  ${String(version).padStart(3)}  ${name.padEnd(24)} applied ${applied_at}`);
+    }
+    for (const { version, name } of pending) {
+        logger.warn(`  ${String(version).padStart(3)}  ${name.padEnd(24)} pending`);
+    }
+    if (current > latest) logger.error(`The database is newer than this version of the bot (${latest}). Update the bot.`);
+    else if (pending.length === 0) logger.success("The schema is up to date.");
+    else logger.info("Run 'node migrate_db.js up' to apply the pending migrations.");
+}
+
+async function run() {
+    const command = positionals[0] ?? 'status';
+    if (!COMMANDS.includes(command)) throw new Error(`The command must be one of ${COMMANDS.join(', ')}, got '${command}'.`);
+    const to = args.to === undefined ? undefined : Number(args.to);
+    if (to !== undefined && !Number.isInteger(to)) throw new Error(`--to must be a migration version, got '${args.to}'.`);
+
+    logger.info("--- Database Migrations ---");
+    const db = new DatabaseManager(config.database.file, config);
+    await db.connect({ migrate: false });
+    try {
+        if (command === 'up') {
+            const { applied, backupFile } = await db.migrate({ to, backup: !args['no-backup'] });
+            if (applied.length === 0) logger.info("Nothing to apply.");
+            else logger.success(`Applied ${applied.length} migration(s)${backupFile ? `. Backup: ${backupFile}` : ''}`);
+        }
+        await showStatus(db);
+    } finally {
+        await db.db.close();
+    }
+}
+
+run().catch(error => {
+    logger.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+});
@@ -4,6 +4,7 @@ import { open } from 'sqlite';
 import chalk from 'chalk';
 import fs from 'fs/promises';
 import config from './src/config.js';
+import { getAssetConfig } from './src/utils/helpers.js';
 
 class Monitor {
     constructor() {
@@ -22,38 +23,55 @@ class Monitor {
 
     async display() {
         console.clear();
-        console.log(chalk.cyan.bold('--- Hyperliquid Bot Live Monitor ---'));
+        const modeLabel = config.trading.executionMode === 'paper' ? chalk.magenta.bold(' [PAPER TRADING]') : '';
+        console.log(chalk.cyan.bold('--- Hyperliquid Bot Live Monitor ---') + modeLabel);
 
         try {
             console.log(chalk.yellow.bold('\n🛡️ Live Position & Risk Management'));
             try {
-                const riskData = JSON.parse(await fs.readFile(this.riskFile, 'utf8'));
+                // live_risk.json holds one entry per asset with an open position.
+                const riskByAsset = JSON.parse(await fs.readFile(this.riskFile, 'utf8'));
                 const formatNum = (num, dec = 4) => num ? chalk.bold(num.toFixed(dec)) : chalk.gray('N/A');
-                
-                console.log(`   Asset:         ${chalk.bold(riskData.asset)}`);
-                console.log(`   Entry Price:   $${formatNum(riskData.entryPrice, 2)}`);
-                console.log(`   Current Price: $${formatNum(riskData.currentPrice, 2)}`);
-                console.log(`   Live ROE:      ${riskData.roe.includes('-') ? chalk.red.bold(riskData.roe) : chalk.green.bold(riskData.roe)}`);
-                console.log(chalk.gray('   ----------------------------------'));
 
-                // --- FINAL FIX: Calculate leveraged SL/TP prices for display ---
-                const leverage = config.trading.leverage;
-                const leveragedSLPct = config.risk.stopLossPercentage / leverage;
-                const leveragedTPPct = config.risk.takeProfitPercentage / leverage;
-                const stopLossPrice = riskData.entryPrice * (1 - leveragedSLPct);
-                const takeProfitPrice = riskData.entryPrice * (1 + leveragedTPPct);
+                Object.values(riskByAsset).forEach((riskData, index) => {
+                    if (index > 0) console.log('');
+                    console.log(`   Asset:         ${chalk.bold(riskData.asset)} ${riskData.direction === 'SHORT' ? chalk.red.bold('SHORT') : chalk.green.bold('LONG')}`);
+                    console.log(`   Entry Price:   $${formatNum(riskData.entryPrice, 2)}`);
+                    console.log(`   Current Price: $${formatNum(riskData.currentPrice, 2)}`);
+                    console.log(`   Live ROE:      ${riskData.roe.includes('-') ? chalk.red.bold(riskData.roe) : chalk.green.bold(riskData.roe)}`);
+                    console.log(chalk.gray('   ----------------------------------'));
 
+                    // --- FINAL FIX: Calculate leveraged SL/TP prices for display ---
+                    const leverage = riskData.leverage || config.trading.leverage;
+                    const leveragedSLPct = config.risk.stopLossPercentage / leverage;
+                    const leveragedTPPct = config.risk.takeProfitPercentage / leverage;
+                    const side = riskData.direction === 'SHORT' ? -1 : 1;
+                    const stopLossPrice = riskData.entryPrice * (1 - side * leveragedSLPct);
+                    const takeProfitPrice = riskData.entryPrice * (1 + side * leveragedTPPct);
 
-                if (riskData.fibStopActive) {
-                    console.log(`   Stop Type:     ${chalk.magenta.bold('Fib Trail Stop (Price-Based)')}`);
-                    console.log(`   Stop Price:    $${formatNum(riskData.stopPrice, 2)}`);
-                } else {
-                    console.log(`   Stop Type:     ${chalk.cyan('Fixed Stop-Loss (ROE-Based)')}`);
-                    console.log(`   Actual SL Price: $${formatNum(stopLossPrice, 2)} ${chalk.gray(`(for ${leverage}x leverage)`)}`);
-                }
-                console.log(`   Actual TP Price: $${formatNum(takeProfitPrice, 2)} ${chalk.gray(`(for ${leverage}x leverage)`)}`);
-                console.log(`   Trigger ROE:   ${chalk.red.bold('< ' + (config.risk.stopLossPercentage * -100) + '%')} or ${chalk.green.bold('> ' + (config.risk.takeProfitPercentage * 100) + '%')}`);
 
+                    if (riskData.fibStopActive) {
+                        console.log(`   Stop Type:     ${chalk.magenta.bold('Fib Trail Stop (Price-Based)')}`);
+                        console.log(`   Stop Price:    $${formatNum(riskData.stopPrice, 2)}`);
+                    } else if (riskData.breakEven) {
+                        console.log(`   Stop Type:     ${chalk.cyan('Break-Even Stop')}`);
+                        console.log(`   Stop Price:    $${formatNum(riskData.initialStopPrice, 2)}`);
+                    } else if (riskData.initialStopPrice != null) {
+                        console.log(`   Stop Type:     ${chalk.cyan('Initial Stop-Loss (ATR-Based)')}`);
+                        console.log(`   Stop Price:    $${formatNum(riskData.initialStopPrice, 2)}`);
+                    } else {
+                        console.log(`   Stop Type:     ${chalk.cyan('Fixed Stop-Loss (ROE-Based)')}`);
+                        console.log(`   Actual SL Price: $${formatNum(stopLossPrice, 2)} ${chalk.gray(`(for ${leverage}x leverage)`)}`);
+                    }
+                    console.log(`   Actual TP Price: $${formatNum(takeProfitPrice, 2)} ${chalk.gray(`(for ${leverage}x leverage)`)}`);
+                    const ladder = config.risk.takeProfitLadder || [];
+                    if (ladder.length > 0 && riskData.riskDistance != null) {
+                        const next = ladder[riskData.tiersFilled ?? 0];
+                        const nextText = next ? `next +${next.r}R @ $${formatNum(riskData.entryPrice + side * next.r * riskData.riskDistance, 2)}` : 'all filled';
+                        console.log(`   TP Tiers:      ${riskData.tiersFilled ?? 0}/${ladder.length} filled, ${nextText}`);
+                    }
+                    console.log(`   Trigger ROE:   ${chalk.red.bold('< ' + (config.risk.stopLossPercentage * -100) + '%')} or ${chalk.green.bold('> ' + (config.risk.takeProfitPercentage * 100) + '%')}`);
+                });
 
             } catch (err) {
                 if (err.code === 'ENOENT') {
@@ -66,11 +84,27 @@ class Monitor {
             // ... (The rest of the file remains the same) ...
             console.log(chalk.yellow.bold('\n🔬 Live Technical Analysis'));
             try {
-                const analysisData = JSON.parse(await fs.readFile(this.analysisFile, 'utf8'));
+                // live_analysis.json holds the latest analysis for every traded asset.
+                const analysisByAsset = JSON.parse(await fs.readFile(this.analysisFile, 'utf8'));
                 const formatNum = (num, dec = 4) => num ? chalk.bold(num.toFixed(dec)) : chalk.gray('N/A');
-                console.log(`   Latest Price:  $${formatNum(analysisData.latest_price, 2)}`);
-                console.log(`   Fib Entry Lvl: $${formatNum(analysisData.fib_entry, 2)}`);
-                console.log(`   WMA Fib 0 Lvl: $${formatNum(analysisData.wma_fib_0, 2)}`);
+                for (const [asset, analysisData] of Object.entries(analysisByAsset)) {
+                    const assetConfig = getAssetConfig(config, asset) || config;
+                    console.log(`   ${chalk.bold(asset)} ${chalk.gray(`(${analysisData.timeframe})`)}`);
+                    console.log(`   Latest Price:  $${formatNum(analysisData.latest_price, 2)}`);
+                    console.log(`   Fib Entry Lvl: $${formatNum(analysisData.fib_entry, 2)}`);
+                    console.log(`   WMA Fib 0 Lvl: $${formatNum(analysisData.wma_fib_0, 2)}`);
+                    if (assetConfig.trading.direction !== 'long') {
+                        console.log(`   WMA Fib 100:   $${formatNum(analysisData.wma_fib_100, 2)}`);
+                        console.log(`   Short Entry:   $${formatNum(analysisData.fib_short_entry, 2)}`);
+                    }
+                    for (const [timeframe, higher] of Object.entries(analysisData.timeframes || {})) {
+                        if (!higher) {
+                            console.log(`   ${timeframe.padEnd(4)} Fib 0/50/100: ${chalk.gray('warming up...')}`);
+                            continue;
+                        }
+                        console.log(`   ${timeframe.padEnd(4)} Fib 0/50/100: $${formatNum(higher.wma_fib_0, 2)} / $${formatNum(higher.wma_fib_50, 2)} / $${formatNum(higher.wma_fib_100, 2)}`);
+                    }
+                }
             } catch (err) {
                  console.log(chalk.gray('   Waiting for analysis data...'));
             }
@@ -0,0 +1,93 @@
+// pnl_report.js
+import { parseArgs } from 'util';
+import { DateTime } from 'luxon';
+import DatabaseManager from './src/database/DatabaseManager.js';
+import logger from './src/utils/logger.js';
+import config, { args as commandLineArgs } from './src/config.js';
+
+/**
+ * Summarizes the closed-trade ledger: results per day, per week and all-time.
+ *
+ * Usage:
+ *   node pnl_report.js                      # trades of the configured execution mode, all assets
+ *   node pnl_report.js --asset SOL          # a single asset
+ *   node pnl_report.js --mode paper         # paper trades instead of live ones
+ *   node pnl_report.js --days 14 --weeks 12 # longer daily / weekly breakdowns
+ *   node pnl_report.js --profile paper      # any config override
+ */
+const { values: args } = parseArgs({
+    args: commandLineArgs,
+    options: {
+        asset: { type: 'string' },
+        mode: { type: 'string', default: config.trading.executionMode },
+        days: { type: 'string', default: '7' },
+        weeks: { type: 'string', default: '8' },
+    },
+});
+
+function summarize(trades) {
+    const netOf = (t) => (t.realized_pnl ?? 0) - t.fees;
+    const wins = trades.filter(t => netOf(t) > 0).length;
+    return {
+        trades: trades.length,
+        wins,
+        losses: trades.length - wins,
+        winRate: trades.length > 0 ? `${((wins / trades.length) * 100).toFixed(1)}%` : '-',
+        grossPnl: trades.reduce((sum, t) => sum + (t.realized_pnl ?? 0), 0).toFixed(2),
+        fees: trades.reduce((sum, t) => sum + t.fees, 0).toFixed(2),
+        netPnl: trades.reduce((sum, t) => sum + netOf(t), 0).toFixed(2),
+    };
+}
+
+function groupBy(trades, keyOf, keys) {
+    return keys.map(key => ({ period: key, ...summarize(trades.filter(t => keyOf(t) === key)) }));
+}
+
+async function report() {
+    if (args.mode !== 'live' && args.mode !== 'paper') throw new Error(`--mode must be 'live' or 'paper', got '${args.mode}'.`);
+    const dayCount = Number(args.days);
+    const weekCount = Number(args.weeks);
+    if (!Number.isInteger(dayCount) || dayCount < 1) throw new Error(`--days must be a positive whole number, got '${args.days}'.`);
+    if (!Number.isInteger(weekCount) || weekCount < 1) throw new Error(`--weeks must be a positive whole number, got '${args.weeks}'.`);
+
+    const db = new DatabaseManager(config.database.file, config);
+    await db.connect();
+    const trades = await db.getClosedTrades({ asset: args.asset ?? null, simulated: args.mode === 'paper' });
+    await db.db.close();
+
+    const scope = `${args.mode.toUpperCase()} trades${args.asset ? ` for ${args.asset}` : ''}`;
+    if (trades.length === 0) {
+        logger.info(`No closed ${scope} in the ledger yet.`);
+        return;
+    }
+
+    const now = DateTime.utc();
+    const exitOf = (t) => DateTime.fromISO(t.exit_time, { zone: 'utc' });
+
+    const days = Array.from({ length: dayCount }, (_, i) => now.minus({ days: i }).toISODate()).reverse();
+    console.log(`\n--- Daily results, ${scope} (UTC) ---`);
+    console.table(groupBy(trades, t => exitOf(t).toISODate(), days));
+
+    const weeks = Array.from({ length: weekCount }, (_, i) => now.minus({ weeks: i }).toISOWeekDate().slice(0, 8)).reverse();
+    console.log(`\n--- Weekly results, ${scope} (ISO weeks) ---`);
+    console.table(groupBy(trades, t => exitOf(t).toISOWeekDate().slice(0, 8), weeks));
+
+    const allTime = summarize(trades);
+    const netOf = (t) => (t.realized_pnl ?? 0) - t.fees;
+    const best = trades.reduce((a, b) => (netOf(b) > netOf(a) ? b : a));
+    const worst = trades.reduce((a, b) => (netOf(b) < netOf(a) ? b : a));
+    console.log(`\n--- All-time, ${scope} ---`);
+    logger.info(`Trades:      ${allTime.trades} (${allTime.wins} wins / ${allTime.losses} losses, ${allTime.winRate} win rate)`);
+    logger.info(`Gross PnL:   $${allTime.grossPnl} (fees $${allTime.fees})`);
+    logger.info(`Net PnL:     $${allTime.netPnl}`);
+    logger.info(`Best trade:  $${netOf(best).toFixed(2)} (${best.asset} ${best.direction}, ${best.exit_reason}, ${best.exit_time})`);
+    logger.info(`Worst trade: $${netOf(worst).toFixed(2)} (${worst.asset} ${worst.direction}, ${worst.exit_reason}, ${worst.exit_time})`);
+
+    const unreconciled = trades.filter(t => !t.simulated && !t.reconciled).length;
+    if (unreconciled > 0) logger.warn(`${unreconciled} live trade(s) could not be matched with exchange fills; their figures are estimates.`);
+}
+
+report().catch(error => {
+    logger.error(`PnL report failed: ${error.message}`);
+    process.exit(1);
+});
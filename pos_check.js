@@ -3,6 +3,8 @@ import * as hl from "@nktkas/hyperliquid";
 import { ethers } from "ethers";
 import 'dotenv/config';
 import logger from './src/utils/logger.js';
+import config from './src/config.js';
+import { createTransport, getNetwork } from './src/utils/network.js';
 import chalk from 'chalk';
 
 async function queryForUser(userAddress, infoClient, addressLabel) {
@@ -59,7 +61,9 @@ async function checkPositions() {
     const apiAddress = process.env.HYPERLIQUID_API_WALLET_ADDRESS;
 
     // Setup connection
-    const transport = new hl.HttpTransport({ isTestnet: false });
+    const network = getNetwork(config);
+    console.log(chalk.gray(`Network: ${network.name} (${network.apiUrl})`));
+    const transport = createTransport(config);
     const infoClient = new hl.InfoClient({ transport });
 
     // Test Main Wallet Address
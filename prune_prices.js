@@ -0,0 +1,64 @@
+// prune_prices.js
+import { parseArgs } from 'util';
+import DatabaseManager from './src/database/DatabaseManager.js';
+import PriceRetention from './src/components/PriceRetention.js';
+import logger from './src/utils/logger.js';
+import config, { args as commandLineArgs } from './src/config.js';
+import { getAssetConfig } from './src/utils/helpers.js';
+
+/**
+ * Rolls raw ticks older than `database.retention.keepDays` up into candles and deletes
+ * them, like the bot's scheduled maintenance job. Runs whether or not
+ * `database.retention.enabled` is set.
+ *
+ * Usage:
+ *   node prune_prices.js                                        # every configured asset
+ *   node prune_prices.js --asset SOL
+ *   node prune_prices.js --dry-run                              # only count what would be rolled up
+ *   node prune_prices.js --database.retention.keepDays=7        # any config override
+ */
+const { values: args } = parseArgs({
+    args: commandLineArgs,
+    options: {
+        asset: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+    },
+});
+
+async function prune() {
+    logger.info("--- Price Retention Utility ---");
+    if (args.asset && !getAssetConfig(config, args.asset)) throw new Error(`Asset '${args.asset}' is not in config.trading.assets.`);
+
+    const db = new DatabaseManager(config.database.file, config);
+    await db.connect();
+    const retention = new PriceRetention(config, db);
+    const assets = args.asset ? [args.asset] : retention.assets;
+    const before = retention.cutoff();
+    const { timeframes } = config.database.retention;
+
+    try {
+        if (args['dry-run']) {
+            for (const asset of assets) {
+                const { count } = await db.db.get('SELECT COUNT(*) AS count FROM prices WHERE asset = ? AND timestamp < ?', [asset, before]);
+                logger.info(`${asset}: ${count} ticks before ${before} would be rolled into ${timeframes.join(', ')} candles and deleted.`);
+            }
+            return;
+        }
+
+        logger.info(`Rolling up ticks before ${before} into ${timeframes.join(', ')} candles...`);
+        const results = await retention.run({ assets });
+        if (results.length < assets.length) throw new Error("Some assets could not be rolled up; see the errors above.");
+        for (const { asset, ticks, candles, pruned } of results) {
+            const summary = Object.entries(candles).map(([timeframe, count]) => `${count} ${timeframe}`).join(', ');
+            logger.info(`${asset}: ${ticks} ticks rolled up (${summary} candles), ${pruned} deleted.`);
+        }
+        logger.success("--- Retention Complete! ---");
+    } finally {
+        await db.db.close();
+    }
+}
+
+prune().catch(error => {
+    logger.error(`Retention failed: ${error.message}`);
+    process.exit(1);
+});
@@ -1,128 +1,360 @@
-import config from './config.js';
+import config, { args, describeConfig } from './config.js';
 import DatabaseManager from './database/DatabaseManager.js';
 import StateManager from './components/StateManager.js';
 import Notifier from './components/Notifier.js';
 import DataCollector from './components/DataCollector.js';
 import TechnicalAnalyzer from './components/TechnicalAnalyzer.js';
 import TradeExecutor from './components/TradeExecutor.js';
+import PaperTradeExecutor from './components/PaperTradeExecutor.js';
 import RiskManager from './components/RiskManager.js';
 import SignalGenerator from './components/SignalGenerator.js';
+import PositionSizer from './components/PositionSizer.js';
+import CircuitBreaker from './components/CircuitBreaker.js';
+import ControlServer from './components/ControlServer.js';
+import GapFiller from './components/GapFiller.js';
+import PriceRetention from './components/PriceRetention.js';
 import logger from './utils/logger.js';
+import { getAssetConfigs } from './utils/helpers.js';
+import { getNetwork } from './utils/network.js';
 import fs from 'fs/promises';
 
 const POSITION_FILE = 'position.json';
+const ANALYSIS_FILE = 'live_analysis.json';
+const RISK_FILE = 'live_risk.json';
 
 class TradingBot {
     constructor() {
         this.config = config;
+        logger.configure(this.config.logging);
 // This is the correct line
         this.db = new DatabaseManager(this.config.database.file, this.config);        
         this.collector = new DataCollector(this.config);
-        this.tradeExecutor = new TradeExecutor(this.config, this.db, this.collector);
-        this.state = new StateManager(this.db, this.tradeExecutor);
-        this.notifier = new Notifier(this.config.discord);
-        this.analyzer = new TechnicalAnalyzer(this.config);
-        this.riskManager = new RiskManager(this.config, this.db);
-        this.signalGenerator = new SignalGenerator(this.config, this.db, this.state, this.notifier);
-        this.latestAnalysis = null;
-        this.lastTradeTime = null;
+        this.gapFiller = new GapFiller(this.config, this.db, this.collector.infoClient);
+        this.retention = new PriceRetention(this.config, this.db);
+        this.network = getNetwork(this.config);
+        this.isPaper = this.config.trading.executionMode === 'paper';
+        this.tradeExecutor = this.isPaper
+            ? new PaperTradeExecutor(this.config, this.db, this.collector)
+            : new TradeExecutor(this.config, this.db, this.collector);
+        this.notifier = new Notifier(this.config.notifications, this.db);
+        // Paper fills never reach the exchange, so there is nothing to protect there.
+        this.usesExchangeOrders = !this.isPaper && Boolean(this.config.risk.exchangeOrders);
+        this.circuitBreaker = new CircuitBreaker(this.config, this.db);
+
+        // Every asset gets its own analyzer, trigger state, risk state and cooldown,
+        // built from that asset's resolved config (shared defaults + overrides).
+        this.markets = new Map();
+        for (const assetConfig of getAssetConfigs(this.config)) {
+            const asset = assetConfig.trading.asset;
+            const state = new StateManager(this.db, this.tradeExecutor, asset);
+            this.markets.set(asset, {
+                asset,
+                config: assetConfig,
+                state,
+                analyzer: new TechnicalAnalyzer(assetConfig),
+                riskManager: new RiskManager(assetConfig, this.db),
+                sizer: new PositionSizer(assetConfig),
+                signalGenerator: new SignalGenerator(assetConfig, this.db, state, this.notifier),
+                latestAnalysis: null,
+                lastTickAt: null, // Timestamp of the last tick analyzed, for gap detection
+                gapFill: null, // The running backfill of a gap, which newer ticks wait for
+                lastTradeTime: null,
+                entriesPaused: false,
+                entryInProgress: false,
+                exitInProgress: null, // The running close, scale-out or risk check, which other exits skip or wait for
+            });
+        }
+
+        // Snapshots written to the live_*.json files for the monitor, keyed by asset.
+        this.liveAnalysis = {};
+        this.liveRisk = {};
+        this.livePositions = {};
+        this.managingPositions = false; // Set while a managePositions() run is in flight
+
+        this.controlServer = new ControlServer(this.config.control, this, this.db);
     }
 
     async start() {
         logger.info("========================================");
         logger.info("      STARTING HYPERLIQUID NODE BOT      ");
         logger.info("========================================");
+        logger.info(`Network: ${this.network.name} (${this.network.apiUrl})`);
+        logger.info(`Execution mode: ${this.isPaper ? 'PAPER (simulated fills)' : 'LIVE'}`);
+        logger.info(`Trading assets: ${[...this.markets.keys()].join(', ')}`);
+        if (args.length > 0) logger.warn(`Ignoring unrecognized command line arguments: ${args.join(' ')}`);
         try {
             await this.db.connect();
-            await this.state.loadInitialState();
+            await this.logEffectiveConfig();
+            await this.notifier.start();
+            await this.circuitBreaker.restore();
+            for (const market of this.markets.values()) {
+                await market.signalGenerator.init();
+                const controlState = await this.db.loadState(market.asset, 'control');
+                market.entriesPaused = Boolean(controlState?.entriesPaused);
+                if (market.entriesPaused) logger.warn(`New entries for ${market.asset} are PAUSED (restored from the last run).`);
+                const livePosition = await market.state.loadInitialState();
+                if (livePosition) this.livePositions[market.asset] = livePosition;
+                await market.riskManager.restoreState(market.asset, livePosition);
+                await this.syncTradeLedger(market, livePosition);
+                if (this.usesExchangeOrders) {
+                    const stop = await this.tradeExecutor.reconcileProtectiveOrders(market.asset, livePosition, market.riskManager.getStopPrice(market.asset));
+                    if (livePosition && stop) await market.riskManager.adoptExchangeStop(market.asset, livePosition, Number(stop.triggerPx));
+                }
+                await this.gapFiller.fillRecent(market.asset);
+                await this.warmUpAnalyzer(market);
+            }
+            await this.writeLiveFile(POSITION_FILE, this.livePositions);
+            await this.writeLiveFile(RISK_FILE, this.liveRisk);
             this.collector.on('newData', (priceData) => this.processNewData(priceData));
             this.collector.start();
             setInterval(() => this.managePositions(), 15 * 1000);
-            await this.notifier.send("Bot Started", "The trading bot is now running.", "info");
+            this.retention.start();
+            await this.controlServer.start();
+            await this.notifier.send("Bot Started", `The trading bot is now running in ${this.isPaper ? 'PAPER' : 'LIVE'} mode on ${this.network.name} for ${[...this.markets.keys()].join(', ')}.`, "info");
         } catch (error) {
             logger.error(`FATAL: Bot failed to start: ${error.message}`);
             process.exit(1);
         }
     }
 
+    /**
+     * Lines the trade ledger up with the exchange at startup: a trade still open in the
+     * ledger whose position is gone was closed while the bot was down, and a position
+     * with no open trade (opened by hand, or before the ledger existed) is adopted.
+     */
+    async syncTradeLedger(market, livePosition) {
+        const openTrade = await this.db.getOpenTrade(market.asset);
+        if (openTrade && !livePosition) {
+            await this.tradeExecutor.recordExternalClose(market.asset);
+        } else if (!openTrade && livePosition) {
+            await this.db.openTrade({
+                asset: market.asset,
+                direction: Number(livePosition.szi) < 0 ? 'SHORT' : 'LONG',
+                entryPx: Number(livePosition.entryPx),
+                size: Math.abs(Number(livePosition.szi)),
+                simulated: Boolean(this.tradeExecutor.isSimulated),
+            });
+            logger.info(`Added the existing ${market.asset} position to the trade ledger.`);
+        }
+    }
+
+    /**
+     * Primes an asset's analyzer from the most recent stored prices. Only a bounded
+     * slice of history is read; it grows until it covers enough candles on every
+     * analyzed timeframe (or the history runs out), since the tick density per candle is not fixed.
+     * Where the ticks have been rolled up (see PriceRetention), their candles are read instead.
+     */
+    async warmUpAnalyzer(market) {
+        const { analyzer, asset } = market;
+        let limit = (analyzer.warmUpCandles() + 1) * 10;
+        while (true) {
+            const recentData = await this.db.getRecentPriceData(asset, limit, { timeframe: analyzer.timeframe });
+            market.latestAnalysis = analyzer.warmUp(recentData);
+            market.lastTickAt = recentData.length > 0 ? recentData[recentData.length - 1].timestamp : null;
+            if (analyzer.isWarm() || recentData.length < limit) break;
+            limit *= 2;
+        }
+    }
+
+    /**
+     * Backfills the gap, if any, between an asset's last tick and a new one, and feeds
+     * the backfilled ticks to the analyzer before the new tick. Ticks arriving while a
+     * gap is being filled wait for it, so the analyzer still sees them in order.
+     */
+    async fillPriceGap(market, timestamp) {
+        const previous = market.lastTickAt;
+        market.lastTickAt = timestamp;
+        if (previous && this.gapFiller.enabled && this.gapFiller.isGap(market.asset, previous, timestamp)) {
+            market.gapFill = Promise.resolve(market.gapFill)
+                .then(() => this.gapFiller.fillGap(market.asset, previous, timestamp))
+                .then(ticks => ticks.forEach(tick => market.analyzer.update(tick, { writeDebug: false })))
+                .catch(error => logger.error(`Error backfilling ${market.asset} prices: ${error.message}`));
+        }
+        if (market.gapFill) await market.gapFill;
+    }
+
+    /**
+     * Writes a per-asset snapshot map to disk, or removes the file when the map is empty.
+     */
+    async writeLiveFile(fileName, data) {
+        if (Object.keys(data).length === 0) {
+            await fs.unlink(fileName).catch(e => { if (e.code !== 'ENOENT') logger.error(e); });
+            return;
+        }
+        await fs.writeFile(fileName, JSON.stringify(data, null, 2));
+    }
+
     async processNewData(priceData) {
+        const market = this.markets.get(priceData.asset);
+        if (!market) return;
+        const { asset } = market;
+
         try {
+            await this.fillPriceGap(market, priceData.timestamp);
             await this.db.savePriceData(priceData);
-            const historicalData = await this.db.getHistoricalPriceData();
-            this.latestAnalysis = this.analyzer.calculate(historicalData);
-            if (this.latestAnalysis) {
-                await fs.writeFile('live_analysis.json', JSON.stringify(this.latestAnalysis, null, 2));
-            }
-            if (!this.latestAnalysis) return;
-
-            let signal = this.signalGenerator.generate(this.latestAnalysis);
-            await this.db.logEvent('BOT_TICK_ANALYSIS', { analysis: this.latestAnalysis, signal: signal });
-
-            try {
-                const overrideData = JSON.parse(await fs.readFile('manual_override.json', 'utf8'));
-                if (overrideData.signal === 'buy') {
-                    logger.warn("MANUAL OVERRIDE DETECTED! Forcing a 'buy' signal.");
-                    signal = { type: 'buy' };
-                    await this.notifier.send("Manual Override Triggered!", "Forcing a buy signal for testing.", "warning");
-                    await fs.unlink('manual_override.json');
-                }
-            } catch (error) {
-                if (error.code !== 'ENOENT') {
-                    logger.error(`Error reading override file: ${error.message}`);
+            market.latestAnalysis = market.analyzer.update(priceData);
+            if (!market.latestAnalysis) return;
+
+            this.liveAnalysis[asset] = market.latestAnalysis;
+            await this.writeLiveFile(ANALYSIS_FILE, this.liveAnalysis);
+
+            const signal = market.signalGenerator.generate(market.latestAnalysis);
+            await this.db.logEvent('BOT_TICK_ANALYSIS', { asset, analysis: market.latestAnalysis, signal: signal });
+
+            if ((signal.type === 'buy' || signal.type === 'sell') && !market.state.isInPosition()) {
+                if (market.entriesPaused) {
+                    logger.warn(`Entries are paused for ${asset}. Skipping '${signal.type}' signal.`);
+                    return;
                 }
-            }
-            
-            if (signal.type === 'buy' && !this.state.isInPosition()) {
                 const now = new Date();
-                if (this.lastTradeTime) {
-                    const cooldownMs = this.config.trading.cooldownMinutes * 60 * 1000;
-                    const timeSinceLastTrade = now - this.lastTradeTime;
+                if (market.lastTradeTime) {
+                    const cooldownMs = market.config.trading.cooldownMinutes * 60 * 1000;
+                    const timeSinceLastTrade = now - market.lastTradeTime;
                     if (timeSinceLastTrade < cooldownMs) {
-                        logger.warn(`Cooldown active. Skipping signal. Time left: ${((cooldownMs - timeSinceLastTrade) / 60000).toFixed(2)} min.`);
+                        logger.warn(`Cooldown active for ${asset}. Skipping signal. Time left: ${((cooldownMs - timeSinceLastTrade) / 60000).toFixed(2)} min.`);
                         return;
                     }
                 }
 
-                const tradeResult = await this.tradeExecutor.executeBuy(
-                    this.config.trading.asset,
-                    this.config.trading.tradeUsdSize
-                );
-
-                if (tradeResult.success) {
-                    this.state.setInPosition(true);
-                    this.lastTradeTime = new Date();
-                    
-                    // We still write the file, but we won't rely on it for the entry price anymore.
-                    await fs.writeFile(POSITION_FILE, JSON.stringify(tradeResult.filledOrder, null, 2));
-                    logger.info(`Created ${POSITION_FILE} for new trade.`);
+                await this.openMarketPosition(market, signal.type);
+            }
+        } catch (error) {
+            logger.error(`Error in processNewData loop for ${asset}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Opens a position for an asset, sized by its PositionSizer. Shared by the signal
+     * loop and the control API; only one entry per asset can be in flight at a time.
+     * @param {Object} market - The market to trade.
+     * @param {string} type - 'buy' opens a long, 'sell' opens a short.
+     * @returns {Promise<Object>} The executor's trade result.
+     */
+    async openMarketPosition(market, type) {
+        const { asset } = market;
+        if (market.entryInProgress) {
+            return { success: false, error: `An entry for ${asset} is already in progress.` };
+        }
+        market.entryInProgress = true;
+        try {
+            const blockReason = await this.checkCircuitBreaker();
+            if (blockReason) {
+                logger.warn(`Skipping ${asset} '${type}' entry. ${blockReason}`);
+                return { success: false, error: blockReason };
+            }
+
+            const plan = await this.planEntry(market, type);
+            if (plan.error) {
+                logger.warn(`Skipping ${asset} '${type}' entry: ${plan.error}`);
+                await this.db.logEvent('ENTRY_REJECTED', { asset, type, error: plan.error });
+                return { success: false, error: plan.error };
+            }
+            logger.info(`Sized ${asset} entry at $${plan.usdSize.toFixed(2)} (${market.config.trading.sizing.mode} sizing, initial stop $${plan.stopPrice.toFixed(2)}).`);
+
+            // An ATR stop is a fixed distance from entry, so it moves with the fill price.
+            const isAtrStop = market.config.risk.initialStop === 'atr';
+            const options = isAtrStop ? { stopDistance: plan.stopDistance } : {};
+            const tradeResult = type === 'buy'
+                ? await this.tradeExecutor.executeBuy(asset, plan.usdSize, options)
+                : await this.tradeExecutor.executeSell(asset, plan.usdSize, options);
+
+            if (tradeResult.success) {
+                const { avgPx, totalSz } = tradeResult.filledOrder;
+                await market.state.setInPosition(true, { coin: asset, szi: totalSz, entryPx: avgPx });
+                market.lastTradeTime = new Date();
+                if (isAtrStop) {
+                    const isShort = type === 'sell';
+                    const entryPx = Number(avgPx);
+                    const position = { coin: asset, szi: isShort ? `-${totalSz}` : totalSz, entryPx: avgPx };
+                    await market.riskManager.startPosition(asset, position, isShort ? entryPx + plan.stopDistance : entryPx - plan.stopDistance);
                 }
+
+                // We still write the file, but we won't rely on it for the entry price anymore.
+                this.livePositions[asset] = tradeResult.filledOrder;
+                await this.writeLiveFile(POSITION_FILE, this.livePositions);
+                logger.info(`Recorded new ${asset} trade in ${POSITION_FILE}.`);
             }
+            return tradeResult;
+        } finally {
+            market.entryInProgress = false;
+        }
+    }
+
+    /**
+     * Sets the asset's leverage and margin mode on the exchange, then sizes the entry
+     * against the account's current equity and available margin.
+     * @returns {Promise<Object>} The PositionSizer's plan, or { error }.
+     */
+    async planEntry(market, type) {
+        const { asset, config: assetConfig } = market;
+        try {
+            const leverage = await this.tradeExecutor.prepareLeverage(asset, assetConfig.trading.leverage, assetConfig.trading.marginMode);
+            const clearinghouseState = await this.tradeExecutor.getClearinghouseState();
+            if (!clearinghouseState) return { error: "Could not fetch the account state." };
+            const price = await this.collector.getCurrentPrice(asset);
+            if (!price) return { error: `Could not fetch current price for ${asset}.` };
+            return market.sizer.plan({ price, isShort: type === 'sell', leverage, clearinghouseState, atr: market.latestAnalysis?.atr });
         } catch (error) {
-            logger.error(`Error in processNewData loop: ${error.message}`);
+            return { error: `Could not prepare the entry: ${error.message}` };
         }
     }
 
     async managePositions() {
-        if (!this.state.isInPosition() || !this.latestAnalysis) {
+        // A slow close can outlast the 15-second interval; the next run waits its turn.
+        if (this.managingPositions) return;
+        const activeMarkets = [...this.markets.values()].filter(m => m.state.isInPosition() && m.latestAnalysis);
+        if (activeMarkets.length === 0) {
             return;
         }
 
+        this.managingPositions = true;
         try {
-            // Fetch live data FIRST. This is now our source of truth.
+            // Fetch live data FIRST. This is now our source of truth. One call covers every asset.
             const clearinghouseState = await this.tradeExecutor.getClearinghouseState();
             if (!clearinghouseState || !Array.isArray(clearinghouseState.assetPositions)) {
                 logger.warn("Could not get valid clearinghouse state. Skipping this check.");
                 return;
             }
 
-            const asset = this.config.trading.asset;
+            for (const market of activeMarkets) {
+                // Skip a market whose position a control-API close or a flatten is handling,
+                // or has closed since the snapshot was taken.
+                if (market.exitInProgress || !market.state.isInPosition()) continue;
+                await this.runExit(market, () => this.manageMarketPosition(market, clearinghouseState));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error in managePositions loop: ${error.message}`);
+            }
+        } finally {
+            this.managingPositions = false;
+        }
+    }
+
+    /**
+     * Runs an exit for a market, so that only one close, scale-out or risk check
+     * touches its position and protective orders at a time.
+     * @param {Object} market - The market whose position is exited.
+     * @param {Function} exit - Does the work; returns a promise.
+     * @returns {Promise<*>} What `exit` returns.
+     */
+    runExit(market, exit) {
+        if (market.exitInProgress) throw new Error(`An exit for ${market.asset} is already in progress.`);
+        market.exitInProgress = exit().finally(() => {
+            market.exitInProgress = null;
+        });
+        return market.exitInProgress;
+    }
+
+    async manageMarketPosition(market, clearinghouseState) {
+        const { asset, riskManager } = market;
+        try {
             const livePosition = clearinghouseState.assetPositions.find(p => p && p.position && p.position.coin === asset);
             
             if (!livePosition) {
                 logger.warn(`Could not find live position for ${asset} on the exchange. Assuming it was closed manually.`);
-                this.state.setInPosition(false);
-                this.riskManager.clearPositionState(asset);
-                await fs.unlink(POSITION_FILE).catch(e => { if (e.code !== 'ENOENT') logger.error(e); });
+                await this.tradeExecutor.recordExternalClose(asset);
+                await this.clearMarketPosition(market);
                 return;
             }
 
@@ -141,39 +373,207 @@ class TradingBot {
                 return;
             }
 
-            const action = await this.riskManager.checkPosition(positionForRiskCheck, livePositionData, currentPrice, this.latestAnalysis);
+            const action = await riskManager.checkPosition(positionForRiskCheck, livePositionData, currentPrice, market.latestAnalysis);
 
-            const riskData = {
+            this.liveRisk[asset] = {
                 asset: asset,
+                direction: Number(livePositionData.szi) < 0 ? 'SHORT' : 'LONG',
                 entryPrice: positionForRiskCheck.entry_px, // Now reflects the true entry price
                 currentPrice: currentPrice,
                 roe: (livePositionData.returnOnEquity * 100).toFixed(2) + '%',
-                ...this.riskManager.positionState[asset]
+                leverage: livePositionData.leverage?.value ?? market.config.trading.leverage,
+                ...riskManager.positionState[asset]
             };
-            await fs.writeFile('live_risk.json', JSON.stringify(riskData, null, 2));
+            await this.writeLiveFile(RISK_FILE, this.liveRisk);
+
+            // Mirror the trail, or a price-based stop such as break-even, on the exchange.
+            const riskState = riskManager.positionState[asset];
+            const stopPx = riskState?.fibStopActive ? riskState.stopPrice : riskState?.initialStopPrice;
+            if (this.usesExchangeOrders && stopPx != null && !action.shouldClose) {
+                await this.tradeExecutor.updateStopOrder(asset, stopPx);
+            }
+
+            if (action.partialClose) {
+                await this.scaleOutPosition(market, livePositionData, action);
+                return;
+            }
 
             if (action.shouldClose) {
                 await this.notifier.send(`${action.reason} Hit!`, `Closing position for ${asset}. Trigger Value: ${action.value}`, "warning");
-                const closeResult = await this.tradeExecutor.closePosition(asset, Number(livePositionData.szi));
+                const closeResult = await this.tradeExecutor.closePosition(asset, Number(livePositionData.szi), action.reason);
                 
                 if (closeResult.success) {
-                    this.state.setInPosition(false);
-                    this.riskManager.clearPositionState(asset); // Explicitly clear the risk manager's state
-<<<<<<< HEAD
-                    await fs.unlink(POSITION_FILE);
-                    logger.info(`Deleted ${POSITION_FILE} after closing trade.`);
-=======
-                    await fs.unlink(POSITION_FILE).catch(e => { if (e.code !== 'ENOENT') logger.error(e); });
-                    await fs.unlink('live_risk.json').catch(e => { if (e.code !== 'ENOENT') logger.error(e); }); // <-- ADD THIS LINE
-                    logger.info(`Deleted ${POSITION_FILE} and risk after closing trade.`);
->>>>>>> feature/chart
+                    await this.clearMarketPosition(market);
+                    logger.info(`Removed ${asset} from ${POSITION_FILE} and ${RISK_FILE} after closing trade.`);
+                } else if (closeResult.size > 0) {
+                    // Part of it closed. The exchange orders follow the rest, and the next check closes it.
+                    await this.notifier.send("Close Incomplete!", `Closed ${closeResult.size} ${asset}, ${closeResult.remaining} still open: ${closeResult.error}`, "error");
+                    if (this.usesExchangeOrders) await this.tradeExecutor.resizeProtectiveOrders(asset, closeResult.remaining);
                 }
             }
         } catch (error) {
-            if (error.code !== 'ENOENT') {
-                logger.error(`Error in managePositions loop: ${error.message}`);
+            logger.error(`Error managing position for ${asset}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Closes one tier of the take-profit ladder and carries the rest of the position on:
+     * the risk and trigger state move to the smaller size, and so do the exchange orders.
+     * @param {Object} market - The market holding the position.
+     * @param {Object} livePositionData - The position from the clearinghouse state.
+     * @param {Object} action - The RiskManager's action ({ partialClose: { tier, size }, reason, value }).
+     */
+    async scaleOutPosition(market, livePositionData, action) {
+        const { asset, riskManager } = market;
+        const { tier, size } = action.partialClose;
+        const szi = Number(livePositionData.szi);
+        await this.notifier.send(`${action.reason} Hit!`, `Closing ${size} of ${Math.abs(szi)} ${asset}. Target: ${action.value}`, "info");
+        const closeResult = await this.tradeExecutor.closePosition(asset, Math.sign(szi) * size, action.reason);
+        // A tier that only partly closed still moves the position to what is left.
+        if (!(closeResult.size > 0)) return;
+
+        const { remaining } = closeResult;
+        const position = { ...livePositionData, szi: String(Math.sign(szi) * remaining) };
+        await riskManager.recordScaleOut(asset, tier, position);
+        await market.state.setInPosition(true, position);
+        if (this.usesExchangeOrders) await this.tradeExecutor.resizeProtectiveOrders(asset, remaining);
+    }
+
+    /**
+     * Closes an asset's open position right away (used by the control API and when
+     * flattening). Fails without trading if another exit for the asset is running.
+     * @param {Object} market - The market to close.
+     * @param {string} reason - The exit reason recorded in the trade ledger.
+     * @returns {Promise<Object>} The executor's close result.
+     */
+    async closeMarketPosition(market, reason) {
+        const { asset } = market;
+        if (market.exitInProgress) {
+            return { success: false, error: `An exit for ${asset} is already in progress.` };
+        }
+        return this.runExit(market, async () => {
+            const clearinghouseState = await this.tradeExecutor.getClearinghouseState();
+            const livePosition = clearinghouseState?.assetPositions?.find(p => p && p.position && p.position.coin === asset);
+            if (!livePosition) return { success: false, error: `No live ${asset} position found on the exchange.` };
+
+            const closeResult = await this.tradeExecutor.closePosition(asset, Number(livePosition.position.szi), reason);
+            if (closeResult.success) await this.clearMarketPosition(market);
+            return closeResult;
+        });
+    }
+
+    // --- Circuit Breaker ---
+
+    /**
+     * Runs the circuit breaker's guards and handles a fresh trip.
+     * @returns {Promise<string|null>} Why new entries are blocked, or null if they are not.
+     */
+    async checkCircuitBreaker() {
+        const clearinghouseState = await this.tradeExecutor.getClearinghouseState();
+        const accountValue = Number(clearinghouseState?.marginSummary?.accountValue);
+        const trip = await this.circuitBreaker.evaluate(Number.isFinite(accountValue) ? accountValue : null);
+        if (trip) {
+            await this.notifier.send("Circuit Breaker Tripped!", `${trip.reason} New entries are blocked until ${trip.until}.`, "error");
+            if (trip.flatten) await this.flattenPositions('CIRCUIT-BREAKER');
+        }
+        return this.circuitBreaker.getBlockReason();
+    }
+
+    /**
+     * Closes every open position, e.g. when the circuit breaker trips.
+     * @param {string} reason - The exit reason recorded in the trade ledger.
+     */
+    async flattenPositions(reason) {
+        for (const market of this.markets.values()) {
+            // Let a running exit finish first, then close whatever it left open.
+            while (market.exitInProgress) {
+                await market.exitInProgress.catch(() => {});
             }
+            if (!market.state.isInPosition()) continue;
+            logger.warn(`Flattening ${market.asset} (${reason}).`);
+            const closeResult = await this.closeMarketPosition(market, reason);
+            if (!closeResult.success) {
+                await this.notifier.send("Flatten Failed!", `Could not close ${market.asset}: ${closeResult.error}`, "error");
+            }
+        }
+    }
+
+    async engageKillSwitch(reason, flatten) {
+        await this.circuitBreaker.engageKillSwitch(reason);
+        await this.notifier.send("Kill Switch Engaged!", `${reason}. New entries are blocked until the switch is reset.`, "error");
+        if (flatten) await this.flattenPositions('KILL-SWITCH');
+    }
+
+    // --- Control API Actions ---
+
+    async setEntriesPaused(market, paused) {
+        market.entriesPaused = paused;
+        await this.db.saveState(market.asset, 'control', { entriesPaused: paused });
+        logger.warn(`New entries for ${market.asset} ${paused ? 'PAUSED' : 'RESUMED'}.`);
+    }
+
+    /**
+     * Moves the stop of an asset's open position. The new stop replaces the fixed ROE
+     * stop and acts like an activated fib trail, which keeps tightening from it.
+     */
+    async adjustStop(market, stopPrice) {
+        const { asset } = market;
+        const clearinghouseState = await this.tradeExecutor.getClearinghouseState();
+        const livePosition = clearinghouseState?.assetPositions?.find(p => p && p.position && p.position.coin === asset);
+        if (!livePosition) throw new Error(`No live ${asset} position found on the exchange.`);
+
+        const isShort = Number(livePosition.position.szi) < 0;
+        const currentPrice = await this.collector.getCurrentPrice(asset);
+        if (currentPrice && (isShort ? stopPrice <= currentPrice : stopPrice >= currentPrice)) {
+            throw new Error(`A ${isShort ? 'short' : 'long'} stop must be ${isShort ? 'above' : 'below'} the current price ($${currentPrice}).`);
+        }
+
+        await market.riskManager.setManualStop(asset, livePosition.position, stopPrice);
+        if (this.usesExchangeOrders) {
+            await this.tradeExecutor.updateStopOrder(asset, stopPrice);
+        }
+    }
+
+    getStatus() {
+        const now = new Date();
+        const assets = {};
+        for (const market of this.markets.values()) {
+            const cooldownMs = market.config.trading.cooldownMinutes * 60 * 1000;
+            assets[market.asset] = {
+                inPosition: market.state.isInPosition(),
+                entriesPaused: market.entriesPaused,
+                triggers: { long: market.state.isTriggerArmed('long'), short: market.state.isTriggerArmed('short') },
+                lastTradeTime: market.lastTradeTime,
+                cooldownRemainingMs: market.lastTradeTime ? Math.max(cooldownMs - (now - market.lastTradeTime), 0) : 0,
+                position: this.livePositions[market.asset] || null,
+                risk: this.liveRisk[market.asset] || null,
+                analysis: market.latestAnalysis,
+            };
+        }
+        return { mode: this.isPaper ? 'paper' : 'live', network: this.network.name, time: now.toISOString(), entriesBlocked: this.circuitBreaker.getBlockReason(), assets };
+    }
+
+    // Prints the resolved config (secrets hidden) and keeps a copy in the events table,
+    // so every run can be traced back to the settings it traded with.
+    async logEffectiveConfig() {
+        const { profiles, overrides, config: effective } = describeConfig();
+        logger.info(`Config profiles: ${profiles.length > 0 ? profiles.join(', ') : 'none'}. Overrides: ${overrides.length > 0 ? overrides.map(o => `${o.path} (${o.source})`).join(', ') : 'none'}.`);
+        logger.info(`Effective config:\n${JSON.stringify(effective, null, 2)}`);
+        await this.db.logEvent("CONFIG_LOADED", { profiles, overrides, config: effective });
+    }
+
+    async clearMarketPosition(market) {
+        if (this.usesExchangeOrders) {
+            await this.tradeExecutor.cancelProtectiveOrders(market.asset);
         }
+        await market.state.setInPosition(false);
+        await market.riskManager.clearPositionState(market.asset); // Explicitly clear the risk manager's state
+        delete this.livePositions[market.asset];
+        delete this.liveRisk[market.asset];
+        await this.writeLiveFile(POSITION_FILE, this.livePositions);
+        await this.writeLiveFile(RISK_FILE, this.liveRisk);
+        // A closed trade may have hit a loss limit; trip now rather than at the next signal.
+        await this.checkCircuitBreaker();
     }
 }
 
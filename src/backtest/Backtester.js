@@ -0,0 +1,299 @@
+// src/backtest/Backtester.js
+import TechnicalAnalyzer from '../components/TechnicalAnalyzer.js';
+import SignalGenerator from '../components/SignalGenerator.js';
+import RiskManager from '../components/RiskManager.js';
+import StateManager from '../components/StateManager.js';
+import PositionSizer from '../components/PositionSizer.js';
+import CircuitBreaker from '../components/CircuitBreaker.js';
+import SimulatedExecutor from './SimulatedExecutor.js';
+import VirtualAccount from '../utils/VirtualAccount.js';
+import { getTimeframeMs } from '../utils/helpers.js';
+
+/**
+ * Replays historical price ticks through the production TechnicalAnalyzer,
+ * SignalGenerator and RiskManager with a simulated clock and simulated fills.
+ * The per-tick flow mirrors TradingBot.processNewData / managePositions. The
+ * CircuitBreaker's guards are checked against the replayed trades, so a tripped guard
+ * blocks entries until its reset time on the replay clock.
+ */
+class Backtester {
+    /**
+     * @param {Object} config - The resolved config of the asset to replay (see getAssetConfig).
+     * @param {Object} options
+     * @param {number} options.startingBalance - Initial account value in USD.
+     * @param {number} options.feeRate - Taker fee as a fraction of notional.
+     * @param {number} options.slippage - Simulated price impact per fill as a fraction.
+     */
+    constructor(config, { startingBalance = 1000, feeRate = 0.00045, slippage = 0.0005 } = {}) {
+        // Never let a replay write analysis_data.json or stream DB changes.
+        this.config = { ...config, debug: false };
+        this.asset = config.trading.asset;
+
+        this.currentTime = null;
+        this.clock = { now: () => new Date(this.currentTime) };
+
+        this.events = [];
+        this.eventSink = {
+            logEvent: async (eventType, details) => {
+                this.events.push({ timestamp: this.clock.now().toISOString(), event_type: eventType, details });
+            },
+            updatePosition: async () => {},
+            saveState: async () => {},
+            loadState: async () => null,
+            deleteState: async () => {},
+            // The trade ledger the CircuitBreaker reads, served from the replayed trades.
+            getClosedTrades: async ({ from = null } = {}) => this.trades
+                .filter(t => from === null || t.exitTime >= from)
+                .map(t => ({ realized_pnl: t.pnl + t.fees, fees: t.fees, exit_time: t.exitTime })),
+            countTradesEntered: async ({ from }) => [...this.trades, this.openTrade]
+                .filter(t => t && t.entryTime >= from).length,
+        };
+        const silentNotifier = { send: async () => {} };
+
+        this.startingBalance = startingBalance;
+        this.account = new VirtualAccount({
+            startingBalance,
+            leverage: config.trading.leverage,
+            feeRate,
+            slippage,
+        }, this.clock);
+        this.executor = new SimulatedExecutor(this.account);
+        this.analyzer = new TechnicalAnalyzer(this.config);
+        this.state = new StateManager(this.eventSink, this.executor, this.asset);
+        this.riskManager = new RiskManager(this.config, this.eventSink, this.clock);
+        this.sizer = new PositionSizer(this.config);
+        this.signalGenerator = new SignalGenerator(this.config, this.eventSink, this.state, silentNotifier);
+        this.circuitBreaker = new CircuitBreaker(this.config, this.eventSink, this.clock);
+
+        this.latestAnalysis = null;
+        this.lastTradeTime = null;
+        this.openTrade = null;
+        this.trades = [];
+        this.equityCurve = [];
+        // Equity is sampled once per candle of the analyzer's timeframe.
+        this.candleIntervalMs = getTimeframeMs(config.ta.timeframe);
+        this.lastBucket = null;
+        this.ticks = 0;
+        this.gapTicks = 0; // Ticks analyzed while the window had a price gap (entries held)
+        this.blockedEntries = 0; // Signals skipped because the circuit breaker was tripped
+    }
+
+    /**
+     * Runs the replay.
+     * @param {AsyncIterable<Object>|Iterable<Object>} priceSource - Ticks of { timestamp, price, volume? }
+     *   in time order (`volume` as in TechnicalAnalyzer.update()).
+     * @returns {Promise<Object>} { trades, equityCurve, events, summary }
+     */
+    async run(priceSource) {
+        await this.signalGenerator.init();
+        let lastPrice = null;
+        for await (const tick of priceSource) {
+            const price = Number(tick.price);
+            const time = new Date(tick.timestamp).getTime();
+            if (!Number.isFinite(price) || Number.isNaN(time)) continue;
+
+            const first = this.currentTime === null;
+            this.currentTime = time;
+            // Counting starts at the first replayed tick.
+            if (first) await this.circuitBreaker.restore();
+            this.executor.setPrice(this.asset, price);
+            this.ticks++;
+
+            const bucket = Math.floor(time / this.candleIntervalMs);
+            if (this.lastBucket !== null && bucket !== this.lastBucket) {
+                this.recordEquity();
+            }
+            this.lastBucket = bucket;
+
+            await this.processTick({ timestamp: tick.timestamp, price, volume: tick.volume });
+            await this.managePosition(price);
+            lastPrice = price;
+        }
+
+        if (this.openTrade && lastPrice !== null) {
+            const position = this.account.getPosition(this.asset);
+            await this.closeTrade(position.szi, 'END-OF-DATA');
+        }
+        if (this.currentTime !== null) this.recordEquity();
+
+        return {
+            trades: this.trades,
+            equityCurve: this.equityCurve,
+            events: this.events,
+            summary: this.summarize(),
+        };
+    }
+
+    async processTick(tick) {
+        this.latestAnalysis = this.analyzer.update(tick);
+        if (!this.latestAnalysis) return;
+        if (this.latestAnalysis.gap_candles > 0) this.gapTicks++;
+
+        const signal = this.signalGenerator.generate(this.latestAnalysis);
+        if ((signal.type !== 'buy' && signal.type !== 'sell') || this.state.isInPosition()) return;
+
+        const now = this.clock.now();
+        if (this.lastTradeTime) {
+            const cooldownMs = this.config.trading.cooldownMinutes * 60 * 1000;
+            if (now - this.lastTradeTime < cooldownMs) return;
+        }
+        if (await this.checkCircuitBreaker()) {
+            this.blockedEntries++;
+            return;
+        }
+
+        const isShort = signal.type === 'sell';
+        const leverage = await this.executor.prepareLeverage(this.asset, this.config.trading.leverage);
+        const plan = this.sizer.plan({
+            price: tick.price,
+            isShort,
+            leverage,
+            clearinghouseState: await this.executor.getClearinghouseState(),
+            atr: this.latestAnalysis.atr,
+        });
+        if (plan.error) {
+            await this.eventSink.logEvent('ENTRY_REJECTED', { asset: this.asset, type: signal.type, error: plan.error });
+            return;
+        }
+
+        const tradeResult = isShort
+            ? await this.executor.executeSell(this.asset, plan.usdSize)
+            : await this.executor.executeBuy(this.asset, plan.usdSize);
+        if (tradeResult.success) {
+            const { avgPx, totalSz } = tradeResult.filledOrder;
+            await this.state.setInPosition(true, { coin: this.asset, szi: totalSz, entryPx: avgPx });
+            this.lastTradeTime = now;
+            if (this.config.risk.initialStop === 'atr') {
+                const entryPx = Number(avgPx);
+                const position = { coin: this.asset, szi: isShort ? `-${totalSz}` : totalSz, entryPx: avgPx };
+                await this.riskManager.startPosition(this.asset, position, isShort ? entryPx + plan.stopDistance : entryPx - plan.stopDistance);
+            }
+            this.openTrade = {
+                asset: this.asset,
+                direction: signal.type === 'buy' ? 'LONG' : 'SHORT',
+                entryTime: now.toISOString(),
+                entryPx: parseFloat(tradeResult.filledOrder.avgPx),
+                size: parseFloat(tradeResult.filledOrder.totalSz),
+                signalReason: signal.reason,
+                scaleOuts: [], // Take-profit tiers filled before the final exit
+            };
+        }
+    }
+
+    async managePosition(currentPrice) {
+        if (!this.state.isInPosition() || !this.latestAnalysis) return;
+
+        const clearinghouseState = await this.executor.getClearinghouseState();
+        const livePosition = clearinghouseState.assetPositions.find(p => p.position.coin === this.asset);
+        if (!livePosition) {
+            await this.state.setInPosition(false);
+            await this.riskManager.clearPositionState(this.asset);
+            return;
+        }
+
+        const livePositionData = livePosition.position;
+        const positionForRiskCheck = { asset: this.asset, entry_px: parseFloat(livePositionData.entryPx) };
+        const action = await this.riskManager.checkPosition(positionForRiskCheck, livePositionData, currentPrice, this.latestAnalysis);
+
+        if (action.shouldClose) {
+            await this.closeTrade(Number(livePositionData.szi), action.reason);
+        } else if (action.partialClose) {
+            await this.scaleOut(livePositionData, action);
+        }
+    }
+
+    async scaleOut(livePositionData, action) {
+        const { tier, size } = action.partialClose;
+        const szi = Number(livePositionData.szi);
+        const closeResult = await this.executor.closePosition(this.asset, Math.sign(szi) * size);
+        if (!closeResult.success) return;
+
+        this.openTrade.scaleOuts.push({
+            time: this.clock.now().toISOString(),
+            price: closeResult.price,
+            size: closeResult.size,
+            reason: action.reason,
+            realizedPnl: closeResult.realizedPnl,
+        });
+        const position = { ...livePositionData, szi: String(szi - Math.sign(szi) * closeResult.size) };
+        await this.state.setInPosition(true, position);
+        await this.riskManager.recordScaleOut(this.asset, tier, position);
+    }
+
+    async closeTrade(size, reason) {
+        const closeResult = await this.executor.closePosition(this.asset, size);
+        if (!closeResult.success) return;
+
+        const closed = closeResult.closedPosition;
+        const { scaleOuts } = this.openTrade;
+        const exits = [...scaleOuts, { price: closeResult.price, size: closeResult.size }];
+        const exitSize = exits.reduce((sum, e) => sum + e.size, 0);
+        const realizedPnl = scaleOuts.reduce((sum, e) => sum + e.realizedPnl, closeResult.realizedPnl);
+        const fees = closed ? closed.fees : closeResult.fee;
+        this.trades.push({
+            ...this.openTrade,
+            exitTime: this.clock.now().toISOString(),
+            // Size-weighted over the take-profit tiers and the final exit.
+            exitPx: exits.reduce((sum, e) => sum + e.price * e.size, 0) / exitSize,
+            reason,
+            fees,
+            pnl: realizedPnl - fees,
+        });
+        this.openTrade = null;
+        await this.state.setInPosition(false);
+        await this.riskManager.clearPositionState(this.asset);
+        this.recordEquity();
+        // A closed trade may have hit a loss limit; trip now rather than at the next signal.
+        await this.checkCircuitBreaker();
+    }
+
+    /**
+     * Runs the circuit breaker's guards, as TradingBot.checkCircuitBreaker does. A replay
+     * covers a single asset, whose position is already closed whenever this runs, so a
+     * trip never has anything to flatten.
+     * @returns {Promise<string|null>} Why new entries are blocked, or null if they are not.
+     */
+    async checkCircuitBreaker() {
+        await this.circuitBreaker.evaluate(this.account.getEquity(this.executor.prices));
+        return this.circuitBreaker.getBlockReason();
+    }
+
+    recordEquity() {
+        this.equityCurve.push({
+            timestamp: this.clock.now().toISOString(),
+            equity: this.account.getEquity(this.executor.prices),
+        });
+    }
+
+    summarize() {
+        const wins = this.trades.filter(t => t.pnl > 0);
+        const netPnl = this.trades.reduce((sum, t) => sum + t.pnl, 0);
+        const fees = this.trades.reduce((sum, t) => sum + t.fees, 0);
+        const startingEquity = this.startingBalance;
+        const finalEquity = this.account.getEquity(this.executor.prices);
+
+        let peak = -Infinity;
+        let maxDrawdown = 0;
+        for (const point of this.equityCurve) {
+            peak = Math.max(peak, point.equity);
+            maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+        }
+
+        return {
+            ticks: this.ticks,
+            gapTicks: this.gapTicks,
+            blockedEntries: this.blockedEntries,
+            trades: this.trades.length,
+            wins: wins.length,
+            losses: this.trades.length - wins.length,
+            winRate: this.trades.length > 0 ? wins.length / this.trades.length : 0,
+            netPnl,
+            fees,
+            finalEquity,
+            returnPct: (finalEquity - startingEquity) / startingEquity,
+            maxDrawdownPct: maxDrawdown,
+        };
+    }
+}
+
+export default Backtester;
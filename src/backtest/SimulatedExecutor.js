@@ -0,0 +1,66 @@
+// src/backtest/SimulatedExecutor.js
+import logger from '../utils/logger.js';
+
+/**
+ * A stand-in for TradeExecutor used by the backtester. It exposes the same
+ * prepareLeverage / executeBuy / executeSell / closePosition / getClearinghouseState
+ * contract, but fills against the price of the tick currently being replayed.
+ */
+class SimulatedExecutor {
+    /**
+     * @param {VirtualAccount} account - The simulated account that receives the fills.
+     */
+    constructor(account) {
+        this.account = account;
+        this.prices = {};
+        this.logger = logger.child({ component: 'SimulatedExecutor' });
+    }
+
+    setPrice(asset, price) {
+        this.prices[asset] = price;
+    }
+
+    async prepareLeverage(asset, leverage) {
+        this.account.setLeverage(asset, leverage);
+        return leverage;
+    }
+
+    async executeBuy(asset, usdSize) {
+        return this.openPosition(asset, usdSize, true);
+    }
+
+    async executeSell(asset, usdSize) {
+        return this.openPosition(asset, usdSize, false);
+    }
+
+    async openPosition(asset, usdSize, isBuy) {
+        const price = this.prices[asset];
+        if (!price) {
+            return { success: false, error: `No replay price for ${asset}.` };
+        }
+        const fill = this.account.fill(asset, isBuy, usdSize / price, price);
+        this.logger.info(`BACKTEST: ${isBuy ? 'Bought' : 'Sold'} ${fill.totalSz.toFixed(4)} ${asset} @ $${fill.avgPx.toFixed(4)}`);
+        return {
+            success: true,
+            filledOrder: { avgPx: fill.avgPx.toString(), totalSz: fill.totalSz.toString() },
+            fee: fill.fee,
+        };
+    }
+
+    async closePosition(asset, size) {
+        const price = this.prices[asset];
+        if (!price) {
+            return { success: false, error: `No replay price for ${asset}.` };
+        }
+        const fill = this.account.fill(asset, size < 0, Math.abs(size), price);
+        this.logger.info(`BACKTEST: Closed ${fill.closedPosition ? '' : `${fill.totalSz} of `}${asset} @ $${fill.avgPx.toFixed(4)} (PnL $${fill.realizedPnl.toFixed(2)})`);
+        const remaining = Math.abs(this.account.getPosition(asset)?.szi ?? 0);
+        return { success: true, price: fill.avgPx, size: fill.totalSz, remaining, fee: fill.fee, realizedPnl: fill.realizedPnl, closedPosition: fill.closedPosition };
+    }
+
+    async getClearinghouseState() {
+        return this.account.getClearinghouseState(this.prices);
+    }
+}
+
+export default SimulatedExecutor;
@@ -0,0 +1,190 @@
+// src/components/CircuitBreaker.js
+import logger from '../utils/logger.js';
+import { systemClock } from '../utils/helpers.js';
+
+const STATE_KEY = 'ACCOUNT'; // The breaker covers the whole account, not one asset
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Account-level guards on top of the per-asset cooldown. Once a guard trips, no new
+ * positions are opened on any asset until the next `circuitBreaker.resetTimeUtc`:
+ *
+ *   maxDailyLossUsd      - realized net loss since the last reset, in USD
+ *   maxDailyLossPct      - the same as a fraction of the account value at the last reset
+ *   maxConsecutiveLosses - losing trades in a row
+ *   maxTradesPerDay      - trades entered since the last reset
+ *
+ * The kill switch blocks entries the same way but stays engaged until it is reset by
+ * hand. The figures are read from the trade ledger, so only the trip and the time
+ * counting restarted from are kept as state.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} config - The full bot config.
+     * @param {DatabaseManager} db
+     * @param {Object} [clock=systemClock]
+     */
+    constructor(config, db, clock = systemClock) {
+        this.config = config;
+        this.db = db;
+        this.clock = clock;
+        this.logger = logger.child({ component: 'CircuitBreaker' });
+        this.simulated = config.trading.executionMode === 'paper';
+        this.state = { trip: null, killSwitch: null, countFrom: null };
+
+        const match = /^(\d{2}):(\d{2})$/.exec(config.circuitBreaker.resetTimeUtc);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new Error(`circuitBreaker.resetTimeUtc must be "HH:MM", got '${config.circuitBreaker.resetTimeUtc}'.`);
+        }
+        this.resetHours = Number(match[1]);
+        this.resetMinutes = Number(match[2]);
+    }
+
+    /**
+     * Loads the state saved before a restart. Without one, trades closed before now
+     * do not count.
+     */
+    async restore() {
+        const saved = await this.db.loadState(STATE_KEY, 'circuit_breaker');
+        if (saved) {
+            this.state = saved;
+            if (this.state.killSwitch) this.logger.warn(`Kill switch is ENGAGED (since ${this.state.killSwitch.engagedAt}).`);
+            if (this.state.trip) this.logger.warn(`TRIPPED by ${this.state.trip.guard} until ${this.state.trip.until} (restored from the last run).`);
+            return;
+        }
+        this.state.countFrom = this.clock.now().toISOString();
+        await this.save();
+    }
+
+    async save() {
+        await this.db.saveState(STATE_KEY, 'circuit_breaker', this.state);
+    }
+
+    /**
+     * @returns {Date} The most recent reset time at or before `now`.
+     */
+    getPeriodStart(now = this.clock.now()) {
+        const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), this.resetHours, this.resetMinutes));
+        if (start > now) start.setTime(start.getTime() - DAY_MS);
+        return start;
+    }
+
+    /**
+     * Lifts an expired trip, then checks every guard against the ledger.
+     * @param {number|null} [accountValue] - The current account value; the percentage
+     *   loss guard is skipped without it.
+     * @returns {Promise<Object|null>} The trip if a guard tripped just now ({ guard, reason,
+     *   trippedAt, until, flatten }), otherwise null.
+     */
+    async evaluate(accountValue = null) {
+        const now = this.clock.now();
+        if (this.state.trip && now >= new Date(this.state.trip.until)) {
+            this.logger.info(`Trip by ${this.state.trip.guard} has expired. New entries are allowed again.`);
+            await this.db.logEvent("CIRCUIT_BREAKER_RESET", { guard: this.state.trip.guard, manual: false });
+            this.state.countFrom = this.state.trip.until;
+            this.state.trip = null;
+            await this.save();
+        }
+        if (this.state.trip || this.state.killSwitch) return null;
+
+        const stats = await this.getStats(now, accountValue);
+        const guards = this.config.circuitBreaker;
+        let trip = null;
+        if (guards.maxDailyLossUsd != null && -stats.netPnl >= guards.maxDailyLossUsd) {
+            trip = { guard: 'maxDailyLossUsd', reason: `Realized loss of $${(-stats.netPnl).toFixed(2)} since the last reset (limit $${guards.maxDailyLossUsd}).` };
+        } else if (guards.maxDailyLossPct != null && stats.lossPct != null && stats.lossPct >= guards.maxDailyLossPct) {
+            trip = { guard: 'maxDailyLossPct', reason: `Realized loss of ${(stats.lossPct * 100).toFixed(2)}% since the last reset (limit ${(guards.maxDailyLossPct * 100).toFixed(2)}%).` };
+        } else if (guards.maxConsecutiveLosses != null && stats.lossStreak >= guards.maxConsecutiveLosses) {
+            trip = { guard: 'maxConsecutiveLosses', reason: `${stats.lossStreak} losing trades in a row (limit ${guards.maxConsecutiveLosses}).` };
+        } else if (guards.maxTradesPerDay != null && stats.tradesEntered >= guards.maxTradesPerDay) {
+            trip = { guard: 'maxTradesPerDay', reason: `${stats.tradesEntered} trades entered since the last reset (limit ${guards.maxTradesPerDay}).` };
+        }
+        if (!trip) return null;
+
+        // Reaching the trade count is not a loss, so it never flattens open positions.
+        this.state.trip = {
+            ...trip,
+            trippedAt: now.toISOString(),
+            until: new Date(this.getPeriodStart(now).getTime() + DAY_MS).toISOString(),
+            flatten: Boolean(guards.flattenOnTrip) && trip.guard !== 'maxTradesPerDay',
+        };
+        this.logger.error(`CIRCUIT BREAKER TRIPPED (${trip.guard}): ${trip.reason} New entries are blocked until ${this.state.trip.until}.`);
+        await this.db.logEvent("CIRCUIT_BREAKER_TRIPPED", { ...this.state.trip, stats });
+        await this.save();
+        return this.state.trip;
+    }
+
+    /**
+     * @returns {Promise<Object>} { netPnl, lossPct, lossStreak, tradesEntered } counted from
+     *   the later of the last reset time and the last manual reset.
+     */
+    async getStats(now = this.clock.now(), accountValue = null) {
+        const periodStart = this.getPeriodStart(now).toISOString();
+        const countFrom = this.state.countFrom && this.state.countFrom > periodStart ? this.state.countFrom : periodStart;
+        const netOf = (t) => (t.realized_pnl ?? 0) - t.fees;
+
+        const periodTrades = await this.db.getClosedTrades({ simulated: this.simulated, from: countFrom });
+        const netPnl = periodTrades.reduce((sum, t) => sum + netOf(t), 0);
+        // The account value at the reset is approximated by taking the period's result back out.
+        const startingValue = accountValue != null ? accountValue - netPnl : null;
+        const lossPct = startingValue > 0 ? Math.max(-netPnl, 0) / startingValue : null;
+
+        // Losing streaks carry over from one day to the next, so they count from the last reset of the breaker.
+        const streakTrades = await this.db.getClosedTrades({ simulated: this.simulated, from: this.state.countFrom });
+        let lossStreak = 0;
+        for (let i = streakTrades.length - 1; i >= 0 && netOf(streakTrades[i]) < 0; i--) {
+            lossStreak++;
+        }
+
+        const tradesEntered = await this.db.countTradesEntered({ from: countFrom, simulated: this.simulated });
+        return { netPnl, lossPct, lossStreak, tradesEntered };
+    }
+
+    /**
+     * @returns {string|null} Why new entries are blocked right now, or null if they are not.
+     */
+    getBlockReason() {
+        if (this.state.killSwitch) return `Kill switch engaged: ${this.state.killSwitch.reason}`;
+        if (this.state.trip) return `Circuit breaker tripped (${this.state.trip.guard}) until ${this.state.trip.until}: ${this.state.trip.reason}`;
+        return null;
+    }
+
+    /**
+     * Blocks new entries until reset() is called.
+     * @param {string} [reason="Manual"] - Recorded with the event.
+     */
+    async engageKillSwitch(reason = "Manual") {
+        this.state.killSwitch = { reason, engagedAt: this.clock.now().toISOString() };
+        this.logger.error(`KILL SWITCH ENGAGED: ${reason}. New entries are blocked until it is reset.`);
+        await this.db.logEvent("KILL_SWITCH_ENGAGED", { reason });
+        await this.save();
+    }
+
+    /**
+     * Releases the kill switch and any trip. Counting restarts from now, so the losses
+     * that tripped a guard do not trip it again straight away.
+     */
+    async reset() {
+        const { trip, killSwitch } = this.state;
+        this.state = { trip: null, killSwitch: null, countFrom: this.clock.now().toISOString() };
+        this.logger.warn("Reset by hand. New entries are allowed again.");
+        await this.db.logEvent("CIRCUIT_BREAKER_RESET", { guard: trip?.guard ?? null, kill_switch: Boolean(killSwitch), manual: true });
+        await this.save();
+    }
+
+    /**
+     * @returns {Promise<Object>} The breaker state and the figures it is checking, for the control API.
+     */
+    async getStatus() {
+        return {
+            blocked: this.getBlockReason(),
+            trip: this.state.trip,
+            killSwitch: this.state.killSwitch,
+            countingFrom: this.state.countFrom,
+            nextReset: new Date(this.getPeriodStart().getTime() + DAY_MS).toISOString(),
+            stats: await this.getStats(),
+        };
+    }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,230 @@
+// src/components/ControlServer.js
+import http from 'http';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+const MAX_BODY_BYTES = 10 * 1024;
+
+/**
+ * An HTTP error with the status code the control API should answer with.
+ */
+class ControlError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * A small local HTTP API for steering the running bot. Every request must carry
+ * `Authorization: Bearer <control.token>`, and every action (anything but a GET)
+ * is recorded in the events table as CONTROL_ACTION.
+ *
+ *   GET  /status                        Bot mode and per-asset position, trigger and pause state
+ *   GET  /analysis                      The latest analysis per asset
+ *   GET  /risk                          The risk state per open position
+ *   POST /pause   { asset? }            Stop opening new positions (all assets if omitted)
+ *   POST /resume  { asset? }            Allow new positions again
+ *   POST /buy     { asset }             Open a long now, ignoring signals, pause and cooldown
+ *   POST /sell    { asset }             Open a short now
+ *   POST /close   { asset }             Close the open position now
+ *   POST /trigger { asset, side, armed } Arm or disarm the long/short trigger
+ *   POST /stop    { asset, price }      Move the stop of the open position
+ *   GET  /breaker                       Circuit breaker state and the figures it checks
+ *   POST /kill    { reason?, flatten? } Engage the kill switch (blocks all new entries, forced ones included)
+ *   POST /breaker/reset                 Release the kill switch and any tripped guard
+ */
+class ControlServer {
+    /**
+     * @param {Object} config - The `control` config section.
+     * @param {TradingBot} bot - The bot being controlled.
+     * @param {DatabaseManager} db
+     */
+    constructor(config, bot, db) {
+        this.config = config;
+        this.bot = bot;
+        this.db = db;
+        this.logger = logger.child({ component: 'ControlServer' });
+        this.server = null;
+        this.routes = {
+            'GET /status': () => this.bot.getStatus(),
+            'GET /analysis': () => this.bot.liveAnalysis,
+            'GET /risk': () => this.bot.liveRisk,
+            'POST /pause': (body) => this.setPaused(body, true),
+            'POST /resume': (body) => this.setPaused(body, false),
+            'POST /buy': (body) => this.forceEntry(body, 'buy'),
+            'POST /sell': (body) => this.forceEntry(body, 'sell'),
+            'POST /close': (body) => this.forceClose(body),
+            'POST /trigger': (body) => this.setTrigger(body),
+            'POST /stop': (body) => this.adjustStop(body),
+            'GET /breaker': () => this.bot.circuitBreaker.getStatus(),
+            'POST /kill': (body) => this.engageKillSwitch(body),
+            'POST /breaker/reset': () => this.resetCircuitBreaker(),
+        };
+    }
+
+    start() {
+        if (!this.config.token) {
+            this.logger.warn("Control API disabled: set CONTROL_API_TOKEN in .env to enable it.");
+            return Promise.resolve();
+        }
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                this.logger.info(`Control API listening on http://${this.config.host}:${this.config.port}`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        if (this.server) this.server.close();
+    }
+
+    isAuthorized(req) {
+        const expected = Buffer.from(`Bearer ${this.config.token}`);
+        const received = Buffer.from(req.headers.authorization || '');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    async handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${pathname}`;
+        let body = {};
+        try {
+            if (!this.isAuthorized(req)) throw new ControlError(401, 'Unauthorized.');
+            const handler = this.routes[route];
+            if (!handler) throw new ControlError(404, `No such endpoint: ${route}`);
+            if (req.method === 'POST') body = await this.readBody(req);
+
+            const result = await handler(body);
+            if (req.method !== 'GET') {
+                await this.db.logEvent('CONTROL_ACTION', { ...body, action: route, ok: true });
+            }
+            this.send(res, 200, { ok: true, result });
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode === 500) this.logger.error(`Control API error on ${route}: ${error.message}`);
+            // The rest of an oversized body is drained, not read; the connection ends with the reply.
+            if (statusCode === 413) res.setHeader('Connection', 'close');
+            if (req.method !== 'GET' && statusCode !== 401 && statusCode !== 404) {
+                await this.db.logEvent('CONTROL_ACTION', { ...body, action: route, ok: false, error: error.message });
+            }
+            this.send(res, statusCode, { ok: false, error: error.message });
+        }
+    }
+
+    /**
+     * Reads a JSON object body ({} when empty). A body over MAX_BODY_BYTES is
+     * rejected with a 413 and the rest of it is discarded as it arrives, so the
+     * client still gets the reply.
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let raw = '';
+            const onData = (chunk) => {
+                raw += chunk;
+                if (raw.length > MAX_BODY_BYTES) {
+                    req.removeListener('data', onData);
+                    req.resume();
+                    reject(new ControlError(413, 'Request body too large.'));
+                }
+            };
+            req.on('data', onData);
+            req.on('end', () => {
+                if (raw.length > MAX_BODY_BYTES) return;
+                if (!raw) return resolve({});
+                let body;
+                try {
+                    body = JSON.parse(raw);
+                } catch {
+                    return reject(new ControlError(400, 'Request body is not valid JSON.'));
+                }
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    return reject(new ControlError(400, 'Request body must be a JSON object.'));
+                }
+                resolve(body);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    send(res, statusCode, payload) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload, null, 2));
+    }
+
+    // --- Actions ---
+
+    getMarket(asset) {
+        if (!asset) throw new ControlError(400, "Missing 'asset'.");
+        const market = this.bot.markets.get(asset);
+        if (!market) throw new ControlError(404, `Asset '${asset}' is not traded by this bot.`);
+        return market;
+    }
+
+    async setPaused({ asset }, paused) {
+        const markets = asset ? [this.getMarket(asset)] : [...this.bot.markets.values()];
+        for (const market of markets) {
+            await this.bot.setEntriesPaused(market, paused);
+        }
+        return { paused, assets: markets.map(m => m.asset) };
+    }
+
+    async forceEntry({ asset }, type) {
+        const market = this.getMarket(asset);
+        if (market.state.isInPosition()) throw new ControlError(409, `${asset} already has an open position.`);
+        this.logger.warn(`CONTROL API: Forcing a '${type}' for ${asset}.`);
+        await this.bot.notifier.send("Manual Trade Triggered!", `Forcing a ${type} for ${asset} via the control API.`, "warning");
+        const tradeResult = await this.bot.openMarketPosition(market, type);
+        if (!tradeResult.success) throw new ControlError(502, tradeResult.error);
+        return tradeResult.filledOrder;
+    }
+
+    async forceClose({ asset }) {
+        const market = this.getMarket(asset);
+        if (!market.state.isInPosition()) throw new ControlError(409, `${asset} has no open position.`);
+        if (market.exitInProgress) throw new ControlError(409, `An exit for ${asset} is already in progress.`);
+        this.logger.warn(`CONTROL API: Forcing a close of ${asset}.`);
+        const closeResult = await this.bot.closeMarketPosition(market, 'MANUAL');
+        if (!closeResult.success) throw new ControlError(502, closeResult.error);
+        return { price: closeResult.price };
+    }
+
+    async setTrigger({ asset, side = 'long', armed }) {
+        const market = this.getMarket(asset);
+        if (side !== 'long' && side !== 'short') throw new ControlError(400, "'side' must be 'long' or 'short'.");
+        if (typeof armed !== 'boolean') throw new ControlError(400, "'armed' must be true or false.");
+        await market.state.setTriggerArmed(armed, side);
+        return { side, armed };
+    }
+
+    async adjustStop({ asset, price }) {
+        const market = this.getMarket(asset);
+        const stopPrice = Number(price);
+        if (!Number.isFinite(stopPrice) || stopPrice <= 0) throw new ControlError(400, "'price' must be a positive number.");
+        if (!market.state.isInPosition()) throw new ControlError(409, `${asset} has no open position.`);
+        try {
+            await this.bot.adjustStop(market, stopPrice);
+        } catch (error) {
+            throw new ControlError(409, error.message);
+        }
+        return { stopPrice };
+    }
+
+    async engageKillSwitch({ reason = "Engaged via the control API", flatten = this.bot.config.circuitBreaker.flattenOnTrip }) {
+        if (typeof flatten !== 'boolean') throw new ControlError(400, "'flatten' must be true or false.");
+        this.logger.warn(`CONTROL API: Engaging the kill switch${flatten ? ' and flattening' : ''}.`);
+        await this.bot.engageKillSwitch(String(reason), flatten);
+        return this.bot.circuitBreaker.getStatus();
+    }
+
+    async resetCircuitBreaker() {
+        await this.bot.circuitBreaker.reset();
+        await this.bot.notifier.send("Circuit Breaker Reset", "New entries are allowed again (reset via the control API).", "info");
+        return this.bot.circuitBreaker.getStatus();
+    }
+}
+
+export default ControlServer;
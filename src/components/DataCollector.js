@@ -2,70 +2,200 @@
 import * as hl from "@nktkas/hyperliquid";
 import EventEmitter from 'events';
 import logger from '../utils/logger.js';
+import HyperliquidSocket from '../utils/HyperliquidSocket.js';
+import { getAssetConfigs } from '../utils/helpers.js';
+import { createTransport, getNetwork } from '../utils/network.js';
 
 class DataCollector extends EventEmitter {
     constructor(config) {
         super();
         this.config = config;
-        // 1. Initialize the InfoClient with the required transport layer
-        this.infoClient = new hl.InfoClient({
-            transport: new hl.HttpTransport({ isTestnet: false }), // Set isTestnet to true for testing
-        });
+        this.logger = logger.child({ component: 'DataCollector' });
+        this.assets = getAssetConfigs(config).map(c => c.trading.asset);
+        // 1. Initialize the InfoClient with the configured network's transport
+        this.infoClient = new hl.InfoClient({ transport: createTransport(config) });
         this.intervalId = null;
+        this.resumeTimeoutId = null; // Set while polling is paused after a 429
         this.backoffTime = config.collector.intervalSeconds * 1000;
+
+        // --- WebSocket streaming state ---
+        this.socket = null;
+        this.healthCheckId = null;
+        this.latestPrices = {}; // asset -> { price, receivedAt }
+        this.lastEmitAt = {}; // asset -> ms timestamp of the last emitted tick
+    }
+
+    get usesWebSocket() {
+        return this.config.collector.transport === 'websocket';
     }
 
     start() {
-        logger.info(`Starting data collector for ${this.config.trading.asset} every ${this.config.collector.intervalSeconds} seconds.`);
+        if (this.usesWebSocket) {
+            this.startStreaming();
+        } else {
+            this.startPolling();
+        }
+    }
+
+    stop() {
+        this.stopPolling();
+        if (this.socket) {
+            clearInterval(this.healthCheckId);
+            this.socket.close();
+            this.socket = null;
+        }
+        this.logger.info("Data collector stopped.");
+    }
+
+    startPolling() {
+        if (this.isPolling) return;
+        this.logger.info(`Starting data collector for ${this.assets.join(', ')} every ${this.config.collector.intervalSeconds} seconds.`);
         this.fetchPrice();
         this.intervalId = setInterval(() => this.fetchPrice(), this.config.collector.intervalSeconds * 1000);
     }
 
-    stop() {
+    stopPolling() {
         if (this.intervalId) {
             clearInterval(this.intervalId);
-            logger.info("Data collector stopped.");
+            this.intervalId = null;
+        }
+        if (this.resumeTimeoutId) {
+            clearTimeout(this.resumeTimeoutId);
+            this.resumeTimeoutId = null;
         }
     }
 
+    // A rate-limit pause still counts as polling, so a socket drop during it starts no
+    // second interval and a recovered stream cancels the restart.
+    get isPolling() {
+        return this.intervalId !== null || this.resumeTimeoutId !== null;
+    }
+
     async fetchPrice() {
-        const asset = this.config.trading.asset;
         try {
-            // 2. Use the client to call the allMids() method
+            // 2. Use the client to call the allMids() method. One poll serves every asset.
             const allMids = await this.infoClient.allMids();
             this.backoffTime = this.config.collector.intervalSeconds * 1000;
+            const timestamp = new Date().toISOString();
 
-            if (allMids[asset]) {
-                const price = parseFloat(allMids[asset]);
-                const timestamp = new Date().toISOString();
-                this.emit('newData', { timestamp, price });
-                logger.info(`Fetched new price for ${asset}: $${price.toFixed(4)}`);
-            } else {
-                logger.warn(`Asset '${asset}' not found in the API response.`);
+            for (const asset of this.assets) {
+                if (allMids[asset]) {
+                    const price = parseFloat(allMids[asset]);
+                    this.emit('newData', { asset, timestamp, price });
+                    this.logger.debug(`Fetched new price for ${asset}: $${price.toFixed(4)}`);
+                } else {
+                    this.logger.warn(`Asset '${asset}' not found in the API response.`);
+                }
             }
         } catch (error) {
-            // Exponential backoff logic remains the same
+            // Exponential backoff. Polling may already have stopped (or paused) while
+            // this request was in flight; then there is nothing to pause.
             if (error.message && error.message.includes('429')) {
-                logger.warn(`Rate limit exceeded (429). Backing off for ${this.backoffTime / 1000} seconds...`);
+                if (this.intervalId === null) return;
+                this.logger.warn(`Rate limit exceeded (429). Backing off for ${this.backoffTime / 1000} seconds...`);
                 clearInterval(this.intervalId);
-                await new Promise(resolve => setTimeout(resolve, this.backoffTime));
+                this.intervalId = null;
+                this.resumeTimeoutId = setTimeout(() => {
+                    this.resumeTimeoutId = null;
+                    this.startPolling();
+                }, this.backoffTime);
                 this.backoffTime = Math.min(this.backoffTime * 2, 3600000);
-                this.start(); 
             } else {
-                logger.error(`An unexpected error occurred in fetchPrice: ${error.message}`);
+                this.logger.error(`An unexpected error occurred in fetchPrice: ${error.message}`);
             }
         }
     }
 
+    // --- WebSocket Streaming ---
+
+    /**
+     * Streams mids and trades over a WebSocket instead of polling. While the socket
+     * is down or silent for longer than `staleAfterSeconds`, HTTP polling takes over
+     * so the bot never goes blind; it stops again once the stream recovers.
+     */
+    startStreaming() {
+        const { pingIntervalSeconds, maxBackoffSeconds, staleAfterSeconds } = this.config.collector.websocket;
+        const url = getNetwork(this.config).wsUrl;
+        this.logger.info(`Starting WebSocket data collector for ${this.assets.join(', ')} via ${url}.`);
+
+        this.socket = new HyperliquidSocket({
+            url,
+            pingIntervalMs: pingIntervalSeconds * 1000,
+            maxBackoffMs: maxBackoffSeconds * 1000,
+        });
+        this.socket.subscribe({ type: "allMids" });
+        for (const asset of this.assets) {
+            this.socket.subscribe({ type: "trades", coin: asset });
+        }
+        this.socket.on('message', (channel, data) => this.handleSocketMessage(channel, data));
+        this.socket.on('close', () => this.fallBackToPolling('WebSocket disconnected'));
+        this.socket.connect();
+
+        const staleAfterMs = staleAfterSeconds * 1000;
+        this.healthCheckId = setInterval(() => this.checkStreamHealth(staleAfterMs), Math.min(staleAfterMs / 2, 5000));
+    }
+
+    checkStreamHealth(staleAfterMs) {
+        const silentForMs = Date.now() - this.socket.lastMessageAt;
+        if (this.socket.isOpen && silentForMs > staleAfterMs) {
+            this.fallBackToPolling(`No WebSocket data for ${(silentForMs / 1000).toFixed(0)} seconds`);
+            this.socket.reconnect();
+        }
+    }
+
+    fallBackToPolling(reason) {
+        if (this.isPolling) return;
+        this.logger.warn(`${reason}. Falling back to HTTP polling until the stream recovers.`);
+        this.startPolling();
+    }
+
+    handleSocketMessage(channel, data) {
+        if (this.isPolling) {
+            this.logger.success("WebSocket stream recovered. Stopping HTTP polling.");
+            this.stopPolling();
+        }
+
+        if (channel === 'allMids') {
+            for (const asset of this.assets) {
+                if (data.mids[asset]) this.handleStreamPrice(asset, parseFloat(data.mids[asset]));
+            }
+        } else if (channel === 'trades') {
+            for (const trade of data) {
+                if (this.assets.includes(trade.coin)) this.handleStreamPrice(trade.coin, parseFloat(trade.px));
+            }
+        }
+    }
+
+    /**
+     * Records the latest streamed price and emits it as a tick, at most once per
+     * `minTickIntervalMs` per asset so the database and analysis keep up. Ticks are
+     * stamped on receipt, like polled ones, so they always arrive in order.
+     */
+    handleStreamPrice(asset, price) {
+        const now = Date.now();
+        this.latestPrices[asset] = { price, receivedAt: now };
+
+        const lastEmitAt = this.lastEmitAt[asset] || 0;
+        if (now - lastEmitAt < this.config.collector.websocket.minTickIntervalMs) return;
+        this.lastEmitAt[asset] = now;
+        this.emit('newData', { asset, timestamp: new Date(now).toISOString(), price });
+    }
+
     async getCurrentPrice(asset) {
+        // A fresh streamed price saves a round trip; otherwise ask the REST API.
+        const streamed = this.latestPrices[asset];
+        if (this.socket && !this.isPolling && streamed
+            && Date.now() - streamed.receivedAt < this.config.collector.websocket.staleAfterSeconds * 1000) {
+            return streamed.price;
+        }
         try {
             const allMids = await this.infoClient.allMids();
             return allMids[asset] ? parseFloat(allMids[asset]) : null;
         } catch (error) {
-            logger.error(`Error in getCurrentPrice for ${asset}: ${error.message}`);
+            this.logger.error(`Error in getCurrentPrice for ${asset}: ${error.message}`);
             return null;
         }
     }
 }
 
-export default DataCollector;
\ No newline at end of file
+export default DataCollector;
@@ -0,0 +1,136 @@
+// src/components/GapFiller.js
+import logger from '../utils/logger.js';
+import { expandCandle, getAssetConfigs, getTimeframeMs, systemClock } from '../utils/helpers.js';
+
+// The most candles the candleSnapshot endpoint returns per request.
+const CANDLES_PER_REQUEST = 5000;
+
+const describeDuration = (ms) => (ms >= 2 * 60 * 60 * 1000 ? `${(ms / 3600000).toFixed(1)}h` : `${Math.round(ms / 60000)}m`);
+
+/**
+ * Fills holes in the stored prices (e.g. while the bot was down) from the exchange's
+ * candle snapshots (see `collector.backfill` in config.js). Each candle fully inside a
+ * gap is stored as the four ticks it implies (see expandCandle()), with source
+ * 'backfill'. A gap the exchange has no candles for stays open; the analyzer then
+ * holds entries until it leaves the analysis window.
+ *
+ * Any two ticks that leave an analyzed candle without ticks are a gap, however close
+ * together they are, so every gap the analyzer would hold entries for gets filled.
+ */
+class GapFiller {
+    /**
+     * @param {Object} config - The global application configuration object.
+     * @param {DatabaseManager} db
+     * @param {Object} infoClient - A Hyperliquid InfoClient.
+     * @param {Object} [clock=systemClock]
+     */
+    constructor(config, db, infoClient, clock = systemClock) {
+        this.config = config.collector.backfill;
+        this.db = db;
+        this.infoClient = infoClient;
+        this.clock = clock;
+        this.logger = logger.child({ component: 'GapFiller' });
+        this.intervalMs = getTimeframeMs(this.config.interval);
+        // The shortest candle each asset is analyzed on (confirmation timeframes are longer).
+        this.candleMs = Object.fromEntries(getAssetConfigs(config).map(c => [c.trading.asset, getTimeframeMs(c.ta.timeframe)]));
+    }
+
+    get enabled() {
+        return this.config.enabled;
+    }
+
+    /**
+     * @param {string} asset
+     * @param {string} from - The timestamp of a tick.
+     * @param {string} to - The timestamp of the next tick.
+     * @returns {boolean} true if the ticks are more than `maxGapSeconds` apart, or leave
+     *   a whole candle of the asset's `ta.timeframe` between them without ticks.
+     */
+    isGap(asset, from, to) {
+        const fromMs = new Date(from).getTime();
+        const toMs = new Date(to).getTime();
+        if (toMs - fromMs > this.config.maxGapSeconds * 1000) return true;
+        const candleMs = this.candleMs[asset];
+        return candleMs !== undefined && Math.floor(toMs / candleMs) - Math.floor(fromMs / candleMs) > 1;
+    }
+
+    /**
+     * Finds the gaps in an asset's prices over the last `lookbackHours` (including the
+     * one up to now) and fills them. Used at startup; failures are logged, not thrown.
+     * @param {string} asset
+     * @returns {Promise<number>} How many ticks were stored.
+     */
+    async fillRecent(asset) {
+        if (!this.enabled) return 0;
+        const now = this.clock.now();
+        // The start of the lookback counts as a tick, so missing history is fetched too.
+        let previous = new Date(now.getTime() - this.config.lookbackHours * 60 * 60 * 1000).toISOString();
+        const gaps = [];
+        for await (const { timestamp } of this.db.streamPriceData({ asset, from: previous })) {
+            if (this.isGap(asset, previous, timestamp)) gaps.push([previous, timestamp]);
+            previous = timestamp;
+        }
+        if (this.isGap(asset, previous, now.toISOString())) gaps.push([previous, now.toISOString()]);
+
+        let stored = 0;
+        for (const [from, to] of gaps) {
+            stored += (await this.fillGap(asset, from, to)).length;
+        }
+        return stored;
+    }
+
+    /**
+     * Fetches the candles that fall entirely between two ticks and stores them. Only
+     * the last `lookbackHours` of a longer gap are filled.
+     * @param {string} asset
+     * @param {string} from - The timestamp of the tick before the gap.
+     * @param {string} to - The timestamp of the tick after the gap (or now).
+     * @returns {Promise<Array<Object>>} The stored ticks ({ timestamp, price }) in time order;
+     *   empty if the gap could not be filled.
+     */
+    async fillGap(asset, from, to) {
+        const end = new Date(to).getTime();
+        const start = Math.max(new Date(from).getTime(), end - this.config.lookbackHours * 60 * 60 * 1000);
+        const gap = `${describeDuration(end - new Date(from).getTime())} gap in ${asset} prices after ${from}`;
+        try {
+            const candles = await this.fetchCandles(asset, start, end);
+            const ticks = candles.flatMap(c => expandCandle({
+                start: c.t,
+                intervalMs: this.intervalMs,
+                open: Number(c.o),
+                high: Number(c.h),
+                low: Number(c.l),
+                close: Number(c.c),
+            }));
+            if (ticks.length === 0) {
+                this.logger.warn(`Could not fill the ${gap}: the exchange has no ${this.config.interval} candles for it.`);
+                return [];
+            }
+            const inserted = await this.db.savePriceBatch(ticks.map(tick => ({ asset, ...tick, source: 'backfill' })));
+            this.logger.info(`Filled the ${gap} with ${candles.length} ${this.config.interval} candles (${inserted} ticks).`);
+            await this.db.logEvent('PRICE_GAP_FILLED', { asset, from, to, candles: candles.length, ticks: inserted });
+            return ticks;
+        } catch (error) {
+            this.logger.warn(`Could not fill the ${gap}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} The exchange's candles that start after `start`
+     *   and close before `end`, oldest first.
+     */
+    async fetchCandles(asset, start, end) {
+        const candles = [];
+        let cursor = start;
+        while (cursor < end) {
+            const page = await this.infoClient.candleSnapshot({ coin: asset, interval: this.config.interval, startTime: cursor, endTime: end });
+            candles.push(...page.filter(c => c.t > start && c.T < end));
+            if (page.length < CANDLES_PER_REQUEST) break;
+            cursor = page[page.length - 1].t + this.intervalMs;
+        }
+        return candles;
+    }
+}
+
+export default GapFiller;
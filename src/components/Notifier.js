@@ -1,46 +1,155 @@
 // src/components/Notifier.js
-import axios from 'axios';
-import logger from '../utils/logger.js'; // <-- Import logger for better error handling
+import logger from '../utils/logger.js';
+import { systemClock } from '../utils/helpers.js';
+import { createChannels, SEVERITIES } from '../notifications/index.js';
 
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Fans alerts out to every configured channel (see `notifications` in config.js).
+ *
+ * `send()` only queues: each alert is written to the outbox table once per channel
+ * that accepts its severity, and delivered from there. A failed delivery is retried
+ * with exponential backoff, so alerts raised during an outage (or before a restart)
+ * go out once the channel is reachable again. On top of that:
+ *   - the same alert within `dedupeWindowSeconds` is dropped (callers can pass a
+ *     `dedupeKey` to treat alerts with changing details as the same alert);
+ *   - each channel delivers at most `maxPerMinute` alerts; the rest wait their turn.
+ */
 class Notifier {
-    constructor(discordConfig) {
-        // --- FIX: Expect the config object and get the URL from it ---
-        this.webhookUrl = discordConfig.webhookUrl;
-        this.botName = discordConfig.botName;
+    /**
+     * @param {Object} config - The `notifications` config section.
+     * @param {DatabaseManager} db - Holds the outbox; must be connected before send() or start().
+     * @param {Object} [clock=systemClock]
+     */
+    constructor(config, db, clock = systemClock) {
+        this.config = config;
+        this.db = db;
+        this.clock = clock;
+        this.logger = logger.child({ component: 'Notifier' });
+        this.channels = createChannels(config);
+        this.recentAlerts = new Map(); // dedupe key -> time it was last queued (ms)
+        this.deliveries = new Map(); // channel name -> delivery times within the last minute (ms)
+        this.flushing = null;
+        this.flushAgain = false;
+        this.timer = null;
     }
 
-    async send(title, message, type = 'info') {
-        // Add a check to prevent crashing if the URL is not set in .env
-        if (!this.webhookUrl) {
-            logger.warn("Discord webhook URL not set. Skipping notification.");
+    /**
+     * Delivers whatever is left in the outbox and starts the periodic flush.
+     */
+    start() {
+        if (this.channels.length === 0) {
+            this.logger.warn("No notification channels configured. Alerts will not be sent.");
+        } else {
+            this.logger.info(`Notification channels: ${this.channels.map(c => `${c.name} (${SEVERITIES[c.minLevel]}+)`).join(', ')}.`);
+        }
+        this.timer = setInterval(() => this.flush(), this.config.flushIntervalSeconds * 1000);
+        return this.flush();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    /**
+     * Queues an alert on every channel that accepts its severity.
+     * @param {string} title
+     * @param {string} message
+     * @param {string} [type='info'] - The severity: 'info', 'success', 'warning' or 'error'.
+     * @param {Object} [options]
+     * @param {string} [options.dedupeKey] - Identifies repeats of the alert; defaults to the title and message.
+     */
+    async send(title, message, type = 'info', { dedupeKey = `${title}\n${message}` } = {}) {
+        const now = this.clock.now().getTime();
+        const windowMs = this.config.dedupeWindowSeconds * 1000;
+        for (const [key, queuedAt] of this.recentAlerts) {
+            if (now - queuedAt >= windowMs) this.recentAlerts.delete(key);
+        }
+        if (this.recentAlerts.has(dedupeKey)) {
+            this.logger.info(`Suppressed repeated alert "${title}".`);
             return;
         }
+        this.recentAlerts.set(dedupeKey, now);
 
-        let color;
-        switch (type) {
-            case 'success': color = 3066993; break; // Green
-            case 'error': color = 15158332; break; // Red
-            case 'warning': color = 15105570; break; // Yellow
-            default: color = 3447003; // Blue
+        const severity = SEVERITIES.includes(type) ? type : 'info';
+        const notification = { title, message, severity, timestamp: new Date(now).toISOString() };
+        const channels = this.channels.filter(c => c.accepts(severity));
+        for (const channel of channels) {
+            await this.db.enqueueNotification(channel.name, notification);
         }
+        if (channels.length > 0) this.flush();
+    }
 
-        const embed = {
-            title,
-            description: message,
-            color,
-            timestamp: new Date().toISOString(),
-        };
-
-        try {
-            await axios.post(this.webhookUrl, { 
-                username: this.botName,
-                embeds: [embed] 
-            });
-        } catch (error) {
-            // Log the actual error without crashing the bot
-            logger.error(`Error sending Discord notification: ${error.message}`);
+    /**
+     * Delivers the alerts that are due. Only one flush runs at a time; a flush requested
+     * meanwhile runs right after it.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.flushing) {
+            this.flushAgain = true;
+            return this.flushing;
+        }
+        this.flushing = (async () => {
+            do {
+                this.flushAgain = false;
+                await this.deliverDue();
+            } while (this.flushAgain);
+        })()
+            .catch(error => this.logger.error(`Error flushing the outbox: ${error.message}`))
+            .finally(() => { this.flushing = null; });
+        return this.flushing;
+    }
+
+    async deliverDue() {
+        const now = this.clock.now();
+        const due = await this.db.getDueNotifications(now.toISOString());
+        // A channel that fails or runs out of its rate limit is skipped for the rest of the round.
+        const skipped = new Set();
+        for (const row of due) {
+            if (skipped.has(row.channel)) continue;
+            const channel = this.channels.find(c => c.name === row.channel);
+            if (!channel) {
+                await this.db.recordNotificationFailure(row.id, { nextAttemptAt: null, error: `Channel '${row.channel}' is no longer configured.` });
+                continue;
+            }
+            if (!this.hasDeliverySlot(channel.name, now.getTime())) {
+                skipped.add(channel.name);
+                continue;
+            }
+            try {
+                await channel.deliver({ title: row.title, message: row.message, severity: row.severity, timestamp: row.created_at });
+                this.deliveries.get(channel.name).push(now.getTime());
+                await this.db.deleteNotification(row.id);
+            } catch (error) {
+                skipped.add(channel.name);
+                await this.scheduleRetry(row, error, now);
+            }
+        }
+    }
+
+    hasDeliverySlot(channelName, now) {
+        const recent = (this.deliveries.get(channelName) || []).filter(time => now - time < MINUTE_MS);
+        this.deliveries.set(channelName, recent);
+        return recent.length < this.config.maxPerMinute;
+    }
+
+    async scheduleRetry(row, error, now) {
+        const { maxAttempts, baseDelaySeconds, maxDelaySeconds } = this.config.retry;
+        const attempts = row.attempts + 1;
+        if (attempts >= maxAttempts) {
+            this.logger.error(`Giving up on ${row.channel} alert "${row.title}" after ${attempts} attempts: ${error.message}`);
+            await this.db.recordNotificationFailure(row.id, { nextAttemptAt: null, error: error.message });
+            return;
         }
+        const delaySeconds = Math.min(baseDelaySeconds * 2 ** (attempts - 1), maxDelaySeconds);
+        this.logger.warn(`Could not deliver ${row.channel} alert "${row.title}" (attempt ${attempts}): ${error.message}. Retrying in ${delaySeconds}s.`);
+        await this.db.recordNotificationFailure(row.id, {
+            nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000).toISOString(),
+            error: error.message,
+        });
     }
 }
 
-export default Notifier;
\ No newline at end of file
+export default Notifier;
@@ -0,0 +1,166 @@
+// src/components/OrderManager.js
+import logger from '../utils/logger.js';
+import { formatPrice } from '../utils/helpers.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The rejection Hyperliquid gives an IOC order that found nothing to fill against at its price.
+const IOC_MISS = /could not immediately match/i;
+
+/**
+ * Works market-style orders on the exchange (live mode). Orders are IOC limits;
+ * whatever one leaves unfilled is sent again from a fresh mid with more slippage,
+ * up to `orders.maxSlippage`, until the size is filled or `orders.maxAttempts` run out.
+ * Rejections other than a missed IOC, and requests whose outcome is unknown (e.g. a
+ * timeout), are never retried, so an order cannot be filled twice.
+ *
+ * The fills reported here are not the last word: callers confirm the position through
+ * the clearinghouse state (getPosition) before recording anything.
+ */
+class OrderManager {
+    /**
+     * @param {Object} config - The global application configuration object.
+     * @param {Object} clients
+     * @param {Object} clients.exchangeClient
+     * @param {Object} clients.infoClient
+     * @param {DataCollector} clients.dataCollector - For the current mid before each attempt.
+     * @param {string} clients.userAddress - The account holding the positions.
+     */
+    constructor(config, { exchangeClient, infoClient, dataCollector, userAddress }) {
+        this.config = config;
+        this.exchangeClient = exchangeClient;
+        this.infoClient = infoClient;
+        this.dataCollector = dataCollector;
+        this.userAddress = userAddress.toLowerCase();
+        this.logger = logger.child({ component: 'OrderManager' });
+    }
+
+    /**
+     * Fills `size` with as many IOC orders as it takes (see above).
+     * @param {Object} order
+     * @param {string} order.asset
+     * @param {number} order.assetIndex
+     * @param {number} order.szDecimals
+     * @param {boolean} order.isBuy
+     * @param {number} order.size - In coins.
+     * @param {boolean} [order.reduceOnly=false]
+     * @param {number} order.slippage - The slippage of the first attempt (e.g. trading.slippage).
+     * @returns {Promise<Object>} { filledSize, avgPx, attempts, error }, where `avgPx` is null
+     *   without fills and `error` says why the order stopped short (null once it is filled).
+     */
+    async fill({ asset, assetIndex, szDecimals, isBuy, size, reduceOnly = false, slippage }) {
+        const { maxAttempts, slippageStep, maxSlippage, retryDelayMs } = this.config.orders;
+        const log = this.logger.child({ asset });
+        let filledSize = 0;
+        let notional = 0;
+        let attempts = 0;
+        let error = null;
+        let lastRejection = null;
+
+        while (attempts < maxAttempts) {
+            const remaining = Number((size - filledSize).toFixed(szDecimals));
+            if (remaining <= 0) break;
+            if (attempts > 0) await sleep(retryDelayMs);
+            attempts++;
+
+            const attemptSlippage = Math.min(slippage + (attempts - 1) * slippageStep, maxSlippage);
+            const price = await this.dataCollector.getCurrentPrice(asset);
+            if (!price) {
+                error = `Could not fetch current price for ${asset}.`;
+                break;
+            }
+            const limitPx = formatPrice(price * (isBuy ? 1 + attemptSlippage : 1 - attemptSlippage), szDecimals);
+            const outcome = await this.submit({ asset, assetIndex, isBuy, limitPx, size: remaining.toFixed(szDecimals), reduceOnly });
+            if (outcome.filledSize > 0) {
+                filledSize += outcome.filledSize;
+                notional += outcome.filledSize * outcome.avgPx;
+            }
+            log.info(`Order attempt ${attempts}/${maxAttempts}: ${isBuy ? 'BUY' : 'SELL'} ${remaining} @ ${limitPx} (${(attemptSlippage * 100).toFixed(2)}% slippage) filled ${outcome.filledSize}.${outcome.error ? ` ${outcome.error}` : ''}`);
+            if (outcome.error) lastRejection = outcome.error;
+            error = outcome.retry ? null : outcome.error;
+            if (!outcome.retry) break;
+        }
+
+        filledSize = Number(filledSize.toFixed(szDecimals));
+        if (!error && filledSize < Number(size.toFixed(szDecimals))) {
+            error = `Only ${filledSize} of ${size} filled after ${attempts} attempt(s).${lastRejection ? ` Last: ${lastRejection}` : ''}`;
+        }
+        return { filledSize, avgPx: filledSize > 0 ? notional / filledSize : null, attempts, error };
+    }
+
+    /**
+     * Sends one IOC order.
+     * @returns {Promise<Object>} { filledSize, avgPx, error, retry } where `retry` says whether
+     *   sending the rest again is safe and worthwhile.
+     */
+    async submit({ asset, assetIndex, isBuy, limitPx, size, reduceOnly }) {
+        const order = { a: assetIndex, b: isBuy, p: limitPx, s: size, r: reduceOnly, t: { limit: { tif: "Ioc" } } };
+        let status;
+        try {
+            const result = await this.exchangeClient.order({ orders: [order], grouping: "na" });
+            status = result?.response?.data?.statuses?.[0];
+            if (result?.status !== "ok" || !status) {
+                return { filledSize: 0, error: `Order failed: ${JSON.stringify(result)}`, retry: false };
+            }
+        } catch (error) {
+            // The SDK throws on a rejected order, with the exchange's reason in the response.
+            const rejection = error.response?.response?.data?.statuses?.[0]?.error;
+            if (rejection) return { filledSize: 0, error: rejection, retry: IOC_MISS.test(rejection) };
+            return { filledSize: 0, error: `Order outcome unknown: ${error.message}`, retry: false };
+        }
+
+        if (status.filled) {
+            // An IOC fills what it can and cancels the rest, so this may be a partial fill.
+            return { filledSize: parseFloat(status.filled.totalSz), avgPx: parseFloat(status.filled.avgPx), error: null, retry: true };
+        }
+        if (status.resting) return this.cancelResting(asset, assetIndex, status.resting.oid);
+        if (status.error) return { filledSize: 0, error: status.error, retry: IOC_MISS.test(status.error) };
+        return { filledSize: 0, error: `Unexpected order status: ${JSON.stringify(status)}`, retry: false };
+    }
+
+    /**
+     * An IOC should never rest on the book, but if one does it is cancelled, and
+     * whatever it filled before that is counted (at its limit price, the worst case;
+     * the trade is reconciled with the real fills later).
+     */
+    async cancelResting(asset, assetIndex, oid) {
+        this.logger.warn(`Order ${oid} for ${asset} is resting on the book. Cancelling it.`);
+        try {
+            await this.exchangeClient.cancel({ cancels: [{ a: assetIndex, o: oid }] });
+        } catch (error) {
+            // It may have filled in the meantime; the order status below tells.
+            this.logger.warn(`Could not cancel order ${oid} for ${asset}: ${error.message}`);
+        }
+        try {
+            const response = await this.infoClient.orderStatus({ user: this.userAddress, oid });
+            if (response.status !== "order") throw new Error(`order ${oid} is unknown to the exchange`);
+            const { origSz, sz, limitPx } = response.order.order;
+            const filledSize = parseFloat(origSz) - parseFloat(sz);
+            return { filledSize, avgPx: parseFloat(limitPx), error: null, retry: response.order.status !== "open" };
+        } catch (error) {
+            return { filledSize: 0, error: `Order outcome unknown: ${error.message}`, retry: false };
+        }
+    }
+
+    /**
+     * The asset's position according to the clearinghouse state. A few failed
+     * requests are retried, since callers cannot go on without the answer.
+     * @param {string} asset
+     * @returns {Promise<Object|null>} The position ({ coin, szi, entryPx, ... }), or null when flat.
+     * @throws {Error} If the clearinghouse state cannot be fetched.
+     */
+    async getPosition(asset, attempts = 3) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const state = await this.infoClient.clearinghouseState({ user: this.userAddress });
+                if (!Array.isArray(state?.assetPositions)) throw new Error("the response has no asset positions");
+                return state.assetPositions.find(p => p?.position?.coin === asset)?.position ?? null;
+            } catch (error) {
+                if (attempt >= attempts) throw new Error(`Could not confirm the ${asset} position: ${error.message}`);
+                await sleep(this.config.orders.retryDelayMs);
+            }
+        }
+    }
+}
+
+export default OrderManager;
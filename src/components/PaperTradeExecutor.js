@@ -0,0 +1,151 @@
+// src/components/PaperTradeExecutor.js
+import fs from 'fs';
+import logger from '../utils/logger.js';
+import VirtualAccount from '../utils/VirtualAccount.js';
+import { getAssetConfigs } from '../utils/helpers.js';
+
+/**
+ * A drop-in replacement for TradeExecutor that never touches the exchange.
+ * Orders are filled against the live mid price from the DataCollector with
+ * configurable slippage and fees, and the resulting virtual account is
+ * reported in the same shape as the exchange's clearinghouse state.
+ */
+class PaperTradeExecutor {
+    constructor(config, db, dataCollector) {
+        this.config = config;
+        this.db = db;
+        this.dataCollector = dataCollector;
+        this.logger = logger.child({ component: 'PaperTradeExecutor' });
+        this.stateFile = config.paper.stateFile;
+        this.isSimulated = true;
+        this.nextOrderId = 1;
+
+        const { startingBalance, feeRate, slippage } = config.paper;
+        this.account = new VirtualAccount({
+            startingBalance,
+            leverage: config.trading.leverage,
+            feeRate,
+            slippage,
+        });
+        for (const assetConfig of getAssetConfigs(config)) {
+            this.account.setLeverage(assetConfig.trading.asset, assetConfig.trading.leverage);
+        }
+        this.loadAccount();
+        this.logger.warn(`PaperTradeExecutor initialized. Virtual balance: $${this.account.balance.toFixed(2)}. NO REAL ORDERS WILL BE SENT.`);
+    }
+
+    loadAccount() {
+        try {
+            this.account.restore(JSON.parse(fs.readFileSync(this.stateFile, 'utf8')));
+            this.logger.info(`Restored paper account from ${this.stateFile}.`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Could not restore paper account from ${this.stateFile}: ${error.message}`);
+            }
+        }
+    }
+
+    saveAccount() {
+        try {
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.account.snapshot(), null, 2));
+        } catch (error) {
+            this.logger.error(`Could not save paper account to ${this.stateFile}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Paper positions use the configured leverage as-is; there is no exchange to set it on.
+     */
+    async prepareLeverage(asset, leverage) {
+        this.account.setLeverage(asset, leverage);
+        return leverage;
+    }
+
+    async executeBuy(asset, usdSize) {
+        return this.openPosition(asset, usdSize, true);
+    }
+
+    async executeSell(asset, usdSize) {
+        return this.openPosition(asset, usdSize, false);
+    }
+
+    async openPosition(asset, usdSize, isBuy) {
+        const direction = isBuy ? "LONG" : "SHORT";
+        try {
+            this.logger.info(`[PAPER] Executing ${isBuy ? "BUY" : "SELL"} for ${asset} with target size ~$${usdSize}`);
+            const currentPrice = await this.dataCollector.getCurrentPrice(asset);
+            if (!currentPrice) throw new Error(`Could not fetch current price for ${asset}.`);
+
+            const fill = this.account.fill(asset, isBuy, usdSize / currentPrice, currentPrice);
+            this.saveAccount();
+
+            this.logger.success(`[PAPER] TRADE EXECUTED: ${isBuy ? "Bought" : "Sold"} ${fill.totalSz.toFixed(4)} ${asset} @ $${fill.avgPx.toFixed(4)} (fee $${fill.fee.toFixed(4)})`);
+            await this.db.updatePosition(asset, direction, fill.totalSz, fill.avgPx, "OPEN", true);
+            await this.db.logEvent("TRADE_EXECUTED", { asset, direction, size: fill.totalSz, avg_px: fill.avgPx, fee: fill.fee, simulated: true });
+            await this.db.openTrade({ asset, direction, entryPx: fill.avgPx, size: fill.totalSz, fees: fill.fee, simulated: true });
+
+            const filledOrder = { oid: this.nextOrderId++, avgPx: fill.avgPx.toString(), totalSz: fill.totalSz.toString() };
+            return { success: true, filledOrder: filledOrder };
+        } catch (error) {
+            this.logger.error(`[PAPER] Error in execute${isBuy ? "Buy" : "Sell"}: ${error.message}`);
+            await this.db.logEvent("TRADE_FAILED", { error: error.message, simulated: true });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async closePosition(asset, size, reason = "MANUAL") {
+        try {
+            const isClosingLong = size > 0;
+            this.logger.info(`[PAPER] Executing CLOSE for ${asset} position of size ${size}. Action: ${isClosingLong ? "SELL" : "BUY"}`);
+            if (!this.account.getPosition(asset)) throw new Error(`No paper position open for ${asset}.`);
+            const currentPrice = await this.dataCollector.getCurrentPrice(asset);
+            if (!currentPrice) throw new Error(`Could not fetch current price for ${asset}.`);
+
+            const fill = this.account.fill(asset, !isClosingLong, Math.abs(size), currentPrice);
+            this.saveAccount();
+
+            await this.db.closeTrade(asset, { exitReason: reason, exitPx: fill.avgPx, size: fill.totalSz, fees: fill.fee, realizedPnl: fill.realizedPnl });
+            const remaining = this.account.getPosition(asset);
+            if (remaining) {
+                this.logger.success(`[PAPER] POSITION REDUCED: Closed ${fill.totalSz} ${asset} @ ~$${fill.avgPx.toFixed(4)}, ${Math.abs(remaining.szi)} left open. Realized PnL: $${fill.realizedPnl.toFixed(2)}`);
+                await this.db.updatePosition(asset, remaining.szi > 0 ? "LONG" : "SHORT", Math.abs(remaining.szi), remaining.entryPx, "OPEN", true);
+                await this.db.logEvent("POSITION_REDUCED", { asset, reason, size: fill.totalSz, avg_px: fill.avgPx, fee: fill.fee, realized_pnl: fill.realizedPnl, remaining: Math.abs(remaining.szi), simulated: true });
+            } else {
+                this.logger.success(`[PAPER] POSITION CLOSED: ${asset} @ ~$${fill.avgPx.toFixed(4)}. Realized PnL: $${fill.realizedPnl.toFixed(2)}`);
+                await this.db.updatePosition(asset, "N/A", 0, 0, "CLOSED", true);
+                await this.db.logEvent("POSITION_CLOSED", { asset, size, avg_px: fill.avgPx, fee: fill.fee, realized_pnl: fill.realizedPnl, simulated: true });
+            }
+            return { success: true, price: fill.avgPx, size: fill.totalSz, remaining: remaining ? Math.abs(remaining.szi) : 0 };
+        } catch (error) {
+            this.logger.error(`[PAPER] Error in closePosition: ${error.message}`);
+            await this.db.logEvent("CLOSE_FAILED", { asset, error: error.message, simulated: true });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Paper positions only disappear if the account file is reset, so there are no
+     * fills to reconcile against; the trade is closed without an exit price.
+     */
+    async recordExternalClose(asset) {
+        const trade = await this.db.closeTrade(asset, { exitReason: "EXTERNAL" });
+        if (trade) this.logger.warn(`[PAPER] Recorded external close of ${asset} trade #${trade.id}.`);
+    }
+
+    async getClearinghouseState() {
+        try {
+            const markPrices = {};
+            for (const coin of Object.keys(this.account.positions)) {
+                const price = await this.dataCollector.getCurrentPrice(coin);
+                if (!price) throw new Error(`Could not fetch mark price for ${coin}.`);
+                markPrices[coin] = price;
+            }
+            return this.account.getClearinghouseState(markPrices);
+        } catch (error) {
+            this.logger.error(`[PAPER] Error building clearinghouse state: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+export default PaperTradeExecutor;
@@ -0,0 +1,65 @@
+// src/components/PositionSizer.js
+import { getInitialStopPrice } from '../utils/helpers.js';
+
+export const SIZING_MODES = ['fixed', 'equity', 'risk'];
+
+/**
+ * Works out the notional of a new position from `trading.sizing`:
+ *   fixed  - `trading.tradeUsdSize` every time;
+ *   equity - `sizing.equityPct` of the account value committed as margin;
+ *   risk   - sized so that a fill at the initial stop (see `risk.initialStop`)
+ *            loses `sizing.riskPct` of the account value.
+ * Every plan is checked against the margin the account has available.
+ */
+class PositionSizer {
+    /**
+     * @param {Object} config - The resolved config of the asset being traded.
+     */
+    constructor(config) {
+        this.config = config;
+        const { mode } = config.trading.sizing;
+        if (!SIZING_MODES.includes(mode)) {
+            throw new Error(`trading.sizing.mode must be one of ${SIZING_MODES.join(', ')}, got '${mode}'.`);
+        }
+    }
+
+    /**
+     * @param {Object} params
+     * @param {number} params.price - The expected entry price.
+     * @param {boolean} params.isShort - true for a short entry.
+     * @param {number} params.leverage - The leverage in effect on the exchange.
+     * @param {Object} params.clearinghouseState - The account state from the executor.
+     * @param {number} [params.atr] - The latest ATR (required for ATR-based stops).
+     * @returns {Object} { usdSize, marginRequired, stopPrice, stopDistance }, or { error }
+     *   when the entry cannot be sized or the account lacks the margin for it.
+     */
+    plan({ price, isShort, leverage, clearinghouseState, atr }) {
+        const { sizing, tradeUsdSize } = this.config.trading;
+        const accountValue = Number(clearinghouseState.marginSummary?.accountValue);
+        const availableMargin = Number(clearinghouseState.withdrawable);
+
+        let stopPrice;
+        try {
+            stopPrice = getInitialStopPrice(price, isShort, leverage, this.config.risk, atr);
+        } catch (error) {
+            return { error: error.message };
+        }
+        const stopDistance = Math.abs(price - stopPrice);
+
+        let usdSize = tradeUsdSize;
+        if (sizing.mode !== 'fixed') {
+            if (!(accountValue > 0)) return { error: "The account value is not available." };
+            usdSize = sizing.mode === 'equity'
+                ? accountValue * sizing.equityPct * leverage
+                : (accountValue * sizing.riskPct / stopDistance) * price;
+        }
+
+        const marginRequired = usdSize / leverage;
+        if (!(marginRequired <= availableMargin)) {
+            return { error: `$${usdSize.toFixed(2)} at ${leverage}x needs $${marginRequired.toFixed(2)} of margin, but only $${availableMargin.toFixed(2)} is available.` };
+        }
+        return { usdSize, marginRequired, stopPrice, stopDistance };
+    }
+}
+
+export default PositionSizer;
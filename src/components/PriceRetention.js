@@ -0,0 +1,150 @@
+// src/components/PriceRetention.js
+import logger from '../utils/logger.js';
+import { getAssetConfigs, getTimeframeMs, systemClock } from '../utils/helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Candles written per transaction.
+const BATCH_SIZE = 5000;
+
+/**
+ * Keeps the `prices` table bounded (see `database.retention` in config.js). Raw ticks
+ * older than `keepDays` are rolled up into OHLC candles of each configured timeframe,
+ * with their tick count, in the `candles` table and then deleted. Whatever reads the
+ * price history (the analyzer's warm-up, the backtester, the chart) falls back to those
+ * candles where the ticks are gone.
+ *
+ * The cutoff is aligned to the longest timeframe, so only complete candles are written.
+ * A candle that is already stored (e.g. imported) is kept as it is.
+ */
+class PriceRetention {
+    /**
+     * @param {Object} config - The global application configuration object.
+     * @param {DatabaseManager} db
+     * @param {Object} [clock=systemClock]
+     */
+    constructor(config, db, clock = systemClock) {
+        this.config = config.database.retention;
+        this.assets = getAssetConfigs(config).map(c => c.trading.asset);
+        this.db = db;
+        this.clock = clock;
+        this.logger = logger.child({ component: 'PriceRetention' });
+        this.longestMs = Math.max(...this.config.timeframes.map(getTimeframeMs));
+        this.timer = null;
+        this.running = null;
+    }
+
+    get enabled() {
+        return this.config.enabled;
+    }
+
+    /**
+     * Runs the job now and then every `intervalHours`. Does nothing if retention is disabled.
+     * @returns {Promise<Array<Object>>} The first run (see run()).
+     */
+    start() {
+        if (!this.enabled) return Promise.resolve([]);
+        this.logger.info(`Rolling up ticks older than ${this.config.keepDays} days into ${this.config.timeframes.join(', ')} candles every ${this.config.intervalHours}h.`);
+        this.timer = setInterval(() => this.run(), this.config.intervalHours * HOUR_MS);
+        return this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    /**
+     * @returns {string} The ISO timestamp before which ticks are rolled up: `keepDays` ago,
+     *   rounded down to the start of a candle of the longest timeframe.
+     */
+    cutoff() {
+        const keepUntil = this.clock.now().getTime() - this.config.keepDays * DAY_MS;
+        return new Date(Math.floor(keepUntil / this.longestMs) * this.longestMs).toISOString();
+    }
+
+    /**
+     * Rolls up and prunes the old ticks of each asset. A run already in progress is
+     * joined instead of started twice. Failures are logged per asset, not thrown.
+     * @param {Object} [options]
+     * @param {Array<string>} [options.assets] - Defaults to the configured assets.
+     * @returns {Promise<Array<Object>>} One result per asset that was rolled up (see rollUp()).
+     */
+    run({ assets = this.assets } = {}) {
+        if (!this.running) {
+            this.running = this.runAll(assets).finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async runAll(assets) {
+        const before = this.cutoff();
+        const results = [];
+        for (const asset of assets) {
+            try {
+                results.push(await this.rollUp(asset, before));
+            } catch (error) {
+                this.logger.error(`Could not roll up ${asset} prices older than ${before}: ${error.message}`);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Rolls an asset's ticks older than `before` into candles, then deletes them.
+     * @param {string} asset
+     * @param {string} before - Exclusive upper bound (ISO timestamp), at a candle boundary.
+     * @returns {Promise<Object>} { asset, before, ticks, candles: { timeframe: count }, pruned }
+     */
+    async rollUp(asset, before) {
+        const builders = this.config.timeframes.map(timeframe => ({ timeframe, intervalMs: getTimeframeMs(timeframe), current: null }));
+        const candles = Object.fromEntries(this.config.timeframes.map(timeframe => [timeframe, 0]));
+        let pending = [];
+        let ticks = 0;
+
+        const flush = async () => {
+            if (pending.length > 0) await this.db.saveCandleBatch(pending);
+            pending = [];
+        };
+        const close = (builder) => {
+            if (!builder.current) return;
+            pending.push({ asset, timeframe: builder.timeframe, ...builder.current, source: 'rollup' });
+            candles[builder.timeframe]++;
+        };
+
+        for await (const { timestamp, price } of this.db.streamPriceData({ asset, to: before })) {
+            if (timestamp >= before) break;
+            ticks++;
+            const time = new Date(timestamp).getTime();
+            for (const builder of builders) {
+                const start = new Date(Math.floor(time / builder.intervalMs) * builder.intervalMs).toISOString();
+                const current = builder.current;
+                if (current && current.timestamp === start) {
+                    current.high = Math.max(current.high, price);
+                    current.low = Math.min(current.low, price);
+                    current.close = price;
+                    current.ticks++;
+                } else {
+                    close(builder);
+                    builder.current = { timestamp: start, open: price, high: price, low: price, close: price, ticks: 1 };
+                }
+            }
+            if (pending.length >= BATCH_SIZE) await flush();
+        }
+        builders.forEach(close);
+        await flush();
+
+        // Deleted only once every candle is stored, so an interrupted run loses nothing.
+        const pruned = ticks > 0 ? await this.db.prunePrices(asset, before) : 0;
+        const result = { asset, before, ticks, candles, pruned };
+        if (ticks > 0) {
+            const summary = Object.entries(candles).map(([timeframe, count]) => `${count} ${timeframe}`).join(', ');
+            this.logger.info(`Rolled ${ticks} ${asset} ticks from before ${before} into ${summary} candles and deleted them.`);
+            await this.db.logEvent('PRICES_ROLLED_UP', result);
+        } else {
+            this.logger.debug(`No ${asset} ticks older than ${before} to roll up.`);
+        }
+        return result;
+    }
+}
+
+export default PriceRetention;
@@ -1,95 +1,318 @@
 import logger from '../utils/logger.js';
+import { getInitialStopPrice, getPositionIdentity, getRoeExitPrices, isSamePosition, systemClock } from '../utils/helpers.js';
 
 class RiskManager {
-    constructor(config, db) {
+    constructor(config, db, clock = systemClock) {
         this.config = config;
         this.db = db;
+        this.clock = clock;
+        this.logger = logger.child({ component: 'RiskManager', asset: config.trading.asset });
         this.positionState = {};
     }
 
     async checkPosition(position, positionInfo, currentPrice, analysis) {
         const { asset, entry_px } = position;
         const { stopLossPercentage, takeProfitPercentage } = this.config.risk;
+        const isShort = Number(positionInfo.szi) < 0;
 
-        if (!analysis || analysis.wma_fib_0 === null || analysis.fib_entry === null) {
-            logger.warn(`RiskManager: Skipping check for ${asset} due to missing analysis data.`);
+        // Longs trail the lowest-low side of the fib range, shorts the highest-high side.
+        const trailLevel = isShort ? analysis?.wma_fib_100 : analysis?.wma_fib_0;
+        const activationLevel = isShort ? analysis?.fib_short_entry : analysis?.fib_entry;
+
+        if (!analysis || trailLevel == null || activationLevel == null) {
+            this.logger.warn(`Skipping check for ${asset} due to missing analysis data.`);
             return { shouldClose: false };
         }
 
-        const { wma_fib_0, fib_entry } = analysis;
+        const trailName = isShort ? 'wma_fib_100' : 'wma_fib_0';
+        const activationName = isShort ? 'fib_short_entry' : 'fib_entry';
         const roe = parseFloat(positionInfo.returnOnEquity);
 
         // 1. Initialize state for a newly detected position
         if (!this.positionState[asset]) {
-            this.positionState[asset] = {
-                fibStopActive: false,
-                stopPrice: null,
-                entryTime: new Date(), // <-- Track when the position was first seen
-            };
-            logger.info(`RiskManager: New position detected for ${asset}. Entry: $${entry_px}. Monitoring...`);
-            await this.db.logEvent("NEW_POSITION_MONITORING", { asset, entry_price: entry_px });
+            const initialStopPrice = this.config.risk.initialStop === 'atr'
+                ? getInitialStopPrice(entry_px, isShort, positionInfo.leverage?.value ?? this.config.trading.leverage, this.config.risk, analysis.atr)
+                : null;
+            await this.startPosition(asset, positionInfo, initialStopPrice);
         }
 
         const state = this.positionState[asset];
-        const now = new Date();
+        const now = this.clock.now();
         const timeInTradeMs = now - state.entryTime;
         const gracePeriodMs = 60 * 1000; // 60-second grace period
 
+        // "Better" means higher for a long stop and lower for a short stop.
+        const isInProfitZone = isShort ? activationLevel < entry_px : activationLevel > entry_px;
+        const isTighterStop = (price) => isShort ? price < state.stopPrice : price > state.stopPrice;
+
         // --- Main Stop Logic ---
 
         // 2. Check if the Fibonacci trailing stop can be activated or updated.
         // It can only activate AFTER the grace period.
         if (timeInTradeMs > gracePeriodMs) {
-            if (fib_entry > entry_px) {
+            if (isInProfitZone) {
                 if (!state.fibStopActive) {
                     state.fibStopActive = true;
-                    state.stopPrice = wma_fib_0;
-                    logger.info(`FIB-TRAIL ACTIVATED for ${asset}. fib_entry ($${fib_entry.toFixed(2)}) > entry ($${entry_px.toFixed(2)}).`);
-                    logger.info(`   Initial Stop Price set to wma_fib_0: $${wma_fib_0.toFixed(2)}`);
-                    await this.db.logEvent("FIB_STOP_ACTIVATED", { asset, trigger_value_fib_entry: fib_entry, wma_fib_0_stop_price: wma_fib_0, entry_price: entry_px });
-                } else if (wma_fib_0 > state.stopPrice) {
+                    state.stopPrice = trailLevel;
+                    this.logger.info(`FIB-TRAIL ACTIVATED for ${asset}. ${activationName} ($${activationLevel.toFixed(2)}) ${isShort ? '<' : '>'} entry ($${entry_px.toFixed(2)}).`);
+                    this.logger.info(`   Initial Stop Price set to ${trailName}: $${trailLevel.toFixed(2)}`);
+                    await this.db.logEvent("FIB_STOP_ACTIVATED", { asset, direction: state.direction, [`trigger_value_${activationName}`]: activationLevel, [`${trailName}_stop_price`]: trailLevel, entry_price: entry_px });
+                    await this.saveState(asset, positionInfo);
+                } else if (isTighterStop(trailLevel)) {
                     const oldStop = state.stopPrice;
-                    state.stopPrice = wma_fib_0;
-                    logger.info(`FIB-TRAIL UPDATED for ${asset}: Stop moved up from $${oldStop.toFixed(2)} to $${wma_fib_0.toFixed(2)}`);
+                    state.stopPrice = trailLevel;
+                    this.logger.info(`FIB-TRAIL UPDATED for ${asset}: Stop moved ${isShort ? 'down' : 'up'} from $${oldStop.toFixed(2)} to $${trailLevel.toFixed(2)}`);
+                    await this.saveState(asset, positionInfo);
                 }
             }
         } else {
-            logger.info(`RiskManager: In grace period for ${asset}. Fib-trail activation is paused.`);
+            this.logger.debug(`In grace period for ${asset}. Fib-trail activation is paused.`);
         }
 
 
         // 3. Check if any stop condition is met
         if (state.fibStopActive) {
-            logger.info(`RiskManager: Checking Fib-Trail Stop for ${asset}. Price: ${currentPrice.toFixed(2)}, Stop: ${state.stopPrice.toFixed(2)}`);
-            if (currentPrice <= state.stopPrice) {
-                logger.warn(`FIB-STOP HIT for ${asset}! Current Price: $${currentPrice.toFixed(2)} <= Stop Price: $${state.stopPrice.toFixed(2)}`);
-                await this.db.logEvent("FIB_STOP_HIT", { asset, current_price: currentPrice, stop_price: state.stopPrice, roe, entry_price: entry_px });
+            this.logger.debug(`Checking Fib-Trail Stop for ${asset}. Price: ${currentPrice.toFixed(2)}, Stop: ${state.stopPrice.toFixed(2)}`);
+            const stopHit = isShort ? currentPrice >= state.stopPrice : currentPrice <= state.stopPrice;
+            if (stopHit) {
+                this.logger.warn(`FIB-STOP HIT for ${asset}! Current Price: $${currentPrice.toFixed(2)} ${isShort ? '>=' : '<='} Stop Price: $${state.stopPrice.toFixed(2)}`);
+                await this.db.logEvent("FIB_STOP_HIT", { asset, direction: state.direction, current_price: currentPrice, stop_price: state.stopPrice, roe, entry_price: entry_px });
                 return { shouldClose: true, reason: "FIB-STOP", value: state.stopPrice };
             }
+        } else if (state.initialStopPrice != null) {
+            const stopName = state.breakEven ? 'Break-Even Stop' : 'ATR Stop';
+            this.logger.debug(`Checking ${stopName} for ${asset}. Price: ${currentPrice.toFixed(2)}, Stop: ${state.initialStopPrice.toFixed(2)}`);
+            const stopHit = isShort ? currentPrice >= state.initialStopPrice : currentPrice <= state.initialStopPrice;
+            if (stopHit) {
+                this.logger.warn(`STOP-LOSS HIT for ${asset}! Price: $${currentPrice.toFixed(2)} ${isShort ? '>=' : '<='} ${stopName}: $${state.initialStopPrice.toFixed(2)}`);
+                return { shouldClose: true, reason: state.breakEven ? "BREAK-EVEN-STOP" : "STOP-LOSS", value: state.initialStopPrice };
+            }
         } else {
-            logger.info(`RiskManager: Checking Fixed Stop for ${asset}. ROE: ${(roe * 100).toFixed(2)}%, Trigger: -${(stopLossPercentage * 100).toFixed(2)}%`);
+            this.logger.debug(`Checking Fixed Stop for ${asset}. ROE: ${(roe * 100).toFixed(2)}%, Trigger: -${(stopLossPercentage * 100).toFixed(2)}%`);
             if (roe <= -stopLossPercentage) {
-                logger.warn(`STOP-LOSS HIT for ${asset}! ROE: ${(roe * 100).toFixed(2)}% <= -${(stopLossPercentage * 100).toFixed(2)}%`);
+                this.logger.warn(`STOP-LOSS HIT for ${asset}! ROE: ${(roe * 100).toFixed(2)}% <= -${(stopLossPercentage * 100).toFixed(2)}%`);
                 return { shouldClose: true, reason: "STOP-LOSS", value: `${(roe * 100).toFixed(2)}%` };
             }
         }
 
-        // 4. Check for take profit (always active)
-        logger.info(`RiskManager: Checking Take Profit for ${asset}. ROE: ${(roe * 100).toFixed(2)}%, Trigger: ${(takeProfitPercentage * 100).toFixed(2)}%`);
+        // 4. Scale out at the next rung of the take-profit ladder.
+        const tier = await this.checkTakeProfitLadder(asset, state, positionInfo, entry_px, currentPrice);
+        if (tier) return tier;
+
+        // 5. Check for take profit (always active). ROE is signed by the exchange, so it works for both sides.
+        this.logger.debug(`Checking Take Profit for ${asset}. ROE: ${(roe * 100).toFixed(2)}%, Trigger: ${(takeProfitPercentage * 100).toFixed(2)}%`);
         if (roe >= takeProfitPercentage) {
-            logger.info(`TAKE-PROFIT HIT for ${asset}! ROE: ${(roe * 100).toFixed(2)}% >= ${(takeProfitPercentage * 100).toFixed(2)}%`);
+            this.logger.info(`TAKE-PROFIT HIT for ${asset}! ROE: ${(roe * 100).toFixed(2)}% >= ${(takeProfitPercentage * 100).toFixed(2)}%`);
             return { shouldClose: true, reason: "TAKE-PROFIT", value: `${(roe * 100).toFixed(2)}%` };
         }
 
-        // 5. If no conditions are met, do nothing
+        // 6. If no conditions are met, do nothing
         return { shouldClose: false };
     }
 
-    clearPositionState(asset) {
+    /**
+     * Checks the next tier of `risk.takeProfitLadder`. Tiers are reached at a multiple
+     * `r` of the position's initial risk (the distance from entry to its initial stop)
+     * and close `fraction` of the initial size.
+     * @returns {Promise<Object|null>} A partial close ({ shouldClose: false, partialClose: { tier, size } }),
+     *   a full close if the tier covers what is left, or null when no tier is reached.
+     */
+    async checkTakeProfitLadder(asset, state, positionInfo, entryPx, currentPrice) {
+        const ladder = this.config.risk.takeProfitLadder || [];
+        const tiersFilled = state.tiersFilled ?? 0;
+        const tier = ladder[tiersFilled];
+        if (!tier) return null;
+
+        // States adopted at startup or set by hand were not started here; they fall back
+        // to the size and fixed stop of the position as first seen by the ladder.
+        state.initialSize ??= Math.abs(Number(positionInfo.szi));
+        state.riskDistance ??= this.getRiskDistance(positionInfo);
+
+        const isShort = state.direction === 'SHORT';
+        const targetPx = isShort ? entryPx - tier.r * state.riskDistance : entryPx + tier.r * state.riskDistance;
+        const reached = isShort ? currentPrice <= targetPx : currentPrice >= targetPx;
+        if (!reached) return null;
+
+        const currentSize = Math.abs(Number(positionInfo.szi));
+        const size = Math.min(state.initialSize * tier.fraction, currentSize);
+        const tierNumber = tiersFilled + 1;
+        const reason = `TP-TIER-${tierNumber}`;
+        this.logger.info(`TAKE-PROFIT TIER ${tierNumber} HIT for ${asset}! Price: $${currentPrice.toFixed(2)} reached ${tier.r}R ($${targetPx.toFixed(2)}). Closing ${size} of ${currentSize}.`);
+        await this.db.logEvent("TAKE_PROFIT_TIER_HIT", { asset, direction: state.direction, tier: tierNumber, r: tier.r, target_price: targetPx, current_price: currentPrice, size });
+
+        if (size >= currentSize - 1e-9) return { shouldClose: true, reason, value: targetPx };
+        return { shouldClose: false, partialClose: { tier: tierNumber, size }, reason, value: targetPx };
+    }
+
+    /**
+     * Records a filled take-profit tier. After the first tier the stop moves to
+     * break-even if `risk.breakEvenAfterFirstTier` is set and the fib trail has not
+     * already taken over.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {number} tier - The tier that was filled (1-based).
+     * @param {Object} positionInfo - The position left open ({ coin, szi, entryPx }).
+     */
+    async recordScaleOut(asset, tier, positionInfo) {
+        const state = this.positionState[asset];
+        if (!state) return;
+        state.tiersFilled = tier;
+
+        if (tier === 1 && this.config.risk.breakEvenAfterFirstTier && !state.fibStopActive) {
+            const entryPx = Number(positionInfo.entryPx);
+            const isShort = state.direction === 'SHORT';
+            const isTighter = state.initialStopPrice == null || (isShort ? entryPx < state.initialStopPrice : entryPx > state.initialStopPrice);
+            if (isTighter) {
+                state.initialStopPrice = entryPx;
+                state.breakEven = true;
+                this.logger.info(`Stop for ${asset} moved to break-even at $${entryPx.toFixed(2)}.`);
+                await this.db.logEvent("BREAK_EVEN_STOP", { asset, direction: state.direction, stop_price: entryPx });
+            }
+        }
+        // The position identity includes its size, so the state is saved under the new one.
+        await this.saveState(asset, positionInfo);
+    }
+
+    /**
+     * @returns {number} The distance from entry to the initial stop: `initialStopPrice`
+     *   if given, otherwise the fixed ROE stop.
+     */
+    getRiskDistance(positionInfo, initialStopPrice = null) {
+        const isShort = Number(positionInfo.szi) < 0;
+        const entryPx = Number(positionInfo.entryPx);
+        const leverage = positionInfo.leverage?.value ?? this.config.trading.leverage;
+        const stopPx = initialStopPrice ?? getRoeExitPrices(entryPx, isShort, leverage, this.config.risk).stopLossPx;
+        return Math.abs(entryPx - stopPx);
+    }
+
+    /**
+     * Starts tracking a position. Called on the first check of a position, or right
+     * after an entry to pin the initial stop the position was sized for.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {Object} positionInfo - The position ({ coin, szi, entryPx }).
+     * @param {number|null} initialStopPrice - A price-based initial stop, or null to use the fixed ROE stop.
+     */
+    async startPosition(asset, positionInfo, initialStopPrice = null) {
+        const isShort = Number(positionInfo.szi) < 0;
+        const entryPx = Number(positionInfo.entryPx);
+        this.positionState[asset] = {
+            direction: isShort ? 'SHORT' : 'LONG',
+            fibStopActive: false,
+            stopPrice: null,
+            initialStopPrice, // Price-based stop until the trail takes over (ATR stop, or entry once at break-even)
+            breakEven: false,
+            initialSize: Math.abs(Number(positionInfo.szi)), // Take-profit tiers are fractions of this
+            riskDistance: this.getRiskDistance(positionInfo, initialStopPrice), // 1R for the take-profit ladder
+            tiersFilled: 0,
+            entryTime: this.clock.now(), // <-- Track when the position was first seen
+        };
+        this.logger.info(`New ${isShort ? 'SHORT' : 'LONG'} position detected for ${asset}. Entry: $${entryPx}.${initialStopPrice != null ? ` Initial stop: $${initialStopPrice.toFixed(2)}.` : ''} Monitoring...`);
+        await this.db.logEvent("NEW_POSITION_MONITORING", { asset, direction: isShort ? 'SHORT' : 'LONG', entry_price: entryPx, initial_stop_price: initialStopPrice });
+        await this.saveState(asset, positionInfo);
+    }
+
+    // --- State Persistence ---
+
+    /**
+     * Saves the state of an asset's position, tagged with the position it belongs to.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {Object} positionInfo - The position from the clearinghouse state.
+     */
+    async saveState(asset, positionInfo) {
+        const state = this.positionState[asset];
+        await this.db.saveState(asset, 'risk', {
+            ...state,
+            entryTime: state.entryTime.toISOString(),
+            position: getPositionIdentity(positionInfo),
+        });
+    }
+
+    /**
+     * Restores the state saved before a restart, as long as it was saved for the
+     * position that is open now (same coin, entry price and size).
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {Object|null} livePosition - The position from the clearinghouse state, or null.
+     */
+    async restoreState(asset, livePosition) {
+        const saved = await this.db.loadState(asset, 'risk');
+        if (!saved) return;
+
+        const { position, ...state } = saved;
+        if (!isSamePosition(position, getPositionIdentity(livePosition))) {
+            this.logger.warn(`Discarding saved state for ${asset}; it belongs to a different position.`);
+            await this.db.deleteState(asset, 'risk');
+            return;
+        }
+
+        this.positionState[asset] = { ...state, entryTime: new Date(state.entryTime) };
+        this.logger.info(`Restored state for ${asset} (fib-trail ${state.fibStopActive ? `active, stop $${state.stopPrice.toFixed(2)}` : 'inactive'}).`);
+    }
+
+    /**
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @returns {number|null} The price-based stop protecting the position: the fib trail
+     *   once active, otherwise the initial stop (ATR, or entry at break-even). null when
+     *   the fixed ROE stop applies or no position is tracked.
+     */
+    getStopPrice(asset) {
+        const state = this.positionState[asset];
+        if (!state) return null;
+        return state.fibStopActive ? state.stopPrice : state.initialStopPrice ?? null;
+    }
+
+    /**
+     * Seeds the state for a position found at startup from the stop order still resting
+     * on the exchange, unless saved state was already restored. A stop tighter than the
+     * fixed ROE stop can only have come from the fib trail, so the trail resumes from it
+     * instead of starting over.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {Object} positionInfo - The position from the clearinghouse state.
+     * @param {number} stopPx - The trigger price of the exchange stop order.
+     */
+    async adoptExchangeStop(asset, positionInfo, stopPx) {
+        if (this.positionState[asset]) return;
+        const isShort = Number(positionInfo.szi) < 0;
+        const entryPx = Number(positionInfo.entryPx);
+        const { stopLossPx } = getRoeExitPrices(entryPx, isShort, positionInfo.leverage.value, this.config.risk);
+        const isTrailed = isShort ? stopPx < stopLossPx : stopPx > stopLossPx;
+        if (!isTrailed) return;
+
+        this.positionState[asset] = {
+            direction: isShort ? 'SHORT' : 'LONG',
+            fibStopActive: true,
+            stopPrice: stopPx,
+            entryTime: this.clock.now(),
+        };
+        this.logger.info(`Resuming FIB-TRAIL for ${asset} from the exchange stop at $${stopPx.toFixed(2)}.`);
+        await this.db.logEvent("FIB_STOP_RESTORED", { asset, direction: isShort ? 'SHORT' : 'LONG', stop_price: stopPx, entry_price: entryPx });
+        await this.saveState(asset, positionInfo);
+    }
+
+    /**
+     * Sets the stop of an open position by hand. The stop is treated as an active
+     * fib trail: it replaces the fixed ROE stop and can still be tightened by the trail.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {Object} positionInfo - The position from the clearinghouse state.
+     * @param {number} stopPrice - The new stop price.
+     */
+    async setManualStop(asset, positionInfo, stopPrice) {
+        const isShort = Number(positionInfo.szi) < 0;
+        if (!this.positionState[asset]) {
+            this.positionState[asset] = { direction: isShort ? 'SHORT' : 'LONG', fibStopActive: false, stopPrice: null, initialStopPrice: null, entryTime: this.clock.now() };
+        }
+        const state = this.positionState[asset];
+        const oldStop = state.stopPrice;
+        state.fibStopActive = true;
+        state.stopPrice = stopPrice;
+        this.logger.warn(`Stop for ${asset} set manually to $${stopPrice.toFixed(2)}${oldStop ? ` (was $${oldStop.toFixed(2)})` : ''}.`);
+        await this.saveState(asset, positionInfo);
+    }
+
+    async clearPositionState(asset) {
         if (this.positionState[asset]) {
             delete this.positionState[asset];
-            logger.info(`RiskManager: Cleared state for closed position ${asset}.`);
+            this.logger.info(`Cleared state for closed position ${asset}.`);
         }
+        await this.db.deleteState(asset, 'risk');
     }
 }
 
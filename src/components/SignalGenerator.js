@@ -1,52 +1,57 @@
 import logger from '../utils/logger.js';
+import { loadStrategy } from '../strategies/index.js';
 
+const SIGNAL_TYPES = ['buy', 'sell', 'hold'];
+
+/**
+ * Hosts the strategy selected by `trading.strategy` for one asset. It checks that the
+ * analysis carries every indicator the strategy declares, hands it the position
+ * context and makes sure what comes back is a well-formed signal.
+ */
 class SignalGenerator {
     constructor(config, db, state, notifier) {
         this.config = config;
         this.db = db;
         this.state = state; // this.state is the StateManager instance
         this.notifier = notifier;
+        this.logger = logger.child({ component: 'SignalGenerator', asset: config.trading.asset });
+        this.strategy = null;
+    }
+
+    /**
+     * Loads and instantiates the configured strategy. Must be awaited before generate().
+     */
+    async init() {
+        const StrategyClass = await loadStrategy(this.config.trading.strategy);
+        this.strategy = new StrategyClass(this.config, { state: this.state, notifier: this.notifier });
+        this.logger.info(`Using strategy '${StrategyClass.name}' for ${this.config.trading.asset}.`);
     }
 
     generate(analysis) {
-        const currentPrice = analysis.latest_price;
-        const { fib_entry, wma_fib_0 } = analysis;
-
-        // --- FINAL CORRECTED LOGIC ---
-
-        // 1. Check conditions if the trigger is NOT currently armed
-        if (!this.state.isTriggerArmed()) {
-            // ARM condition: Price drops BELOW our desired entry zone.
-            if (currentPrice < fib_entry) {
-                this.state.setTriggerArmed(true);
-                const message = `BUY TRIGGER ARMED. Price ${currentPrice.toFixed(2)} is below entry level ${fib_entry.toFixed(2)}. Waiting for bounce above buy level > ${wma_fib_0.toFixed(2)}.`;
-                logger.info(message);
-                this.notifier.send("Trigger Armed", message, "info");
-                return { type: 'hold', reason: 'Trigger has been armed.' };
-            }
-            // If not armed and condition isn't met, just wait.
-            return { type: 'hold', reason: `Waiting for price < ${fib_entry.toFixed(2)} to arm trigger.` };
+        if (!this.strategy) throw new Error("SignalGenerator.init() must be called before generate().");
+
+        const missing = this.strategy.constructor.indicators.filter(name => analysis[name] == null);
+        if (missing.length > 0) {
+            return { type: 'hold', reason: `Missing indicators: ${missing.join(', ')}.` };
         }
 
-        // 2. Check conditions if the trigger IS currently armed
-        if (this.state.isTriggerArmed()) {
-            // BUY Condition: Price has bounced back up and crossed ABOVE our target buy level.
-            if (currentPrice > wma_fib_0) {
-                this.state.setTriggerArmed(false); // DISARM ONLY WHEN THE TRADE IS MADE.
-                const message = `BUY SIGNAL! Price ${currentPrice.toFixed(2)} is > WMA_Fib_0 ${wma_fib_0.toFixed(2)}.`;
-                logger.info(`🟢 ${message}`);
-                this.notifier.send("🔥 BUY SIGNAL 🔥", message, "success");
-                return { type: 'buy', reason: message };
-            }
-
-            // If still armed but the buy condition is not met, we simply wait.
-            // There is no other way to disarm the trigger.
-            return { type: 'hold', reason: `Trigger is armed. Waiting for price > ${wma_fib_0.toFixed(2)}.` };
+        // Indicators computed across a hole in the prices are not trusted for entries.
+        const gaps = [analysis, ...Object.values(analysis.timeframes || {})].filter(a => a?.gap_candles > 0);
+        if (gaps.length > 0) {
+            return { type: 'hold', reason: `Price gap in the analysis window (${gaps.map(a => `${a.gap_candles} ${a.timeframe}`).join(', ')} candle(s) missing).` };
         }
 
-        // Default case, should not be reached but good for safety
-        return { type: 'hold', reason: 'No signal conditions met.' };
+        const signal = this.strategy.evaluate(analysis, {
+            asset: this.config.trading.asset,
+            inPosition: this.state.isInPosition(),
+            position: this.state.position,
+        });
+        if (!signal || !SIGNAL_TYPES.includes(signal.type)) {
+            this.logger.error(`Strategy ${this.strategy.constructor.name} returned an invalid signal: ${JSON.stringify(signal)}`);
+            return { type: 'hold', reason: 'Invalid signal from strategy.' };
+        }
+        return { ...signal, reason: signal.reason || `${signal.type} signal from ${this.strategy.constructor.name}.` };
     }
 }
 
-export default SignalGenerator;
\ No newline at end of file
+export default SignalGenerator;
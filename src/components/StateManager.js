@@ -1,75 +1,114 @@
 // src/components/StateManager.js
 import logger from '../utils/logger.js';
-import fs from 'fs/promises';
-
-const POSITION_FILE = 'position.json';
-const RISK_FILE = 'live_risk.json'; // <-- 1. ADD THIS LINE
+import { getPositionIdentity, isSamePosition } from '../utils/helpers.js';
 
 class StateManager {
-    constructor(db, tradeExecutor) {
-        //... constructor is the same
+    /**
+     * Tracks the position and trigger state of ONE asset.
+     * @param {DatabaseManager} db
+     * @param {TradeExecutor} tradeExecutor
+     * @param {string} asset - The asset symbol this state belongs to (e.g., "SOL").
+     */
+    constructor(db, tradeExecutor, asset) {
         this.db = db;
         this.tradeExecutor = tradeExecutor;
-        this.state = { inPosition: false, triggerArmed: false };
+        this.asset = asset;
+        this.logger = logger.child({ component: 'StateManager', asset });
+        this.state = { inPosition: false, triggerArmed: false, shortTriggerArmed: false };
+        this.position = null; // Identity of the open position, used to validate saved trigger state
+        this.saving = Promise.resolve(); // The latest trigger-state write (see persist())
     }
 
+    /**
+     * Syncs the in-position flag with the exchange and restores the trigger state saved
+     * before a restart, provided the position (or lack of one) is still the same.
+     * @returns {Promise<Object|null>} The live position for this asset, or null if there is none.
+     */
     async loadInitialState() {
-        logger.info("StateManager: Loading initial state from Hyperliquid exchange...");
+        this.logger.info(`Loading initial state for ${this.asset} from Hyperliquid exchange...`);
+        let livePosition = null;
         try {
-            //... logic to check for open positions is the same ...
             const clearinghouseState = await this.tradeExecutor.getClearinghouseState();
             if (!clearinghouseState || !Array.isArray(clearinghouseState.assetPositions)) {
                 throw new Error("Could not fetch valid asset position data.");
             }
-            const openPositions = clearinghouseState.assetPositions.filter(p => p && p.position && Number(p.position.szi) !== 0);
-
+            const openPosition = clearinghouseState.assetPositions.find(p => p && p.position && p.position.coin === this.asset && Number(p.position.szi) !== 0);
 
-            if (openPositions.length > 0) {
-                // ... this part remains the same ...
-                const livePosition = openPositions[0].position;
-                logger.warn(`Found existing open position for ${livePosition.coin}! Creating ${POSITION_FILE}.`);
-                await fs.writeFile(POSITION_FILE, JSON.stringify(livePosition, null, 2));
-
-                await this.db.updatePosition(livePosition.coin, Number(livePosition.szi) > 0 ? "LONG" : "SHORT", Math.abs(Number(livePosition.szi)), Number(livePosition.entryPx), "OPEN");
+            if (openPosition) {
+                livePosition = openPosition.position;
+                this.logger.warn(`Found existing open position for ${livePosition.coin}!`);
+                await this.db.updatePosition(livePosition.coin, Number(livePosition.szi) > 0 ? "LONG" : "SHORT", Math.abs(Number(livePosition.szi)), Number(livePosition.entryPx), "OPEN", Boolean(this.tradeExecutor.isSimulated));
                 this.state.inPosition = true;
-
             } else {
-                 // --- 2. THIS IS THE KEY CHANGE ---
-                logger.info(`No open positions found on exchange. Ensuring local state files are deleted.`);
-                await this.deleteFile(POSITION_FILE);
-                await this.deleteFile(RISK_FILE); // <-- ADD THIS LINE
+                this.logger.info(`No open position found on exchange for ${this.asset}.`);
                 this.state.inPosition = false;
             }
         } catch (error) {
-            logger.error(`CRITICAL: Failed to load initial state: ${error.message}`);
+            this.logger.error(`CRITICAL: Failed to load initial state for ${this.asset}: ${error.message}`);
             this.state.inPosition = false;
         }
-        this.state.triggerArmed = false;
+        this.position = getPositionIdentity(livePosition);
+        await this.restoreTriggers();
+        return livePosition;
     }
 
-    // --- 3. RENAME THIS FUNCTION FOR CLARITY ---
-    async deleteFile(fileName) {
-        try {
-            await fs.unlink(fileName);
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                logger.error(`Error deleting ${fileName}: ${error.message}`);
-            }
+    async restoreTriggers() {
+        this.state.triggerArmed = false;
+        this.state.shortTriggerArmed = false;
+
+        const saved = await this.db.loadState(this.asset, 'triggers');
+        if (!saved) return;
+        if (!isSamePosition(saved.position, this.position)) {
+            this.logger.warn(`Discarding saved trigger state for ${this.asset}; the position has changed since it was saved.`);
+            await this.db.deleteState(this.asset, 'triggers');
+            return;
         }
+        this.state.triggerArmed = Boolean(saved.triggerArmed);
+        this.state.shortTriggerArmed = Boolean(saved.shortTriggerArmed);
+        this.logger.info(`Restored trigger state for ${this.asset} (long ${this.state.triggerArmed ? 'ARMED' : 'disarmed'}, short ${this.state.shortTriggerArmed ? 'ARMED' : 'disarmed'}).`);
+    }
+
+    /**
+     * Saves the trigger state as it is now. Each write waits for the previous one, so the
+     * saved state follows the order of the changes even where the caller cannot wait
+     * (the strategies arm triggers from the synchronous generate()).
+     * @returns {Promise<void>} Settles once this state is written.
+     */
+    persist() {
+        const state = {
+            triggerArmed: this.state.triggerArmed,
+            shortTriggerArmed: this.state.shortTriggerArmed,
+            position: this.position,
+        };
+        this.saving = this.saving.then(() => this.db.saveState(this.asset, 'triggers', state));
+        return this.saving;
     }
+
     // ... rest of the file is the same ...
     isInPosition() { return this.state.inPosition; }
-    setInPosition(status) { this.state.inPosition = status; }
-<<<<<<< HEAD
-    isTriggerArmed() { return this.state.triggerArmed; } // FIX: Was this.state.isTriggerArmed    setTriggerArmed(status) {
-=======
-    isTriggerArmed() { return this.state.triggerArmed; }
-    setTriggerArmed(status) {
->>>>>>> feature/chart
-        if (this.state.triggerArmed !== status) {
-            this.state.triggerArmed = status;
-            logger.info(`StateManager: Trigger has been ${status ? 'ARMED' : 'DISARMED'}.`);
+    /**
+     * @param {boolean} status
+     * @param {Object} [position] - The new position ({ coin, szi, entryPx }) when entering one.
+     * @returns {Promise<void>} Settles once the change is saved.
+     */
+    setInPosition(status, position = null) {
+        this.state.inPosition = status;
+        this.position = status ? getPositionIdentity(position) : null;
+        return this.persist();
+    }
+    // The long and short setups each have their own trigger, selected by `side`.
+    isTriggerArmed(side = 'long') {
+        return side === 'short' ? this.state.shortTriggerArmed : this.state.triggerArmed;
+    }
+    // Returns a promise that settles once the change (and any before it) is saved.
+    setTriggerArmed(status, side = 'long') {
+        const key = side === 'short' ? 'shortTriggerArmed' : 'triggerArmed';
+        if (this.state[key] !== status) {
+            this.state[key] = status;
+            this.logger.info(`${side === 'short' ? 'Short trigger' : 'Trigger'} has been ${status ? 'ARMED' : 'DISARMED'}.`);
+            this.persist();
         }
+        return this.saving;
     }
 }
 
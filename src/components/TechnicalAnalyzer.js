@@ -2,53 +2,103 @@
 
 import fs from 'fs';
 import path from 'path';
-import { DateTime } from 'luxon';
 import logger from '../utils/logger.js';
+import { getTimeframeMs, getCandleStart } from '../utils/helpers.js';
+import {
+    SMOOTHING_METHODS, averageAt, movingAverage, trueRange, closeChange, rsiFromAverages, rsi,
+    bollingerAt, bollingerBands, vwapStep, vwap,
+} from '../utils/indicators.js';
 
-const ANALYSIS_OUTPUT_FILE = path.resolve(process.cwd(), 'analysis_data.json');
+// One debug file per asset, e.g. analysis_data_SOL.json, plus one per higher
+// timeframe, e.g. analysis_data_SOL_1h.json
+const analysisOutputFile = (asset, timeframe = null) =>
+    path.resolve(process.cwd(), `analysis_data_${asset}${timeframe ? `_${timeframe}` : ''}.json`);
 
-// ... (simpleMovingAverage function remains the same) ...
-function simpleMovingAverage(data, windowSize) {
-    let result = [];
-    for (let i = 0; i < data.length; i++) {
-        if (i < windowSize - 1) {
-            result.push(NaN);
-        } else {
-            let sum = 0;
-            for (let j = 0; j < windowSize; j++) {
-                sum += data[i - j];
-            }
-            result.push(sum / windowSize);
-        }
+// The start of the candle a tick belongs to, as an ISO string.
+function candleKey(timestamp, intervalMs) {
+    return getCandleStart(timestamp, intervalMs).toISO();
+}
+
+// Number of completed analysis records kept for the debug file in incremental mode.
+const DEBUG_HISTORY_LENGTH = 1000;
+
+// Recursive averages (ema, wilder) never quite forget where they started: the seed's
+// weight shrinks by (1 - alpha) per candle. After this many periods it is below e^-10
+// (Wilder; an EMA forgets faster), so a warm-up that starts this far back agrees with
+// the full history to within about 0.005% of the seed's error.
+const CONVERGENCE_PERIODS = 10;
+const RECURSIVE_METHODS = ['ema', 'wilder'];
+
+// The start of the UTC day a candle belongs to, in epoch ms (the VWAP restarts there).
+const utcDayStart = (timestamp) => Math.floor(new Date(timestamp).getTime() / 86400000) * 86400000;
+
+// How many candles are missing between consecutive candles, i.e. how many had no ticks.
+function countMissingCandles(candles, intervalMs) {
+    let missing = 0;
+    for (let i = 1; i < candles.length; i++) {
+        missing += Math.round((new Date(candles[i].timestamp) - new Date(candles[i - 1].timestamp)) / intervalMs) - 1;
     }
-    return result;
+    return missing;
 }
 
 
+/**
+ * Computes the fib/ATR set, RSI, Bollinger Bands and VWAP on `ta.timeframe` candles.
+ * The fib lines are averaged with `ta.fibSmoothing` and the ATR with `ta.atrSmoothing`. Each timeframe listed in
+ * `ta.confirmTimeframes` gets its own analyzer fed from the same ticks, and its
+ * latest analysis is attached to the primary one under `timeframes`.
+ *
+ * Each analysis carries `gap_candles`: how many candles in its window had no ticks at
+ * all (a gap in the stored prices that could not be backfilled). The lookbacks bridge
+ * such a gap as if it were not there, so the SignalGenerator holds entries until it has
+ * left the window.
+ */
 class TechnicalAnalyzer {
-    constructor(config) {
+    /**
+     * @param {Object} config - The resolved config of the asset to analyze.
+     * @param {string} [timeframe] - The candle timeframe. Defaults to `ta.timeframe`.
+     */
+    constructor(config, timeframe = config.ta.timeframe) {
         this.config = config;
+        this.logger = logger.child({ component: 'TechnicalAnalyzer', asset: config.trading.asset });
+        this.timeframe = timeframe;
+        this.intervalMs = getTimeframeMs(timeframe);
+        this.isPrimary = timeframe === config.ta.timeframe;
+        for (const setting of ['fibSmoothing', 'atrSmoothing']) {
+            if (!SMOOTHING_METHODS.includes(config.ta[setting])) {
+                throw new Error(`ta.${setting} must be one of ${SMOOTHING_METHODS.join(', ')}, got '${config.ta[setting]}'.`);
+            }
+        }
+        this.higherTimeframes = [];
+        if (this.isPrimary) {
+            for (const higher of config.ta.confirmTimeframes || []) {
+                if (getTimeframeMs(higher) <= this.intervalMs) {
+                    throw new Error(`Confirmation timeframe '${higher}' must be longer than ta.timeframe '${timeframe}'.`);
+                }
+                this.higherTimeframes.push(new TechnicalAnalyzer(config, higher));
+            }
+        }
+        this.reset();
     }
 
-    // ... (resampleToOHLC function remains the same) ...
     resampleToOHLC(historicalData) {
         const grouped = {};
         historicalData.forEach(d => {
-            const dt = DateTime.fromISO(d.timestamp);
-            const minute = dt.minute - (dt.minute % 5);
-            const key = dt.set({ minute, second: 0, millisecond: 0 }).toISO();
+            const key = candleKey(d.timestamp, this.intervalMs);
             if (!grouped[key]) grouped[key] = [];
-            grouped[key].push(d.price);
+            grouped[key].push(d);
         });
 
         const ohlcData = Object.keys(grouped).map(key => {
-            const prices = grouped[key];
+            const prices = grouped[key].map(d => d.price);
             return {
                 timestamp: key, // Use ISO string for JSON compatibility
                 open: prices[0],
                 high: Math.max(...prices),
                 low: Math.min(...prices),
                 close: prices[prices.length - 1],
+                // Tick volume: the price history carries no traded size
+                volume: grouped[key].reduce((sum, d) => sum + (d.volume ?? 1), 0),
             };
         });
 
@@ -57,19 +107,280 @@ class TechnicalAnalyzer {
     }
 
 
+    // --- Incremental Analysis ---
+    // The live bot keeps a bounded window of candles and folds each new tick into it,
+    // instead of re-reading and re-resampling the whole price history every tick.
+    // Closed candles carry their rolling highest-high, lowest-low and true range, and
+    // their averages (which the recursive smoothing methods continue from), so a tick
+    // only has to recompute the values of the candle it belongs to.
+    // Fed the same ticks, the output is identical to calculate(). Warmed up from a
+    // bounded slice instead of the full history, it agrees once the slice covers
+    // warmUpCandles() and reaches back to the start of the UTC day (see isWarm()): the
+    // VWAP then matches exactly, and the recursive averages (RSI, and ema/wilder fib
+    // lines and ATR) to within the CONVERGENCE_PERIODS tolerance.
+
+    /**
+     * Clears all incremental state.
+     */
+    reset() {
+        this.candles = [];       // Bounded window of candles; the last one is still forming
+        this.candleCount = 0;    // Candles seen since reset (including ones dropped from the window)
+        this.tickCount = 0;      // Ticks seen since reset
+        this.firstCandleAt = null; // Start of the first candle seen since reset (epoch ms)
+        this.debugHistory = [];
+        this.latestAnalysis = null;
+        this.higherTimeframes.forEach(analyzer => analyzer.reset());
+    }
+
+    /**
+     * @returns {number} How many candles the rolling window needs to compute every indicator.
+     */
+    requiredCandles() {
+        const { fibLookback, wmaPeriod, atrPeriod, rsiPeriod, bollingerPeriod } = this.config.ta;
+        return Math.max(fibLookback + wmaPeriod, atrPeriod + 1, rsiPeriod + 1, bollingerPeriod);
+    }
+
+    /**
+     * @returns {number} How many candles of history a warm-up needs before the recursive
+     *   averages have converged: the window plus CONVERGENCE_PERIODS of the longest
+     *   recursive period (the RSI is always Wilder-smoothed).
+     */
+    warmUpCandles() {
+        const { wmaPeriod, atrPeriod, rsiPeriod, fibSmoothing, atrSmoothing } = this.config.ta;
+        const recursivePeriods = [rsiPeriod];
+        if (RECURSIVE_METHODS.includes(fibSmoothing)) recursivePeriods.push(wmaPeriod);
+        if (RECURSIVE_METHODS.includes(atrSmoothing)) recursivePeriods.push(atrPeriod);
+        return this.requiredCandles() + CONVERGENCE_PERIODS * Math.max(...recursivePeriods);
+    }
+
+    /**
+     * @returns {boolean} true once this timeframe and every confirmation timeframe have
+     *   seen warmUpCandles() candles, starting no later than the UTC day of the latest
+     *   candle, so the analysis matches one over the full history.
+     */
+    isWarm() {
+        const latest = this.candles[this.candles.length - 1];
+        return this.candleCount >= this.warmUpCandles() + 1
+            && this.firstCandleAt <= utcDayStart(latest.timestamp)
+            && this.higherTimeframes.every(analyzer => analyzer.isWarm());
+    }
+
+    /**
+     * Resets the analyzer and replays a bounded slice of history into it.
+     * @param {Array<Object>} historicalData - Ticks of { timestamp, price, volume? } in time order
+     *   (see update()).
+     * @returns {Object|null} The latest analysis, or null if there is not enough data yet.
+     */
+    warmUp(historicalData) {
+        this.reset();
+        let analysis = null;
+        for (const tick of historicalData) {
+            analysis = this.update(tick, { writeDebug: false, logGaps: false });
+        }
+        const candles = [this, ...this.higherTimeframes].map(a => `${a.candleCount} ${a.timeframe}`).join(', ');
+        this.logger.info(`Warmed up ${this.config.trading.asset} from ${historicalData.length} ticks (${candles} candles).`);
+        for (const analyzer of [this, ...this.higherTimeframes]) {
+            const missing = countMissingCandles(analyzer.candles, analyzer.intervalMs);
+            if (missing > 0) this.logger.warn(`The ${analyzer.timeframe} analysis window is missing ${missing} candle(s). Entries are held until the gap leaves it.`);
+        }
+        return analysis;
+    }
+
+    /**
+     * Folds one new tick into the rolling candle window.
+     * @param {Object} tick - { timestamp, price, volume? }. Ticks older than the forming candle are
+     *   ignored. `volume` is the number of ticks it stands for (default 1), for ticks made from stored candles.
+     * @param {Object} [options]
+     * @param {boolean} [options.writeDebug=true] - Write the debug file when a candle closes (debug mode).
+     * @param {boolean} [options.logGaps=true] - Warn when a new candle follows missing ones.
+     * @returns {Object|null} The latest analysis, or null if there is not enough data yet.
+     *   Its `timeframes` map holds the latest analysis of each confirmation timeframe
+     *   (null while that timeframe is still warming up).
+     */
+    update(tick, { writeDebug = true, logGaps = true } = {}) {
+        for (const analyzer of this.higherTimeframes) {
+            analyzer.update(tick, { writeDebug, logGaps });
+        }
+
+        const key = candleKey(tick.timestamp, this.intervalMs);
+        const price = tick.price;
+        const volume = tick.volume ?? 1;
+        const current = this.candles[this.candles.length - 1];
+
+        if (current && key === current.timestamp) {
+            current.high = Math.max(current.high, price);
+            current.low = Math.min(current.low, price);
+            current.close = price;
+            current.volume += volume;
+        } else if (current && new Date(key) < new Date(current.timestamp)) {
+            this.logger.warn(`Ignoring out-of-order tick at ${tick.timestamp}.`);
+            return null;
+        } else {
+            if (current) {
+                this.closeCandle(current, writeDebug);
+                const missing = countMissingCandles([current, { timestamp: key }], this.intervalMs);
+                if (missing > 0 && logGaps) {
+                    this.logger.warn(`${missing} ${this.timeframe} candle(s) without ticks between ${current.timestamp} and ${key}. Entries are held until the gap leaves the analysis window.`);
+                }
+            }
+            if (this.candleCount === 0) this.firstCandleAt = new Date(key).getTime();
+            this.candles.push({ timestamp: key, open: price, high: price, low: price, close: price, volume, index: this.candleCount++ });
+            const maxCandles = this.requiredCandles() + 1;
+            if (this.candles.length > maxCandles) {
+                this.candles.splice(0, this.candles.length - maxCandles);
+            }
+        }
+        this.tickCount++;
+
+        const { fibLookback, wmaPeriod } = this.config.ta;
+        const minRecords = fibLookback + wmaPeriod;
+        if (this.tickCount < minRecords || this.candleCount < minRecords) {
+            return null;
+        }
+
+        const latest = this.buildRecord();
+        if (isNaN(latest.wma_fib_0) || isNaN(latest.atr)) return null;
+        this.latestAnalysis = this.withEntryLevels(latest, countMissingCandles(this.candles, this.intervalMs));
+        return this.latestAnalysis;
+    }
+
+    /**
+     * Computes the rolling values of the candle at position `i` in the window.
+     */
+    deriveCandle(i) {
+        const { fibLookback } = this.config.ta;
+        const candle = this.candles[i];
+
+        let highestHigh = NaN;
+        let lowestLow = NaN;
+        if (candle.index >= fibLookback - 1) {
+            highestHigh = 0;
+            lowestLow = Infinity;
+            for (let j = 0; j < fibLookback; j++) {
+                if (this.candles[i - j].high > highestHigh) highestHigh = this.candles[i - j].high;
+                if (this.candles[i - j].low < lowestLow) lowestLow = this.candles[i - j].low;
+            }
+        }
+
+        const previous = candle.index > 0 ? this.candles[i - 1] : undefined;
+        const { gain, loss } = closeChange(candle.close, previous?.close);
+
+        const fib50Base = highestHigh - (highestHigh - lowestLow) * 0.5;
+        return { highestHigh, lowestLow, fib50Base, trueRange: trueRange(candle, previous), gain, loss };
+    }
+
+    /**
+     * Computes the averages of the newest candle in the window, continuing the
+     * recursive ones from the previous candle's.
+     */
+    computeAverages() {
+        const { wmaPeriod, atrPeriod, fibSmoothing, atrSmoothing, rsiPeriod } = this.config.ta;
+        const last = this.candles.length - 1;
+        const latest = this.candles[last];
+        const previous = last > 0 ? this.candles[last - 1] : null;
+        const liveDerived = latest.derived || this.deriveCandle(last);
+
+        const series = (field) => this.candles.map((c, i) => (i === last ? liveDerived : c.derived)?.[field]);
+        const average = (name, field, period, method) => latest.index < period - 1
+            ? NaN
+            : averageAt(series(field), last, period, method, previous?.averages[name]);
+
+        return {
+            wma_fib_0: average('wma_fib_0', 'lowestLow', wmaPeriod, fibSmoothing),
+            wma_fib_50: average('wma_fib_50', 'fib50Base', wmaPeriod, fibSmoothing),
+            wma_fib_100: average('wma_fib_100', 'highestHigh', wmaPeriod, fibSmoothing),
+            atr: average('atr', 'trueRange', atrPeriod, atrSmoothing),
+            avgGain: average('avgGain', 'gain', rsiPeriod, 'wilder'),
+            avgLoss: average('avgLoss', 'loss', rsiPeriod, 'wilder'),
+            vwap: vwapStep(previous?.averages.vwap ?? null, latest),
+        };
+    }
+
+    closeCandle(candle, writeDebug) {
+        candle.derived = this.deriveCandle(this.candles.length - 1);
+        candle.averages = this.computeAverages();
+        if (this.config.debug) {
+            const record = this.buildRecord();
+            if (!isNaN(record.wma_fib_0) && !isNaN(record.atr)) {
+                this.debugHistory.push(record);
+                if (this.debugHistory.length > DEBUG_HISTORY_LENGTH) this.debugHistory.shift();
+                if (writeDebug) this.writeDebugFile(this.debugHistory);
+            }
+        }
+    }
+
+    /**
+     * Builds the analysis record for the newest candle in the window.
+     */
+    buildRecord() {
+        const { bollingerPeriod, bollingerStdDev } = this.config.ta;
+        const last = this.candles.length - 1;
+        const latest = this.candles[last];
+        const averages = latest.averages || this.computeAverages();
+        const bands = bollingerAt(this.candles.map(c => c.close), last, bollingerPeriod, bollingerStdDev);
+
+        return {
+            timestamp: latest.timestamp,
+            open: latest.open,
+            high: latest.high,
+            low: latest.low,
+            close: latest.close,
+            wma_fib_0: averages.wma_fib_0,
+            wma_fib_50: averages.wma_fib_50,
+            wma_fib_100: averages.wma_fib_100,
+            atr: averages.atr,
+            rsi: rsiFromAverages(averages.avgGain, averages.avgLoss),
+            bb_upper: bands.upper,
+            bb_middle: bands.middle,
+            bb_lower: bands.lower,
+            vwap: averages.vwap.vwap,
+        };
+    }
+
+    withEntryLevels(latest, gapCandles) {
+        const fib_entry = latest.wma_fib_0 * (1 - this.config.ta.fibEntryOffsetPct);
+        // Mirror of fib_entry on the highest-high side, used to arm shorts.
+        const fib_short_entry = latest.wma_fib_100 * (1 + this.config.ta.fibShortEntryOffsetPct);
+
+        const analysis = {
+            ...latest,
+            fib_entry,
+            fib_short_entry,
+            latest_price: latest.close,
+            timeframe: this.timeframe,
+            gap_candles: gapCandles,
+        };
+        if (this.isPrimary) {
+            analysis.timeframes = Object.fromEntries(this.higherTimeframes.map(a => [a.timeframe, a.latestAnalysis]));
+        }
+        return analysis;
+    }
+
+    writeDebugFile(results) {
+        const outputFile = analysisOutputFile(this.config.trading.asset, this.isPrimary ? null : this.timeframe);
+        try {
+            fs.writeFileSync(outputFile, JSON.stringify(results, null, 2));
+            this.logger.info(`Debug mode is ON. Analysis data saved to ${outputFile}`);
+        } catch (err) {
+            this.logger.error(`Failed to write analysis data to file: ${err.message}`);
+        }
+    }
+
+    // --- Batch Analysis ---
+    // Recomputes everything from the full history. Kept as the reference implementation.
     calculate(historicalData) {
-        const { fibLookback, wmaPeriod, atrPeriod } = this.config.ta;
+        const { fibLookback, wmaPeriod, atrPeriod, fibSmoothing, atrSmoothing, rsiPeriod, bollingerPeriod, bollingerStdDev } = this.config.ta;
         const minRecords = fibLookback + wmaPeriod;
 
         if (!historicalData || historicalData.length < minRecords) {
-            logger.warn(`Not enough historical data. Need >= ${minRecords}, have ${historicalData.length}.`);
+            this.logger.warn(`Not enough historical data. Need >= ${minRecords}, have ${historicalData.length}.`);
             return null;
         }
 
         try {
             const ohlc = this.resampleToOHLC(historicalData);
             if (ohlc.length < minRecords) {
-                logger.warn(`Not enough OHLC candles. Need >= ${minRecords}, have ${ohlc.length}.`);
+                this.logger.warn(`Not enough ${this.timeframe} OHLC candles. Need >= ${minRecords}, have ${ohlc.length}.`);
                 return null;
             }
 
@@ -106,22 +417,21 @@ class TechnicalAnalyzer {
                 }
                 
                 // Calculate True Range (for ATR)
-                if (i === 0) {
-                    trueRanges.push(ohlc[i].high - ohlc[i].low);
-                } else {
-                    const tr1 = ohlc[i].high - ohlc[i].low;
-                    const tr2 = Math.abs(ohlc[i].high - ohlc[i - 1].close);
-                    const tr3 = Math.abs(ohlc[i].low - ohlc[i - 1].close);
-                    trueRanges.push(Math.max(tr1, tr2, tr3));
-                }
+                trueRanges.push(trueRange(ohlc[i], ohlc[i - 1]));
             }
             
-            // --- Manual Moving Average Calculations ---
-            const wma_fib_0_values = simpleMovingAverage(lowestLows, wmaPeriod);
+            // --- Moving Average Calculations ---
+            const wma_fib_0_values = movingAverage(lowestLows, wmaPeriod, fibSmoothing);
+            const wma_fib_100_values = movingAverage(highestHighs, wmaPeriod, fibSmoothing);
             const fib_50_range = highestHighs.map((h, i) => (h - lowestLows[i]) * 0.5);
             const fib_50_base = highestHighs.map((h, i) => h - fib_50_range[i]);
-            const wma_fib_50_values = simpleMovingAverage(fib_50_base, wmaPeriod);
-            const atr_values = simpleMovingAverage(trueRanges, atrPeriod);
+            const wma_fib_50_values = movingAverage(fib_50_base, wmaPeriod, fibSmoothing);
+            const atr_values = movingAverage(trueRanges, atrPeriod, atrSmoothing);
+
+            const closes = ohlc.map(c => c.close);
+            const rsi_values = rsi(closes, rsiPeriod);
+            const bands = bollingerBands(closes, bollingerPeriod, bollingerStdDev);
+            const vwap_values = vwap(ohlc);
 
             // --- Combine and get the latest complete record ---
             const results = [];
@@ -134,40 +444,40 @@ class TechnicalAnalyzer {
                     close: ohlc[i].close,
                     wma_fib_0: wma_fib_0_values[i],
                     wma_fib_50: wma_fib_50_values[i],
+                    wma_fib_100: wma_fib_100_values[i],
                     atr: atr_values[i],
+                    rsi: rsi_values[i],
+                    bb_upper: bands[i].upper,
+                    bb_middle: bands[i].middle,
+                    bb_lower: bands[i].lower,
+                    vwap: vwap_values[i],
                 });
             }
 
 
             const completeResults = results.filter(r => !isNaN(r.wma_fib_0) && !isNaN(r.atr));
             if (completeResults.length === 0) {
-                logger.warn("No valid analysis after manual calculations. Bot needs more data.");
+                this.logger.warn("No valid analysis after manual calculations. Bot needs more data.");
                 return null;
             }
 
             // --- MODIFIED SECTION ---
             // Only write the analysis file if debug mode is enabled in the config
             if (this.config.debug) {
-                try {
-                    fs.writeFileSync(ANALYSIS_OUTPUT_FILE, JSON.stringify(completeResults, null, 2));
-                    logger.info(`Debug mode is ON. Analysis data saved to ${ANALYSIS_OUTPUT_FILE}`);
-                } catch (err) {
-                    logger.error(`Failed to write analysis data to file: ${err.message}`);
-                }
+                this.writeDebugFile(completeResults);
             }
 
-            // The function still returns the latest analysis for the bot's live logic
-            const latest = completeResults[completeResults.length - 1];
-            const fib_entry = latest.wma_fib_0 * (1 - this.config.ta.fibEntryOffsetPct);
+            for (const analyzer of this.higherTimeframes) {
+                analyzer.latestAnalysis = analyzer.calculate(historicalData);
+            }
 
-            return {
-                ...latest,
-                fib_entry,
-                latest_price: latest.close,
-            };
+            // The function still returns the latest analysis for the bot's live logic
+            const window = ohlc.slice(-(this.requiredCandles() + 1));
+            this.latestAnalysis = this.withEntryLevels(completeResults[completeResults.length - 1], countMissingCandles(window, this.intervalMs));
+            return this.latestAnalysis;
 
         } catch (error) {
-            logger.error(`CRITICAL ERROR during technical analysis: ${error.message}`);
+            this.logger.error(`CRITICAL ERROR during technical analysis: ${error.message}`);
             console.error(error.stack);
             return null;
         }
@@ -2,6 +2,9 @@
 import * as hl from "@nktkas/hyperliquid";
 import { ethers } from "ethers";
 import logger from '../utils/logger.js';
+import { formatPrice, getAssetConfig, getRoeExitPrices } from '../utils/helpers.js';
+import { createTransport, getNetwork } from '../utils/network.js';
+import OrderManager from './OrderManager.js';
 
 class TradeExecutor {
     // ... constructor is the same ...
@@ -9,96 +12,467 @@ class TradeExecutor {
         this.config = config;
         this.db = db;
         this.dataCollector = dataCollector;
+        this.logger = logger.child({ component: 'TradeExecutor' });
         if (!process.env.HYPERLIQUID_WALLET_PRIVATE_KEY) {
             throw new Error("HYPERLIQUID_WALLET_PRIVATE_KEY is not set in the .env file.");
         }
         const wallet = new ethers.Wallet(process.env.HYPERLIQUID_WALLET_PRIVATE_KEY);
         this.walletAddress = wallet.address;
-        const transport = new hl.HttpTransport({ isTestnet: false });
+        const transport = createTransport(config);
         this.exchangeClient = new hl.ExchangeClient({ wallet: wallet, transport });
         this.infoClient = new hl.InfoClient({ transport });
-        logger.info(`TradeExecutor initialized for wallet: ${this.walletAddress}`);
+        this.orders = new OrderManager(config, {
+            exchangeClient: this.exchangeClient,
+            infoClient: this.infoClient,
+            dataCollector,
+            userAddress: process.env.HYPERLIQUID_MAIN_ACCOUNT_ADDRESS || this.walletAddress,
+        });
+        this.protectiveOrders = {}; // asset -> { isLong, size, stop: { oid, triggerPx }, takeProfit: { oid, triggerPx } }
+        this.leverage = {}; // asset -> leverage last set on the exchange
+        this.logger.info(`TradeExecutor initialized for wallet: ${this.walletAddress} on ${getNetwork(config).name}.`);
     }
 
 
-    async executeBuy(asset, usdSize) {
+    async executeBuy(asset, usdSize, options) {
+        return this.openPosition(asset, usdSize, true, options);
+    }
+
+    async executeSell(asset, usdSize, options) {
+        return this.openPosition(asset, usdSize, false, options);
+    }
+
+    /**
+     * Sets an asset's leverage and margin mode on the exchange. The leverage is capped
+     * at the asset's maximum.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {number} leverage - The configured leverage.
+     * @param {string} marginMode - "cross" or "isolated".
+     * @returns {Promise<number>} The leverage in effect.
+     */
+    async prepareLeverage(asset, leverage, marginMode) {
+        const meta = await this.infoClient.meta();
+        const assetIndex = meta.universe.findIndex(u => u.name === asset);
+        if (assetIndex === -1) throw new Error(`Asset ${asset} not found in exchange metadata.`);
+        const { maxLeverage, onlyIsolated } = meta.universe[assetIndex];
+
+        const isCross = marginMode === "cross";
+        if (isCross && onlyIsolated) throw new Error(`${asset} only supports isolated margin.`);
+        let effectiveLeverage = leverage;
+        if (maxLeverage && leverage > maxLeverage) {
+            this.logger.warn(`${asset} allows at most ${maxLeverage}x leverage; using ${maxLeverage}x instead of ${leverage}x.`);
+            effectiveLeverage = maxLeverage;
+        }
+
+        await this.exchangeClient.updateLeverage({ asset: assetIndex, isCross, leverage: effectiveLeverage });
+        if (this.leverage[asset] !== effectiveLeverage) {
+            this.logger.info(`Leverage for ${asset} set to ${effectiveLeverage}x (${marginMode} margin).`);
+        }
+        this.leverage[asset] = effectiveLeverage;
+        return effectiveLeverage;
+    }
+
+    /**
+     * Opens a position through the OrderManager (IOC orders, retried at wider prices)
+     * and records what the clearinghouse state shows was actually opened.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {number} usdSize - The target notional in USD.
+     * @param {boolean} isBuy - true opens a LONG, false opens a SHORT.
+     * @param {Object} [options]
+     * @param {number} [options.stopDistance] - Places the protective stop this far from the
+     *   fill price instead of at the fixed ROE stop.
+     * @returns {Promise<Object>} { success, filledOrder: { avgPx, totalSz } } or { success: false, error }.
+     *   A partial fill still succeeds, with the size that was filled.
+     */
+    async openPosition(asset, usdSize, isBuy, { stopDistance = null } = {}) {
+        const side = isBuy ? "BUY" : "SELL";
+        const direction = isBuy ? "LONG" : "SHORT";
         try {
-            // ... (logic to create order is the same) ...
-            logger.info(`Executing BUY for ${asset} with target size ~$${usdSize}`);
-            const meta = await this.infoClient.meta();
-            const assetInfo = meta.universe.find(u => u.name === asset);
-            if (!assetInfo) throw new Error(`Asset ${asset} not found in exchange metadata.`);
-            const { szDecimals } = assetInfo;
-            const assetIndex = meta.universe.findIndex(u => u.name === asset);
+            this.logger.info(`Executing ${side} for ${asset} with target size ~$${usdSize}`);
+            const { assetIndex, szDecimals } = await this.getAssetMeta(asset);
             const currentPrice = await this.dataCollector.getCurrentPrice(asset);
             if (!currentPrice) throw new Error(`Could not fetch current price for ${asset}.`);
-            const orderSize = (usdSize / currentPrice).toFixed(szDecimals);
-            const slippagePrice = (currentPrice * (1 + this.config.trading.slippage)).toFixed(2);
-            const orderPayload = { a: assetIndex, b: true, p: slippagePrice, s: orderSize, r: false, t: { "limit": { "tif": "Ioc" } } };
-
-            const result = await this.exchangeClient.order({ orders: [orderPayload], grouping: "na" });
+            const orderSize = Number((usdSize / currentPrice).toFixed(szDecimals));
+            if (!(orderSize > 0)) throw new Error(`$${usdSize} of ${asset} rounds to zero at ${szDecimals} decimals.`);
 
-            if (result.status === "ok") {
-                const filledOrder = result.response.data.statuses[0].filled;
-                if (!filledOrder) throw new Error('Order was not filled immediately.');
-                
-                const avgPx = parseFloat(filledOrder.avgPx);
-                const filledSize = parseFloat(filledOrder.totalSz);
+            const before = await this.orders.getPosition(asset);
+            const fill = await this.orders.fill({ asset, assetIndex, szDecimals, isBuy, size: orderSize, slippage: this.getSlippage(asset) });
 
-                logger.success(`TRADE EXECUTED: Bought ${filledSize} ${asset} @ $${avgPx}`);
-                await this.db.updatePosition(asset, "LONG", filledSize, avgPx, "OPEN");
-                await this.db.logEvent("TRADE_EXECUTED", { asset, size: filledSize, avg_px: avgPx });
+            // The exchange's position is the record of what was opened. If it cannot be read,
+            // the fills reported by the orders stand in, so the new position is still managed.
+            let filledSize = fill.filledSize;
+            let avgPx = fill.avgPx;
+            try {
+                const after = await this.orders.getPosition(asset);
+                const beforeSzi = Number(before?.szi ?? 0);
+                const afterSzi = Number(after?.szi ?? 0);
+                const confirmedSize = Number(Math.abs(afterSzi - beforeSzi).toFixed(szDecimals));
+                if (Math.abs(confirmedSize - filledSize) > 1e-9) {
+                    this.logger.warn(`The ${asset} position grew by ${confirmedSize}, but the orders reported ${filledSize} filled. Using the position.`);
+                }
+                filledSize = confirmedSize;
+                if (filledSize > 0 && beforeSzi === 0) avgPx = Number(after.entryPx);
+            } catch (error) {
+                this.logger.warn(`${error.message}. Recording the reported fills instead.`);
+            }
+            if (!(filledSize > 0)) throw new Error(fill.error || 'Order was not filled.');
+            if (fill.error) this.logger.warn(`${asset} entry partially filled (${filledSize} of ${orderSize}): ${fill.error}`);
 
-                // --- FIX: Return the entire filled order object ---
-                return { success: true, filledOrder: filledOrder };
+            this.logger.success(`TRADE EXECUTED: ${isBuy ? 'Bought' : 'Sold'} ${filledSize} ${asset} @ $${avgPx}`);
+            await this.db.updatePosition(asset, direction, filledSize, avgPx, "OPEN");
+            await this.db.logEvent("TRADE_EXECUTED", { asset, direction, size: filledSize, avg_px: avgPx, requested_size: orderSize, attempts: fill.attempts });
+            await this.db.openTrade({ asset, direction, entryPx: avgPx, size: filledSize });
 
-            } else {
-                throw new Error(`Trade execution failed: ${JSON.stringify(result)}`);
+            if (this.config.risk.exchangeOrders) {
+                await this.placeProtectiveOrders(asset, isBuy, filledSize, avgPx, stopDistance);
             }
+            return { success: true, filledOrder: { avgPx: String(avgPx), totalSz: String(filledSize) } };
         } catch (error) {
-            logger.error(`Error in executeBuy: ${error.message}`);
-            await this.db.logEvent("TRADE_FAILED", { error: error.message });
+            this.logger.error(`Error in execute${isBuy ? 'Buy' : 'Sell'}: ${error.message}`);
+            await this.db.logEvent("TRADE_FAILED", { asset, error: error.message });
             return { success: false, error: error.message };
         }
     }
 
-    // ... closePosition and getClearinghouseState are the same ...
-    async closePosition(asset, size) {
+    /**
+     * Closes all or part of a position with reduce-only orders through the OrderManager,
+     * then records in the trade ledger what the clearinghouse state shows was closed.
+     * A partial close leaves the trade open for the remaining size. The close only
+     * succeeds once the requested size is gone from the exchange; if the position cannot
+     * be confirmed, nothing is recorded (the next position check sorts it out).
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {number} size - The signed size to close (the position's szi to close it all); negative for shorts.
+     * @param {string} [reason="MANUAL"] - Why the position is being closed (e.g., "FIB-STOP").
+     * @returns {Promise<Object>} { success, price, size, remaining, error } with the size actually
+     *   closed and the size still open on the exchange.
+     */
+    async closePosition(asset, size, reason = "MANUAL") {
         try {
             const isClosingLong = size > 0;
             const action = isClosingLong ? "SELL" : "BUY";
-            logger.info(`Executing CLOSE for ${asset} position of size ${size}. Action: ${action}`);
-            const meta = await this.infoClient.meta();
-            const assetInfo = meta.universe.find(u => u.name === asset);
-            if (!assetInfo) throw new Error(`Asset ${asset} not found.`);
-            const assetIndex = meta.universe.findIndex(u => u.name === assetInfo.name);
-            const currentPrice = await this.dataCollector.getCurrentPrice(asset);
-            if (!currentPrice) throw new Error(`Could not fetch current price for ${asset}.`);
-            const slippagePrice = isClosingLong ? (currentPrice * (1 - this.config.trading.slippage)).toFixed(2) : (currentPrice * (1 + this.config.trading.slippage)).toFixed(2);
-            const order = { a: assetIndex, b: !isClosingLong, p: slippagePrice, s: Math.abs(size).toString(), r: true, t: { "limit": { "tif": "Ioc" } } };
-            const result = await this.exchangeClient.order({ orders: [order], grouping: "na" });
-            if (result.status === "ok") {
-                const filledOrder = result.response.data.statuses[0].filled;
-                const avgPx = filledOrder ? parseFloat(filledOrder.avgPx) : 0;
-                logger.success(`POSITION CLOSED: ${asset} @ ~$${avgPx}`);
-                await this.db.updatePosition(asset, "N/A", 0, 0, "CLOSED");
-                return { success: true, price: avgPx };
+            this.logger.info(`Executing CLOSE for ${asset} position of size ${size}. Action: ${action}`);
+            const { assetIndex, szDecimals } = await this.getAssetMeta(asset);
+            const closeSize = Number(Math.abs(size).toFixed(szDecimals));
+            if (!(closeSize > 0)) throw new Error(`Close size ${size} rounds to zero at ${szDecimals} decimals.`);
+
+            const before = await this.orders.getPosition(asset);
+            const openSize = Math.abs(Number(before?.szi ?? 0));
+            if (!(openSize > 0)) throw new Error(`No ${asset} position is open on the exchange.`);
+            const targetSize = Math.min(closeSize, openSize);
+
+            const fill = await this.orders.fill({ asset, assetIndex, szDecimals, isBuy: !isClosingLong, size: targetSize, reduceOnly: true, slippage: this.getSlippage(asset) });
+            const after = await this.orders.getPosition(asset);
+            const remaining = Number(Math.abs(Number(after?.szi ?? 0)).toFixed(szDecimals));
+            const closedSize = Number((openSize - remaining).toFixed(szDecimals));
+            if (!(closedSize > 0)) throw new Error(fill.error || 'Nothing was closed.');
+            if (Math.abs(closedSize - fill.filledSize) > 1e-9) {
+                this.logger.warn(`The ${asset} position shrank by ${closedSize}, but the orders reported ${fill.filledSize} filled. Using the position.`);
+            }
+
+            const avgPx = fill.avgPx;
+            const trade = await this.db.closeTrade(asset, { exitReason: reason, exitPx: avgPx, size: remaining > 0 ? closedSize : null });
+            if (remaining > 0) {
+                this.logger.success(`POSITION REDUCED: Closed ${closedSize} ${asset} @ ~$${avgPx}, ${remaining} left open.`);
+                await this.db.updatePosition(asset, isClosingLong ? "LONG" : "SHORT", remaining, Number(after.entryPx), "OPEN");
+                await this.db.logEvent("POSITION_REDUCED", { asset, reason, size: closedSize, avg_px: avgPx, remaining });
             } else {
-                throw new Error(`Failed to close position: ${JSON.stringify(result)}`);
+                this.logger.success(`POSITION CLOSED: ${asset} @ ~$${avgPx}`);
+                await this.db.updatePosition(asset, "N/A", 0, 0, "CLOSED");
+                if (trade) await this.reconcileTrade(trade);
+            }
+
+            const success = closedSize >= targetSize - 1e-9;
+            if (!success) {
+                const error = fill.error || `The ${asset} position only shrank by ${closedSize}.`;
+                this.logger.error(`Closed only ${closedSize} of ${targetSize} ${asset}, ${remaining} still open: ${error}`);
+                await this.db.logEvent("CLOSE_INCOMPLETE", { asset, reason, size: closedSize, requested_size: targetSize, remaining, error });
+                return { success: false, price: avgPx, size: closedSize, remaining, error };
             }
+            return { success: true, price: avgPx, size: closedSize, remaining };
         } catch (error) {
-            logger.error(`Error in closePosition: ${error.message}`);
+            this.logger.error(`Error in closePosition: ${error.message}`);
             await this.db.logEvent("CLOSE_FAILED", { asset, error: error.message });
             return { success: false, error: error.message };
         }
     }
 
+    getSlippage(asset) {
+        return (getAssetConfig(this.config, asset) || this.config).trading.slippage;
+    }
+
+    // --- Trade Ledger ---
+
+    /**
+     * Records a position that was closed outside the bot (by hand, or by one of the
+     * exchange trigger orders) and fills in the details from the exchange's fills.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     */
+    async recordExternalClose(asset) {
+        const trade = await this.db.closeTrade(asset, { exitReason: "EXTERNAL" });
+        if (!trade) return;
+        this.logger.info(`Recorded external close of ${asset} trade #${trade.id}.`);
+        await this.reconcileTrade(trade);
+    }
+
+    /**
+     * Replaces a closed trade's prices, fees and PnL with Hyperliquid's own fills.
+     * An exit filled by one of our protective trigger orders is labelled as such.
+     * @param {Object} trade - A row from the trades table.
+     */
+    async reconcileTrade(trade) {
+        const log = this.logger.child({ asset: trade.asset, tradeId: trade.id });
+        try {
+            const userAddress = process.env.HYPERLIQUID_MAIN_ACCOUNT_ADDRESS || this.walletAddress;
+            // Fills up to the previous trade's exit belong to that trade.
+            const previous = await this.db.getPreviousTrade(trade.asset, trade.id);
+            const previousExit = previous?.exit_time ? new Date(previous.exit_time).getTime() : 0;
+            const startTime = Math.max(new Date(trade.entry_time).getTime() - 60 * 1000, previousExit + 1);
+            const fills = (await this.infoClient.userFillsByTime({ user: userAddress.toLowerCase(), startTime }))
+                .filter(f => f.coin === trade.asset && f.time >= startTime)
+                .sort((a, b) => a.time - b.time);
+
+            const side = trade.direction === "SHORT" ? "Short" : "Long";
+            const takeUntil = (candidates, size) => {
+                const taken = [];
+                let total = 0;
+                for (const fill of candidates) {
+                    if (total >= size - 1e-9) break;
+                    taken.push(fill);
+                    total += parseFloat(fill.sz);
+                }
+                return { taken, total };
+            };
+            const averagePx = (taken) => taken.reduce((sum, f) => sum + parseFloat(f.px) * parseFloat(f.sz), 0)
+                / taken.reduce((sum, f) => sum + parseFloat(f.sz), 0);
+
+            const entry = takeUntil(fills.filter(f => f.dir === `Open ${side}`), trade.size);
+            const firstEntryTime = entry.taken.length > 0 ? entry.taken[0].time : startTime;
+            const exit = takeUntil(fills.filter(f => f.dir === `Close ${side}` && f.time >= firstEntryTime), trade.size);
+            if (exit.total < trade.size - 1e-9) {
+                log.warn(`Could not reconcile trade: only ${exit.total} of ${trade.size} found in exit fills.`);
+                return;
+            }
+
+            const orders = this.protectiveOrders[trade.asset];
+            const exitOids = new Set(exit.taken.map(f => f.oid));
+            let exitReason = null;
+            if (orders?.stop && exitOids.has(orders.stop.oid)) exitReason = "EXCHANGE-STOP";
+            if (orders?.takeProfit && exitOids.has(orders.takeProfit.oid)) exitReason = "EXCHANGE-TP";
+
+            const fields = {
+                entryPx: entry.taken.length > 0 ? averagePx(entry.taken) : trade.entry_px,
+                exitPx: averagePx(exit.taken),
+                exitTime: new Date(exit.taken[exit.taken.length - 1].time).toISOString(),
+                fees: [...entry.taken, ...exit.taken].reduce((sum, f) => sum + parseFloat(f.fee), 0),
+                realizedPnl: exit.taken.reduce((sum, f) => sum + parseFloat(f.closedPnl), 0),
+                exitReason,
+            };
+            await this.db.reconcileTrade(trade.id, fields);
+            log.info(`Reconciled trade with exchange fills. Net PnL: $${(fields.realizedPnl - fields.fees).toFixed(2)}`, fields);
+        } catch (error) {
+            log.error(`Could not reconcile trade: ${error.message}`, { error });
+        }
+    }
+
+    // --- Exchange-Native Protective Orders ---
+    // Reduce-only trigger orders that mirror the RiskManager's stops on the exchange,
+    // so the position stays protected even if the bot is not running.
+
+    async getAssetMeta(asset) {
+        const meta = await this.infoClient.meta();
+        const assetIndex = meta.universe.findIndex(u => u.name === asset);
+        if (assetIndex === -1) throw new Error(`Asset ${asset} not found in exchange metadata.`);
+        return { assetIndex, szDecimals: meta.universe[assetIndex].szDecimals };
+    }
+
+    /**
+     * Places a reduce-only market trigger order that closes (part of) a position.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {boolean} isLong - The side of the position being protected.
+     * @param {number} size - The size to close, in coins.
+     * @param {number} triggerPx - The price that fires the order.
+     * @param {string} tpsl - "sl" for a stop-loss, "tp" for a take-profit.
+     * @returns {Promise<Object>} { oid, triggerPx } with the price as sent to the exchange.
+     */
+    async placeTriggerOrder(asset, isLong, size, triggerPx, tpsl) {
+        const { assetIndex, szDecimals } = await this.getAssetMeta(asset);
+        const slippage = this.getSlippage(asset);
+        const slippageFactor = isLong ? 1 - slippage : 1 + slippage;
+        const formattedTriggerPx = formatPrice(triggerPx, szDecimals);
+        const order = {
+            a: assetIndex,
+            b: !isLong,
+            p: formatPrice(triggerPx * slippageFactor, szDecimals),
+            s: size.toFixed(szDecimals),
+            r: true,
+            t: { trigger: { isMarket: true, triggerPx: formattedTriggerPx, tpsl } },
+        };
+        const result = await this.exchangeClient.order({ orders: [order], grouping: "na" });
+        const status = result.response.data.statuses[0];
+        if (!status.resting) throw new Error(`Trigger order was not accepted: ${JSON.stringify(status)}`);
+        return { oid: status.resting.oid, triggerPx: formattedTriggerPx };
+    }
+
+    async cancelOrder(asset, oid) {
+        const { assetIndex } = await this.getAssetMeta(asset);
+        try {
+            await this.exchangeClient.cancel({ cancels: [{ a: assetIndex, o: oid }] });
+        } catch (error) {
+            // The order may already have fired or been cancelled by hand.
+            this.logger.warn(`Could not cancel order ${oid} for ${asset}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Places the initial stop-loss and take-profit for a freshly filled position at the
+     * prices matching the RiskManager's ROE thresholds, or with `stopDistance` the stop
+     * at that distance from entry.
+     */
+    async placeProtectiveOrders(asset, isLong, size, entryPx, stopDistance = null) {
+        const assetConfig = getAssetConfig(this.config, asset) || this.config;
+        const leverage = this.leverage[asset] ?? assetConfig.trading.leverage;
+        const roeExits = getRoeExitPrices(entryPx, !isLong, leverage, this.config.risk);
+        const takeProfitPx = roeExits.takeProfitPx;
+        const stopLossPx = stopDistance != null
+            ? (isLong ? entryPx - stopDistance : entryPx + stopDistance)
+            : roeExits.stopLossPx;
+        try {
+            const stop = await this.placeTriggerOrder(asset, isLong, size, stopLossPx, "sl");
+            const takeProfit = await this.placeTriggerOrder(asset, isLong, size, takeProfitPx, "tp");
+            this.protectiveOrders[asset] = { isLong, size, stop, takeProfit };
+            this.logger.success(`Protective orders placed for ${asset}: SL @ $${stop.triggerPx}, TP @ $${takeProfit.triggerPx}`);
+            await this.db.logEvent("PROTECTIVE_ORDERS_PLACED", { asset, stop_px: stop.triggerPx, take_profit_px: takeProfit.triggerPx });
+        } catch (error) {
+            this.logger.error(`Could not place protective orders for ${asset}: ${error.message}. The bot is still monitoring the position.`);
+            await this.db.logEvent("PROTECTIVE_ORDERS_FAILED", { asset, error: error.message });
+        }
+    }
+
+    /**
+     * Moves the on-exchange stop to a new price. The replacement is placed before the
+     * old stop is cancelled, so the position is never left without one.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {number} stopPx - The new stop price (e.g., the RiskManager's fib-trail stop).
+     */
+    async updateStopOrder(asset, stopPx) {
+        const orders = this.protectiveOrders[asset];
+        if (!orders) return;
+        try {
+            const { szDecimals } = await this.getAssetMeta(asset);
+            if (orders.stop && orders.stop.triggerPx === formatPrice(stopPx, szDecimals)) return;
+
+            const oldStop = orders.stop;
+            orders.stop = await this.placeTriggerOrder(asset, orders.isLong, orders.size, stopPx, "sl");
+            if (oldStop) await this.cancelOrder(asset, oldStop.oid);
+            this.logger.info(`Exchange stop for ${asset} moved from $${oldStop ? oldStop.triggerPx : 'none'} to $${orders.stop.triggerPx}.`);
+            await this.db.logEvent("STOP_ORDER_UPDATED", { asset, old_stop_px: oldStop?.triggerPx ?? null, stop_px: orders.stop.triggerPx });
+        } catch (error) {
+            this.logger.error(`Could not update exchange stop for ${asset}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-places the stop and take-profit for a smaller position after a partial close,
+     * at their current trigger prices. As with a stop move, each replacement is placed
+     * before the old order is cancelled.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {number} size - The size still open, in coins.
+     */
+    async resizeProtectiveOrders(asset, size) {
+        const orders = this.protectiveOrders[asset];
+        if (!orders) return;
+        try {
+            for (const [key, tpsl] of [["stop", "sl"], ["takeProfit", "tp"]]) {
+                const oldOrder = orders[key];
+                if (!oldOrder) continue;
+                orders[key] = await this.placeTriggerOrder(asset, orders.isLong, size, Number(oldOrder.triggerPx), tpsl);
+                await this.cancelOrder(asset, oldOrder.oid);
+            }
+            orders.size = size;
+            this.logger.info(`Protective orders for ${asset} resized to ${size}.`);
+            await this.db.logEvent("PROTECTIVE_ORDERS_RESIZED", { asset, size, stop_px: orders.stop?.triggerPx ?? null, take_profit_px: orders.takeProfit?.triggerPx ?? null });
+        } catch (error) {
+            this.logger.error(`Could not resize protective orders for ${asset}: ${error.message}`);
+        }
+    }
+
+    async getOpenTriggerOrders(asset) {
+        const userAddress = process.env.HYPERLIQUID_MAIN_ACCOUNT_ADDRESS || this.walletAddress;
+        const openOrders = await this.infoClient.frontendOpenOrders({ user: userAddress.toLowerCase() });
+        return openOrders.filter(o => o.coin === asset && o.isTrigger && o.reduceOnly);
+    }
+
+    /**
+     * Cancels every reduce-only trigger order left for an asset, including ones this
+     * process did not place (e.g. the other leg after a TP or SL fired).
+     */
+    async cancelProtectiveOrders(asset) {
+        delete this.protectiveOrders[asset];
+        try {
+            const orphans = await this.getOpenTriggerOrders(asset);
+            for (const order of orphans) {
+                await this.cancelOrder(asset, order.oid);
+            }
+            if (orphans.length > 0) {
+                this.logger.info(`Cancelled ${orphans.length} leftover trigger order(s) for ${asset}.`);
+                await this.db.logEvent("PROTECTIVE_ORDERS_CANCELLED", { asset, oids: orphans.map(o => o.oid) });
+            }
+        } catch (error) {
+            this.logger.error(`Could not clean up trigger orders for ${asset}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Brings the on-exchange orders in line with the position at startup: orphans are
+     * cancelled when there is no position, existing orders are adopted, and anything
+     * missing or sized for a different position is (re)placed.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {Object|null} livePosition - The position from the clearinghouse state, or null.
+     * @param {number|null} [stopPx=null] - The stop the RiskManager holds for the position
+     *   (see RiskManager.getStopPrice()); a missing stop is placed there, or at the fixed
+     *   ROE stop without one.
+     * @returns {Promise<Object|null>} The stop order being tracked ({ oid, triggerPx }), or null.
+     */
+    async reconcileProtectiveOrders(asset, livePosition, stopPx = null) {
+        if (!livePosition) {
+            await this.cancelProtectiveOrders(asset);
+            return null;
+        }
+        try {
+            const isLong = Number(livePosition.szi) > 0;
+            const size = Math.abs(Number(livePosition.szi));
+            const openOrders = await this.getOpenTriggerOrders(asset);
+            const matches = (o) => o.side === (isLong ? "A" : "B") && Math.abs(Number(o.sz) - size) < 1e-9;
+            const stopOrder = openOrders.find(o => o.orderType === "Stop Market" && matches(o));
+            const takeProfitOrder = openOrders.find(o => o.orderType === "Take Profit Market" && matches(o));
+
+            for (const order of openOrders.filter(o => o !== stopOrder && o !== takeProfitOrder)) {
+                await this.cancelOrder(asset, order.oid);
+            }
+
+            const { stopLossPx, takeProfitPx } = getRoeExitPrices(Number(livePosition.entryPx), !isLong, livePosition.leverage.value, this.config.risk);
+            const stop = stopOrder
+                ? { oid: stopOrder.oid, triggerPx: stopOrder.triggerPx }
+                : await this.placeTriggerOrder(asset, isLong, size, stopPx ?? stopLossPx, "sl");
+            const takeProfit = takeProfitOrder
+                ? { oid: takeProfitOrder.oid, triggerPx: takeProfitOrder.triggerPx }
+                : await this.placeTriggerOrder(asset, isLong, size, takeProfitPx, "tp");
+            this.protectiveOrders[asset] = { isLong, size, stop, takeProfit };
+
+            this.logger.info(`Reconciled protective orders for ${asset}: SL @ $${stop.triggerPx} (${stopOrder ? 'existing' : 'placed'}), TP @ $${takeProfit.triggerPx} (${takeProfitOrder ? 'existing' : 'placed'}).`);
+            await this.db.logEvent("PROTECTIVE_ORDERS_RECONCILED", { asset, stop_px: stop.triggerPx, take_profit_px: takeProfit.triggerPx, adopted_stop: Boolean(stopOrder), adopted_take_profit: Boolean(takeProfitOrder) });
+            return stop;
+        } catch (error) {
+            this.logger.error(`Could not reconcile protective orders for ${asset}: ${error.message}`);
+            return null;
+        }
+    }
+
     async getClearinghouseState() {
         try {
             const userAddress = process.env.HYPERLIQUID_MAIN_ACCOUNT_ADDRESS || this.walletAddress;
             return await this.infoClient.clearinghouseState({ user: userAddress.toLowerCase() });
         } catch (error) {
-            logger.error(`Error fetching clearinghouse state: ${error.message}`);
+            this.logger.error(`Error fetching clearinghouse state: ${error.message}`);
             return null;
         }
     }
@@ -1,50 +1,229 @@
 // src/config.js
 import 'dotenv/config';
+import schema from './configSchema.js';
+import { loadConfig, redactConfig } from './utils/configLoader.js';
+import { getNetworkDatabaseFile } from './utils/network.js';
+import logger from './utils/logger.js';
 
-const config = {
+// The defaults. Profiles, environment variables and command line flags are applied
+// on top of these (see loadConfig() in utils/configLoader.js), e.g.
+//   node src/app.js --profile paper --risk.stopLossPercentage=0.3
+//   BOT_TRADING__LEVERAGE=10 node src/app.js
+const defaults = {
     // --- ADD THIS SECTION ---
     // General Settings
     debug: false, // Master switch for all debug features
 
+    // Hyperliquid network. Every client (REST, WebSocket, order signing) uses this one setting.
+    network: {
+        name: "mainnet", // "mainnet" or "testnet"; testnet keeps its data in its own database file
+        apiUrl: null, // Custom REST base URL, e.g. a local mock; null uses the network's public API
+        wsUrl: null, // Custom WebSocket URL; null uses the network's public endpoint
+    },
+
     // Trading Parameters
     trading: {
-        asset: "SOL",
+        // Assets to trade from this one process. Each entry is a symbol, or an object
+        // overriding any of the defaults below (and `ta`) for that asset only.
+        assets: [
+            "SOL",
+            // { asset: "ETH", tradeUsdSize: 500, leverage: 10, ta: { fibLookback: 60 } },
+        ],
+        // Defaults shared by every asset
         tradeUsdSize: 625,
-        leverage: 20,
+        leverage: 20, // Set on the exchange before every entry (capped at the asset's maximum)
+        marginMode: "cross", // "cross" or "isolated"
+        // How big each position is:
+        //   "fixed"  - tradeUsdSize of notional
+        //   "equity" - equityPct of the account value committed as margin
+        //   "risk"   - sized so that hitting the initial stop loses riskPct of the account value
+        sizing: { mode: "fixed", equityPct: 0.1, riskPct: 0.01 },
         slippage: 0.01,
         cooldownMinutes: 10,
+        strategy: "fib-bounce", // A built-in strategy name, or the path of a module exporting a Strategy subclass
+        direction: "long", // "long", "short" or "both"
+        executionMode: "live", // "live" signs real orders, "paper" simulates fills against live mids
+    },
+
+    // Order Execution (live mode). Entries and exits are IOC limit orders starting at
+    // trading.slippage from the mid; whatever is left unfilled is sent again at a wider price.
+    orders: {
+        maxAttempts: 4,
+        slippageStep: 0.005, // Added to the slippage on each retry
+        maxSlippage: 0.03,
+        retryDelayMs: 500,
+    },
+
+    // Paper Trading (used when trading.executionMode is "paper")
+    paper: {
+        startingBalance: 10000,
+        slippage: 0.0005, // Price impact applied to every simulated fill
+        feeRate: 0.00045, // Taker fee as a fraction of notional
+        stateFile: "paper_account.json",
     },
 
     // Risk Management
     risk: {
         stopLossPercentage: 0.45,
         takeProfitPercentage: 2.15,
+        initialStop: "roe", // "roe" stops at stopLossPercentage ROE, "atr" at atrStopMultiplier ATRs from entry
+        atrStopMultiplier: 2,
+        // Scale out in tiers at multiples of the initial risk (R = entry to initial stop), e.g.
+        // [{ r: 1, fraction: 0.33 }, { r: 2, fraction: 0.33 }]. Fractions are of the initial size;
+        // whatever is left rides the fib trail (and the take-profit above).
+        takeProfitLadder: [],
+        breakEvenAfterFirstTier: false, // Move the stop to the entry price once the first tier fills
+        exchangeOrders: true, // Mirror SL/TP (and the fib trail) as reduce-only trigger orders on Hyperliquid (live mode only)
+    },
+
+    // Account-wide guards that block new entries (all assets) once tripped. null turns a guard off.
+    circuitBreaker: {
+        maxDailyLossUsd: null, // Realized net loss since the last reset, in USD
+        maxDailyLossPct: null, // ...or as a fraction of the account value (e.g. 0.05)
+        maxConsecutiveLosses: null,
+        maxTradesPerDay: null,
+        resetTimeUtc: "00:00", // A tripped guard lifts, and the daily counts restart, at this time
+        flattenOnTrip: false, // Also close open positions when a loss guard or the kill switch trips
     },
 
     // Technical Analysis
     ta: {
+        timeframe: "5m", // Candle size the lookbacks below are measured in: "1m", "5m", "15m", "30m", "1h" or "4h"
+        confirmTimeframes: [], // Higher timeframes analyzed alongside, e.g. ["1h"]; entries need each of them to agree
         atrPeriod: 14,
+        atrSmoothing: "sma", // "sma", "wma", "ema" or "wilder" (the classic ATR)
         fibLookback: 42,
         wmaPeriod: 24,
+        fibSmoothing: "sma", // How the wma_fib_* lines average over wmaPeriod: "sma", "wma", "ema" or "wilder"
+        rsiPeriod: 14,
+        bollingerPeriod: 20,
+        bollingerStdDev: 2,
         fibEntryOffsetPct: 0.005,
+        fibShortEntryOffsetPct: 0.005, // Shorts arm this far above wma_fib_100
         resetPctAboveFib0: 0.005,
     },
 
     // Data Collection
     collector: {
-        intervalSeconds: 60,
+        intervalSeconds: 60, // HTTP polling interval (also used while the WebSocket is unhealthy)
+        transport: "http", // "http" polls allMids, "websocket" streams mids and trades
+        websocket: {
+            minTickIntervalMs: 1000, // At most one tick per asset per interval is stored and analyzed
+            staleAfterSeconds: 30, // Fall back to HTTP polling after this long without any message
+            pingIntervalSeconds: 30, // Keep-alive; the server drops connections idle for 60s
+            maxBackoffSeconds: 60,
+        },
+        // Holes in the stored prices (e.g. while the bot was down) are filled from the
+        // exchange's candles, at startup and whenever ticks resume after a gap.
+        backfill: {
+            enabled: true,
+            maxGapSeconds: 180, // Ticks further apart than this leave a gap (as do ticks that leave a ta.timeframe candle empty)
+            lookbackHours: 24, // How far back gaps are filled (and the startup check looks)
+            interval: "1m", // Candles used to fill gaps; no longer than ta.timeframe
+        },
     },
 
-    // Discord Notifications
-    discord: {
-        webhookUrl: process.env.DISCORD_WEBHOOK_URL,
+    // Control API (used by trigger_trade.js). Disabled unless CONTROL_API_TOKEN is set.
+    control: {
+        host: "127.0.0.1",
+        port: 8787,
+        token: process.env.CONTROL_API_TOKEN,
+    },
+
+    // Notifications. A channel is enabled once its settings (from .env) are filled in, and
+    // only receives alerts at or above its minSeverity: "info", "success", "warning" or "error".
+    notifications: {
         botName: "Bot 1 Hyperliquid",
+        channels: {
+            discord: { webhookUrl: process.env.DISCORD_WEBHOOK_URL, minSeverity: "info" },
+            telegram: { botToken: process.env.TELEGRAM_BOT_TOKEN, chatId: process.env.TELEGRAM_CHAT_ID, apiUrl: "https://api.telegram.org", minSeverity: "info" },
+            slack: { webhookUrl: process.env.SLACK_WEBHOOK_URL, minSeverity: "warning" },
+            webhook: { url: process.env.NOTIFY_WEBHOOK_URL, minSeverity: "info" },
+            email: {
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === "true", // TLS from the start (port 465); otherwise STARTTLS if offered
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+                from: process.env.ALERT_EMAIL_FROM,
+                to: process.env.ALERT_EMAIL_TO, // Comma-separated
+                minSeverity: "error",
+            },
+        },
+        dedupeWindowSeconds: 300, // The same alert is sent at most once per window
+        maxPerMinute: 20, // Per channel; alerts over the limit wait in the outbox
+        retry: { maxAttempts: 8, baseDelaySeconds: 5, maxDelaySeconds: 600 }, // Backoff doubles per failed attempt
+        flushIntervalSeconds: 5,
+        timeoutSeconds: 10,
+    },
+
+    // Logging. Levels: "trace", "debug", "info", "warn", "error". The console shows "pretty"
+    // colored lines or "json"; the file always gets one JSON record per line.
+    logging: {
+        level: process.env.LOG_LEVEL || "info",
+        components: {}, // Per-component levels, e.g. { RiskManager: "debug", DataCollector: "warn" }
+        console: "pretty",
+        file: {
+            path: "logs/bot.log", // Set to null to log to the console only
+            maxSizeMb: 10, // Rotated to bot.log.1 ... bot.log.N once it reaches this size
+            maxFiles: 5,
+        },
     },
 
     // Database
     database: {
         file: "trading_bot.db",
+        // Raw ticks older than keepDays are rolled up into candles and deleted, by the bot
+        // every intervalHours or with `node prune_prices.js`.
+        retention: {
+            enabled: true,
+            keepDays: 30,
+            timeframes: ["5m", "1h"], // Candles kept for rolled-up ticks; one must divide ta.timeframe
+            intervalHours: 6,
+        },
     },
 };
 
+// Named profiles, selected with `--profile <name>` or BOT_PROFILE (comma-separate
+// several to combine them). Each is merged over the defaults; lists are replaced.
+const profiles = {
+    testnet: {
+        network: { name: "testnet" },
+    },
+    paper: {
+        trading: { executionMode: "paper" },
+    },
+    "sol-aggressive": {
+        trading: { assets: ["SOL"], leverage: 20, sizing: { mode: "risk", riskPct: 0.02 }, cooldownMinutes: 5 },
+        risk: { stopLossPercentage: 0.6, takeProfitPercentage: 3 },
+    },
+    "sol-conservative": {
+        trading: { assets: ["SOL"], leverage: 5, sizing: { mode: "risk", riskPct: 0.005 }, cooldownMinutes: 30 },
+        risk: { takeProfitLadder: [{ r: 1, fraction: 0.5 }], breakEvenAfterFirstTier: true },
+        circuitBreaker: { maxDailyLossPct: 0.03, maxConsecutiveLosses: 3 },
+    },
+};
+
+let loaded;
+try {
+    loaded = loadConfig(defaults, profiles, schema);
+} catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+}
+
+const config = loaded.config;
+config.database.file = getNetworkDatabaseFile(config.database.file, config.network.name);
+
+// Command line arguments that are not config flags, for scripts that take their own.
+export const args = loaded.args;
+
+/**
+ * What the config was built from, with secrets hidden; printed and saved at startup.
+ * @returns {Object} { profiles, overrides: [{ path, source }], config }
+ */
+export function describeConfig() {
+    return { profiles: loaded.profiles, overrides: loaded.overrides, config: redactConfig(config, schema) };
+}
+
 export default config;
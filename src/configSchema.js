@@ -0,0 +1,246 @@
+// src/configSchema.js
+import { section, number, integer, boolean, string, oneOf, arrayOf, mapOf, stringOr } from './utils/configLoader.js';
+import { TIMEFRAMES, pickCandleTimeframe } from './utils/helpers.js';
+import { SMOOTHING_METHODS } from './utils/indicators.js';
+import { SIZING_MODES } from './components/PositionSizer.js';
+import { SEVERITIES } from './notifications/Channel.js';
+import { NETWORKS } from './utils/network.js';
+
+// The rules every resolved config must pass at startup (see loadConfig() in
+// utils/configLoader.js). Ranges are generous; they are there to catch typos such as
+// a stop-loss of 45 instead of 0.45, not to second-guess a strategy.
+
+const TIMEFRAME_NAMES = Object.keys(TIMEFRAMES);
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+const fraction = (options = {}) => number({ min: 0, max: 1, ...options });
+
+// --- Trading ---
+
+// Settings that trading.assets entries may override per asset.
+const tradingSettings = {
+    tradeUsdSize: number({ above: 0 }),
+    leverage: integer({ min: 1, max: 50 }),
+    marginMode: oneOf(['cross', 'isolated']),
+    sizing: section({
+        mode: oneOf(SIZING_MODES),
+        equityPct: fraction({ above: 0 }),
+        riskPct: fraction({ above: 0, max: 0.5 }),
+    }),
+    slippage: fraction({ max: 0.1 }),
+    cooldownMinutes: number({ min: 0 }),
+    strategy: string(),
+    direction: oneOf(['long', 'short', 'both']),
+};
+
+const ta = section({
+    timeframe: oneOf(TIMEFRAME_NAMES),
+    confirmTimeframes: arrayOf(oneOf(TIMEFRAME_NAMES)),
+    atrPeriod: integer({ min: 1 }),
+    atrSmoothing: oneOf(SMOOTHING_METHODS),
+    fibLookback: integer({ min: 2 }),
+    wmaPeriod: integer({ min: 1 }),
+    fibSmoothing: oneOf(SMOOTHING_METHODS),
+    rsiPeriod: integer({ min: 1 }),
+    bollingerPeriod: integer({ min: 2 }),
+    bollingerStdDev: number({ above: 0 }),
+    fibEntryOffsetPct: fraction({ max: 0.1 }),
+    fibShortEntryOffsetPct: fraction({ max: 0.1 }),
+    resetPctAboveFib0: fraction({ max: 0.1 }),
+}, {
+    check: ({ timeframe, confirmTimeframes }) => {
+        const shorter = confirmTimeframes.find(higher => TIMEFRAMES[higher] <= TIMEFRAMES[timeframe]);
+        return shorter ? ['confirmTimeframes', `must be longer than ta.timeframe '${timeframe}', got '${shorter}'.`] : null;
+    },
+});
+
+const assetEntry = stringOr(section({
+    asset: string(),
+    ...tradingSettings,
+    ta: { ...ta, partial: true, check: undefined },
+}, {
+    partial: true,
+    check: entry => (entry.asset ? null : "needs an 'asset' symbol."),
+}));
+
+const trading = section({
+    assets: arrayOf(assetEntry, { optional: true }),
+    asset: string({ optional: true }), // The single-asset form, used when `assets` is empty
+    ...tradingSettings,
+    executionMode: oneOf(['live', 'paper']), // One account for every asset, so not overridable
+}, {
+    check: ({ assets = [], asset }) => {
+        const symbols = assets.map(entry => (typeof entry === 'string' ? entry : entry.asset));
+        if (symbols.length === 0 && !asset) return ['assets', 'must list at least one asset.'];
+        const duplicate = symbols.find((symbol, i) => symbols.indexOf(symbol) !== i);
+        return duplicate ? ['assets', `lists ${duplicate} more than once.`] : null;
+    },
+});
+
+const orders = section({
+    maxAttempts: integer({ min: 1 }),
+    slippageStep: fraction({ max: 0.1 }),
+    maxSlippage: fraction({ max: 0.2 }),
+    retryDelayMs: integer({ min: 0 }),
+});
+
+// --- Risk ---
+
+const risk = section({
+    stopLossPercentage: fraction({ above: 0 }), // ROE; a loss past 100% ROE is beyond liquidation
+    takeProfitPercentage: number({ above: 0 }),
+    initialStop: oneOf(['roe', 'atr']),
+    atrStopMultiplier: number({ above: 0 }),
+    takeProfitLadder: arrayOf(section({
+        r: number({ above: 0 }),
+        fraction: fraction({ above: 0 }),
+    }), {
+        check: (ladder) => {
+            const total = ladder.reduce((sum, tier) => sum + tier.fraction, 0);
+            if (total > 1 + 1e-9) return `fractions add up to ${Number(total.toFixed(4))}; they must not exceed 1.`;
+            const outOfOrder = ladder.findIndex((tier, i) => i > 0 && tier.r <= ladder[i - 1].r);
+            return outOfOrder !== -1 ? `tiers must be in increasing order of r; tier ${outOfOrder + 1} is not.` : null;
+        },
+    }),
+    breakEvenAfterFirstTier: boolean(),
+    exchangeOrders: boolean(),
+});
+
+const circuitBreaker = section({
+    maxDailyLossUsd: number({ above: 0, optional: true }),
+    maxDailyLossPct: fraction({ above: 0, optional: true }),
+    maxConsecutiveLosses: integer({ min: 1, optional: true }),
+    maxTradesPerDay: integer({ min: 1, optional: true }),
+    resetTimeUtc: string({ check: time => (/^([01]\d|2[0-3]):[0-5]\d$/.test(time) ? null : `must be "HH:MM", got '${time}'.`) }),
+    flattenOnTrip: boolean(),
+});
+
+// --- Infrastructure ---
+
+const httpUrl = url => (/^https?:\/\//.test(url) ? null : `must start with http:// or https://, got '${url}'.`);
+const wsUrl = url => (/^wss?:\/\//.test(url) ? null : `must start with ws:// or wss://, got '${url}'.`);
+
+const network = section({
+    name: oneOf(Object.keys(NETWORKS)),
+    apiUrl: string({ optional: true, check: httpUrl }),
+    wsUrl: string({ optional: true, check: wsUrl }),
+});
+
+const collector = section({
+    intervalSeconds: number({ min: 1 }),
+    transport: oneOf(['http', 'websocket']),
+    websocket: section({
+        minTickIntervalMs: integer({ min: 0 }),
+        staleAfterSeconds: number({ above: 0 }),
+        pingIntervalSeconds: number({ above: 0 }),
+        maxBackoffSeconds: number({ above: 0 }),
+    }),
+    backfill: section({
+        enabled: boolean(),
+        maxGapSeconds: number({ above: 0 }),
+        lookbackHours: number({ above: 0 }),
+        interval: oneOf(TIMEFRAME_NAMES),
+    }),
+});
+
+const minSeverity = oneOf(SEVERITIES);
+
+const notifications = section({
+    botName: string(),
+    channels: section({
+        discord: section({ webhookUrl: string({ optional: true, secret: true }), minSeverity }),
+        telegram: section({
+            botToken: string({ optional: true, secret: true }),
+            chatId: string({ optional: true }),
+            apiUrl: string(),
+            minSeverity,
+        }),
+        slack: section({ webhookUrl: string({ optional: true, secret: true }), minSeverity }),
+        webhook: section({
+            url: string({ optional: true, secret: true }),
+            headers: mapOf(string(), { optional: true, secret: true }),
+            minSeverity,
+        }),
+        email: section({
+            host: string({ optional: true }),
+            port: integer({ min: 1, max: 65535 }),
+            secure: boolean(),
+            user: string({ optional: true }),
+            pass: string({ optional: true, secret: true }),
+            from: string({ optional: true }),
+            to: string({ optional: true }),
+            minSeverity,
+        }),
+    }, { partial: true }),
+    dedupeWindowSeconds: number({ min: 0 }),
+    maxPerMinute: integer({ min: 1 }),
+    retry: section({
+        maxAttempts: integer({ min: 1 }),
+        baseDelaySeconds: number({ above: 0 }),
+        maxDelaySeconds: number({ above: 0 }),
+    }),
+    flushIntervalSeconds: number({ above: 0 }),
+    timeoutSeconds: number({ above: 0 }),
+});
+
+const logging = section({
+    level: oneOf(LOG_LEVELS),
+    components: mapOf(oneOf(LOG_LEVELS)),
+    console: oneOf(['pretty', 'json']),
+    file: section({
+        path: string({ optional: true }),
+        maxSizeMb: number({ above: 0 }),
+        maxFiles: integer({ min: 1 }),
+    }),
+});
+
+const schema = section({
+    debug: boolean(),
+    network,
+    trading,
+    orders,
+    paper: section({
+        startingBalance: number({ above: 0 }),
+        slippage: fraction({ max: 0.1 }),
+        feeRate: fraction({ max: 0.01 }),
+        stateFile: string(),
+    }),
+    risk,
+    circuitBreaker,
+    ta,
+    collector,
+    control: section({
+        host: string(),
+        port: integer({ min: 1, max: 65535 }),
+        token: string({ optional: true, secret: true }),
+    }),
+    notifications,
+    logging,
+    database: section({
+        file: string(),
+        retention: section({
+            enabled: boolean(),
+            keepDays: number({ min: 1 }),
+            timeframes: arrayOf(oneOf(TIMEFRAME_NAMES), {
+                check: timeframes => (timeframes.length === 0 ? 'must list at least one timeframe.' : null),
+            }),
+            intervalHours: number({ above: 0 }),
+        }),
+    }),
+}, {
+    check: ({ collector, ta, database }) => {
+        if (TIMEFRAMES[collector.backfill.interval] > TIMEFRAMES[ta.timeframe]) {
+            return ['collector.backfill.interval', `must not be longer than ta.timeframe '${ta.timeframe}', got '${collector.backfill.interval}'.`];
+        }
+        const { retention } = database;
+        if (retention.enabled && !pickCandleTimeframe(retention.timeframes, ta.timeframe)) {
+            return ['database.retention.timeframes', `needs one that divides ta.timeframe '${ta.timeframe}', or the analysis cannot read rolled-up history.`];
+        }
+        if (retention.enabled && retention.keepDays * 24 < collector.backfill.lookbackHours) {
+            return ['database.retention.keepDays', `must cover collector.backfill.lookbackHours (${collector.backfill.lookbackHours}h), or the gap filler refetches the pruned ticks.`];
+        }
+        return null;
+    },
+});
+
+export default schema;
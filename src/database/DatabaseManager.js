@@ -1,8 +1,23 @@
 // src/components/DatabaseManager.js
+import path from 'path';
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import logger from '../utils/logger.js';
 import DatabaseStreamer from '../utils/DatabaseStreamer.js';
+import { MIGRATIONS, LATEST_VERSION } from './schema.js';
+import { expandCandle, getTimeframeMs, pickCandleTimeframe } from '../utils/helpers.js';
+
+// How long a statement waits for another connection's write transaction (e.g. a
+// batch) to finish before failing with SQLITE_BUSY.
+const BUSY_TIMEOUT_MS = 30000;
+
+// The ticks a stored candle stands in for (see expandCandle()). Each carries its share
+// of the candle's tick count as `volume`, so tick-weighted indicators such as VWAP
+// weigh it like the ticks it was rolled up from.
+function candleToTicks(candle, intervalMs) {
+    const volume = candle.ticks > 0 ? candle.ticks / 4 : 1;
+    return expandCandle({ ...candle, start: new Date(candle.timestamp).getTime(), intervalMs }).map(tick => ({ ...tick, volume }));
+}
 
 class DatabaseManager {
     /**
@@ -12,75 +27,150 @@ class DatabaseManager {
     constructor(dbFile, config) { // <-- ADD config HERE
         this.dbFile = dbFile;
         this.config = config; // <-- STORE THE CONFIG
+        this.logger = logger.child({ component: 'DatabaseManager' });
         this.db = null;
         this.streamer = null; // <-- Initialize streamer to null
+        this.batchQueue = Promise.resolve(); // Batched writes run one at a time (see insertBatch)
 
         // --- MODIFIED SECTION ---
         // Only initialize the streamer if debug mode is enabled
         if (this.config.debug) {
             this.streamer = new DatabaseStreamer('db_stream.json');
-            logger.info("Debug mode is ON. Database changes will be streamed to db_stream.json");
+            this.logger.info("Debug mode is ON. Database changes will be streamed to db_stream.json");
         }
     }
 
     /**
-     * Connects to the SQLite database and creates tables if they don't exist.
+     * Connects to the SQLite database and brings its schema up to date (see schema.js).
+     * @param {Object} [options]
+     * @param {boolean} [options.migrate=true] - Apply pending migrations and check the
+     *   network. migrate_db.js turns this off to report on the database as it is.
      */
-    async connect() {
+    async connect({ migrate = true } = {}) {
         try {
             this.db = await open({
                 filename: this.dbFile,
                 driver: sqlite3.Database
             });
-            logger.info(`Connected to database: ${this.dbFile}`);
-            await this.createTables();
+            this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+            this.logger.info(`Connected to database: ${this.dbFile}`);
+            if (migrate) {
+                await this.migrate();
+                await this.checkNetwork();
+            }
         } catch (error) {
-            logger.error(`Error connecting to database: ${error.message}`);
+            this.logger.error(`Error connecting to database: ${error.message}`);
             throw error;
         }
     }
 
     /**
-     * Creates the necessary tables for the bot's operation.
+     * Reports which migrations the database has applied. Databases created before
+     * versioning (no `schema_version` table) are at version 0.
+     * @returns {Promise<Object>} { current, latest, applied: [{ version, name, applied_at }],
+     *   pending: [{ version, name }] }
      */
-    async createTables() {
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS prices (
-                timestamp TEXT PRIMARY KEY,
-                price REAL NOT NULL
-            );
-        `);
-        await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS positions (
-                asset TEXT PRIMARY KEY,
-                direction TEXT,
-                size REAL,
-                entry_px REAL,
-                status TEXT, -- 'OPEN' or 'CLOSED'
-                last_update TEXT NOT NULL
-            );
-        `);
+    async getSchemaStatus() {
+        const hasVersions = await this.db.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+        const applied = hasVersions ? await this.db.all('SELECT version, name, applied_at FROM schema_version ORDER BY version ASC') : [];
+        const current = applied.length > 0 ? applied[applied.length - 1].version : 0;
+        const pending = MIGRATIONS.filter(m => m.version > current).map(({ version, name }) => ({ version, name }));
+        return { current, latest: LATEST_VERSION, applied, pending };
+    }
+
+    /**
+     * Applies the pending migrations in order, each in its own transaction. The database
+     * file is backed up first, unless it is new.
+     * @param {Object} [options]
+     * @param {number} [options.to=LATEST_VERSION] - The version to stop at.
+     * @param {boolean} [options.backup=true]
+     * @returns {Promise<Object>} { applied: [{ version, name }], backupFile } (backupFile is null if none was made).
+     * @throws {Error} If the database is newer than this code or a migration fails; a
+     *   failed migration is rolled back and the ones before it stay applied.
+     */
+    async migrate({ to = LATEST_VERSION, backup = true } = {}) {
+        const { current } = await this.getSchemaStatus();
+        if (current > LATEST_VERSION) {
+            throw new Error(`${this.dbFile} is at schema version ${current}, but this version of the bot only knows up to ${LATEST_VERSION}. Update the bot.`);
+        }
+        const pending = MIGRATIONS.filter(m => m.version > current && m.version <= to);
+        if (pending.length === 0) {
+            this.logger.debug(`Database schema is up to date (version ${current}).`);
+            return { applied: [], backupFile: null };
+        }
+
+        const isNew = !(await this.db.get("SELECT 1 FROM sqlite_master WHERE type = 'table'"));
+        const backupFile = backup && !isNew ? await this.backup(`v${current}`) : null;
+        this.logger.info(`Migrating ${this.dbFile} from schema version ${current} to ${pending[pending.length - 1].version}${backupFile ? ` (backup: ${backupFile})` : ''}...`);
+
         await this.db.exec(`
-            CREATE TABLE IF NOT EXISTS events (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                timestamp TEXT NOT NULL,
-                event_type TEXT NOT NULL,
-                details TEXT
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL
             );
         `);
-        logger.info("Database tables created or already exist.");
+        const applied = [];
+        for (const { version, name, up } of pending) {
+            await this.db.exec('BEGIN TRANSACTION;');
+            try {
+                await up(this.db, { config: this.config, logger: this.logger });
+                await this.db.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [version, name, new Date().toISOString()]);
+                await this.db.exec('COMMIT;');
+            } catch (error) {
+                await this.db.exec('ROLLBACK;');
+                const restore = backupFile ? ` The backup from before migrating is ${backupFile}.` : '';
+                throw new Error(`Migration ${version} (${name}) failed and was rolled back: ${error.message}. The schema is at version ${applied.at(-1)?.version ?? current}.${restore}`);
+            }
+            applied.push({ version, name });
+            this.logger.info(`Applied migration ${version} (${name}).`);
+        }
+        return { applied, backupFile };
+    }
+
+    /**
+     * Writes a consistent copy of the database next to it, e.g. trading_bot.backup-v3-20250823T114301Z.db.
+     * @param {string} label - Added to the file name.
+     * @returns {Promise<string|null>} The backup's path, or null for an in-memory database.
+     */
+    async backup(label) {
+        if (!this.dbFile || this.dbFile === ':memory:') return null;
+        const { dir, name, ext } = path.parse(this.dbFile);
+        const stamp = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+        const backupFile = path.join(dir, `${name}.backup-${label}-${stamp}${ext || '.db'}`);
+        await this.db.run('VACUUM INTO ?', [backupFile]);
+        return backupFile;
+    }
+
+    /**
+     * Records which Hyperliquid network the database holds data for, and refuses to
+     * use it for another one, so testnet prices never end up in mainnet analysis.
+     * Databases created before network selection hold mainnet data.
+     */
+    async checkNetwork() {
+        const network = this.config?.network?.name;
+        if (!network) return;
+        let owner = (await this.loadState('ACCOUNT', 'network'))?.name;
+        if (!owner) {
+            const hasData = await this.db.get('SELECT 1 FROM prices LIMIT 1');
+            owner = hasData ? 'mainnet' : network;
+            await this.saveState('ACCOUNT', 'network', { name: owner });
+        }
+        if (owner !== network) {
+            throw new Error(`${this.dbFile} holds ${owner} data and cannot be used on ${network}. Point database.file at another file.`);
+        }
     }
 
     /**
      * Saves a new price record to the database.
-     * @param {Object} priceData - An object with { timestamp, price }.
+     * @param {Object} priceData - An object with { asset, timestamp, price, source? }.
      */
     async savePriceData(priceData) {
-        const { timestamp, price } = priceData;
+        const { asset, timestamp, price, source = 'live' } = priceData;
         try {
             await this.db.run(
-                'INSERT OR IGNORE INTO prices (timestamp, price) VALUES (?, ?)',
-                [timestamp, price]
+                'INSERT OR IGNORE INTO prices (asset, timestamp, price, source) VALUES (?, ?, ?, ?)',
+                [asset, timestamp, price, source]
             );
             // --- MODIFIED SECTION ---
             // Only stream the change if the streamer was initialized
@@ -88,24 +178,256 @@ class DatabaseManager {
                 this.streamer.logChange('prices', 'INSERT', priceData);
             }
         } catch (error) {
-            logger.error(`Error saving price data: ${error.message}`);
+            this.logger.error(`Error saving price data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Saves many price records in one transaction.
+     * @param {Array<Object>} records - Objects with { asset, timestamp, price, source? }.
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Overwrite records whose asset and timestamp
+     *   are already stored, instead of skipping them.
+     * @returns {Promise<number>} How many records were written.
+     */
+    async savePriceBatch(records, { replace = false } = {}) {
+        return this.insertBatch(
+            `INSERT OR ${replace ? 'REPLACE' : 'IGNORE'} INTO prices (asset, timestamp, price, source) VALUES (?, ?, ?, ?)`,
+            records.map(({ asset, timestamp, price, source = 'live' }) => [asset, timestamp, price, source])
+        );
+    }
+
+    /**
+     * Saves many OHLC candles in one transaction.
+     * @param {Array<Object>} candles - Objects with { asset, timeframe, timestamp, open, high, low, close, ticks, source }.
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Overwrite candles that are already stored, instead of skipping them.
+     * @returns {Promise<number>} How many candles were written.
+     */
+    async saveCandleBatch(candles, { replace = false } = {}) {
+        return this.insertBatch(
+            `INSERT OR ${replace ? 'REPLACE' : 'IGNORE'} INTO candles (asset, timeframe, timestamp, open, high, low, close, ticks, source) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            candles.map(c => [c.asset, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.ticks ?? 0, c.source])
+        );
+    }
+
+    // Each batch runs its transaction on a connection of its own, so the single writes
+    // the bot keeps making meanwhile (ticks, events, state) are not swept into it, or
+    // lost with it on a rollback; they wait for the commit instead (BUSY_TIMEOUT_MS).
+    // Batches are queued so that one (e.g. a gap backfill) waits for the one in
+    // progress (e.g. a rollup) to finish.
+    insertBatch(sql, rows) {
+        const batch = this.batchQueue.then(() => this.runBatch(sql, rows));
+        this.batchQueue = batch.catch(() => {});
+        return batch;
+    }
+
+    async runBatch(sql, rows) {
+        // An in-memory database only exists on its own connection.
+        const inMemory = this.dbFile === ':memory:';
+        const db = inMemory ? this.db : await open({ filename: this.dbFile, driver: sqlite3.Database });
+        if (!inMemory) db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+        let changes = 0;
+        try {
+            await db.exec('BEGIN IMMEDIATE TRANSACTION;');
+            try {
+                const statement = await db.prepare(sql);
+                try {
+                    for (const params of rows) {
+                        changes += (await statement.run(params)).changes;
+                    }
+                } finally {
+                    await statement.finalize();
+                }
+                await db.exec('COMMIT;');
+            } catch (error) {
+                await db.exec('ROLLBACK;');
+                throw error;
+            }
+        } finally {
+            if (!inMemory) await db.close();
         }
+        return changes;
     }
 
     /**
-     * Retrieves all historical price data.
-     * @returns {Promise<Array<Object>>} An array of all price records.
+     * Retrieves all historical price data for one asset.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @returns {Promise<Array<Object>>} An array of all price records for the asset.
      */
-    async getHistoricalPriceData() {
+    async getHistoricalPriceData(asset) {
         try {
-            const data = await this.db.all('SELECT timestamp, price FROM prices ORDER BY timestamp ASC');
+            const data = await this.db.all('SELECT timestamp, price FROM prices WHERE asset = ? ORDER BY timestamp ASC', [asset]);
             return data;
         } catch (error) {
-            logger.error(`Error getting historical price data: ${error.message}`);
+            this.logger.error(`Error getting historical price data: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Retrieves the most recent price records for one asset.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {number} limit - The maximum number of records to return.
+     * @param {Object} [options]
+     * @param {string} [options.timeframe] - The timeframe the records will be resampled into.
+     *   If given and there are fewer than `limit` ticks, the rest are made up from stored
+     *   candles older than the oldest tick (see streamPriceHistory()).
+     * @returns {Promise<Array<Object>>} Up to `limit` records, oldest first.
+     */
+    async getRecentPriceData(asset, limit, { timeframe = null } = {}) {
+        try {
+            const data = await this.db.all(
+                'SELECT timestamp, price FROM prices WHERE asset = ? ORDER BY timestamp DESC LIMIT ?',
+                [asset, limit]
+            );
+            data.reverse();
+            const candleTimeframe = timeframe && data.length < limit ? await this.getCandleTimeframe(asset, timeframe) : null;
+            if (!candleTimeframe) return data;
+
+            const intervalMs = getTimeframeMs(candleTimeframe);
+            const conditions = ['asset = ?', 'timeframe = ?'];
+            const params = [asset, candleTimeframe];
+            if (data.length > 0) {
+                conditions.push('timestamp <= ?');
+                params.push(new Date(new Date(data[0].timestamp).getTime() - intervalMs).toISOString());
+            }
+            const candles = await this.db.all(
+                `SELECT timestamp, open, high, low, close, ticks FROM candles WHERE ${conditions.join(' AND ')} ORDER BY timestamp DESC LIMIT ?`,
+                [...params, Math.ceil((limit - data.length) / 4)]
+            );
+            const ticks = candles.reverse().flatMap(candle => candleToTicks(candle, intervalMs));
+            return [...ticks.slice(-(limit - data.length)), ...data];
+        } catch (error) {
+            this.logger.error(`Error getting recent price data for ${asset}: ${error.message}`);
             return [];
         }
     }
 
+    /**
+     * Streams price records in timestamp order, one page at a time, so very
+     * large tables can be replayed without loading them into memory.
+     * @param {Object} options
+     * @param {string} options.asset - The asset symbol (e.g., "SOL").
+     * @param {string} [options.from] - Inclusive lower bound (ISO timestamp).
+     * @param {string} [options.to] - Inclusive upper bound (ISO timestamp).
+     * @param {number} [options.pageSize] - Rows fetched per query.
+     * @returns {AsyncGenerator<Object>} Yields { timestamp, price } records.
+     */
+    async *streamPriceData({ asset, from = null, to = null, pageSize = 5000 }) {
+        let cursor = from;
+        let inclusive = true;
+        while (true) {
+            const conditions = ['asset = ?'];
+            const params = [asset];
+            if (cursor !== null) {
+                conditions.push(inclusive ? 'timestamp >= ?' : 'timestamp > ?');
+                params.push(cursor);
+            }
+            if (to !== null) {
+                conditions.push('timestamp <= ?');
+                params.push(to);
+            }
+            const rows = await this.db.all(
+                `SELECT timestamp, price FROM prices WHERE ${conditions.join(' AND ')} ORDER BY timestamp ASC LIMIT ?`,
+                [...params, pageSize]
+            );
+            for (const row of rows) yield row;
+            if (rows.length < pageSize) return;
+            cursor = rows[rows.length - 1].timestamp;
+            inclusive = false;
+        }
+    }
+
+    /**
+     * Streams an asset's price history: first the stored candles from before its oldest
+     * tick (raw ticks that were pruned after being rolled up, or imported candles), as
+     * the ticks they imply, then the ticks themselves.
+     * @param {Object} options
+     * @param {string} options.asset - The asset symbol (e.g., "SOL").
+     * @param {string} options.timeframe - The timeframe the history will be resampled into;
+     *   decides which stored candles can be used (see pickCandleTimeframe()).
+     * @param {string} [options.from] - Inclusive lower bound (ISO timestamp).
+     * @param {string} [options.to] - Inclusive upper bound (ISO timestamp).
+     * @param {number} [options.pageSize] - Rows fetched per query.
+     * @returns {AsyncGenerator<Object>} Yields { timestamp, price } records; those from
+     *   candles also carry `volume`, their share of the candle's tick count.
+     */
+    async *streamPriceHistory({ asset, timeframe, from = null, to = null, pageSize = 5000 }) {
+        const candleTimeframe = await this.getCandleTimeframe(asset, timeframe);
+        if (candleTimeframe) {
+            const intervalMs = getTimeframeMs(candleTimeframe);
+            const { oldest } = await this.db.get('SELECT MIN(timestamp) AS oldest FROM prices WHERE asset = ?', [asset]);
+            // Only candles that closed before the oldest tick, so nothing is replayed twice.
+            const lastStart = oldest ? new Date(new Date(oldest).getTime() - intervalMs).toISOString() : null;
+            const end = [to, lastStart].filter(Boolean).sort()[0] ?? null;
+            const start = from ? new Date(Math.floor(new Date(from).getTime() / intervalMs) * intervalMs).toISOString() : null;
+            for await (const candle of this.streamCandles({ asset, timeframe: candleTimeframe, from: start, to: end, pageSize })) {
+                for (const tick of candleToTicks(candle, intervalMs)) {
+                    if ((from === null || tick.timestamp >= from) && (to === null || tick.timestamp <= to)) yield tick;
+                }
+            }
+        }
+        yield* this.streamPriceData({ asset, from, to, pageSize });
+    }
+
+    /**
+     * Streams stored candles of one timeframe in timestamp order, one page at a time.
+     * @param {Object} options
+     * @param {string} options.asset - The asset symbol (e.g., "SOL").
+     * @param {string} options.timeframe - e.g. '5m'.
+     * @param {string} [options.from] - Inclusive lower bound on the candle start (ISO timestamp).
+     * @param {string} [options.to] - Inclusive upper bound on the candle start (ISO timestamp).
+     * @param {number} [options.pageSize] - Rows fetched per query.
+     * @returns {AsyncGenerator<Object>} Yields { timestamp, open, high, low, close, ticks } records.
+     */
+    async *streamCandles({ asset, timeframe, from = null, to = null, pageSize = 5000 }) {
+        let cursor = from;
+        let inclusive = true;
+        while (true) {
+            const conditions = ['asset = ?', 'timeframe = ?'];
+            const params = [asset, timeframe];
+            if (cursor !== null) {
+                conditions.push(inclusive ? 'timestamp >= ?' : 'timestamp > ?');
+                params.push(cursor);
+            }
+            if (to !== null) {
+                conditions.push('timestamp <= ?');
+                params.push(to);
+            }
+            const rows = await this.db.all(
+                `SELECT timestamp, open, high, low, close, ticks FROM candles WHERE ${conditions.join(' AND ')} ORDER BY timestamp ASC LIMIT ?`,
+                [...params, pageSize]
+            );
+            for (const row of rows) yield row;
+            if (rows.length < pageSize) return;
+            cursor = rows[rows.length - 1].timestamp;
+            inclusive = false;
+        }
+    }
+
+    /**
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {string} timeframe - The timeframe the candles would be resampled into.
+     * @returns {Promise<string|null>} The stored candle timeframe that can stand in for
+     *   ticks in `timeframe`, or null if there is none.
+     */
+    async getCandleTimeframe(asset, timeframe) {
+        const rows = await this.db.all('SELECT DISTINCT timeframe FROM candles WHERE asset = ?', [asset]);
+        return pickCandleTimeframe(rows.map(r => r.timeframe), timeframe);
+    }
+
+    /**
+     * Deletes an asset's raw ticks older than a cutoff (once they are rolled up).
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {string} before - Exclusive upper bound (ISO timestamp).
+     * @returns {Promise<number>} How many ticks were deleted.
+     */
+    async prunePrices(asset, before) {
+        const result = await this.db.run('DELETE FROM prices WHERE asset = ? AND timestamp < ?', [asset, before]);
+        return result.changes;
+    }
+
     /**
      * Inserts a new position or updates an existing one.
      * @param {string} asset - The asset symbol (e.g., "SOL").
@@ -113,28 +435,30 @@ class DatabaseManager {
      * @param {number} size - The size of the position.
      * @param {number} entry_px - The average entry price.
      * @param {string} status - "OPEN" or "CLOSED".
+     * @param {boolean} [simulated=false] - true if the position belongs to the paper account.
      */
-    async updatePosition(asset, direction, size, entry_px, status) {
+    async updatePosition(asset, direction, size, entry_px, status, simulated = false) {
         const timestamp = new Date().toISOString();
-        const positionData = { asset, direction, size, entry_px, status, last_update: timestamp };
+        const positionData = { asset, direction, size, entry_px, status, last_update: timestamp, simulated };
         try {
             await this.db.run(`
-                INSERT INTO positions (asset, direction, size, entry_px, status, last_update)
-                VALUES (?, ?, ?, ?, ?, ?)
+                INSERT INTO positions (asset, direction, size, entry_px, status, last_update, simulated)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
                 ON CONFLICT(asset) DO UPDATE SET
                     direction = excluded.direction,
                     size = excluded.size,
                     entry_px = excluded.entry_px,
                     status = excluded.status,
-                    last_update = excluded.last_update;
-            `, [asset, direction, size, entry_px, status, timestamp]);
-            logger.info(`Position updated for ${asset}: ${status}`);
+                    last_update = excluded.last_update,
+                    simulated = excluded.simulated;
+            `, [asset, direction, size, entry_px, status, timestamp, simulated ? 1 : 0]);
+            this.logger.info(`Position updated for ${asset}: ${status}`);
             // --- MODIFIED SECTION ---
             if (this.streamer) {
                 this.streamer.logChange('positions', 'UPDATE', positionData);
             }
         } catch (error) {
-            logger.error(`Error updating position for ${asset}: ${error.message}`);
+            this.logger.error(`Error updating position for ${asset}: ${error.message}`);
         }
     }
 
@@ -147,11 +471,296 @@ class DatabaseManager {
             const positions = await this.db.all("SELECT * FROM positions WHERE status = 'OPEN'");
             return positions;
         } catch (error) {
-            logger.error(`Error getting open positions: ${error.message}`);
+            this.logger.error(`Error getting open positions: ${error.message}`);
             return [];
         }
     }
 
+    // --- Trade Ledger ---
+
+    /**
+     * Records the entry of a new round trip.
+     * @param {Object} trade
+     * @param {string} trade.asset - The asset symbol (e.g., "SOL").
+     * @param {string} trade.direction - "LONG" or "SHORT".
+     * @param {number} trade.entryPx - The average entry price.
+     * @param {number} trade.size - The position size in coins.
+     * @param {number} [trade.fees=0] - Fees paid on entry.
+     * @param {boolean} [trade.simulated=false] - true for paper trades.
+     * @param {string} [trade.entryTime] - ISO timestamp; defaults to now.
+     * @returns {Promise<number|null>} The id of the new trade.
+     */
+    async openTrade({ asset, direction, entryPx, size, fees = 0, simulated = false, entryTime = new Date().toISOString() }) {
+        try {
+            const result = await this.db.run(
+                `INSERT INTO trades (asset, direction, status, entry_time, entry_px, size, fees, simulated)
+                 VALUES (?, ?, 'OPEN', ?, ?, ?, ?, ?)`,
+                [asset, direction, entryTime, entryPx, size, fees, simulated ? 1 : 0]
+            );
+            return result.lastID;
+        } catch (error) {
+            this.logger.error(`Error recording trade entry for ${asset}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Records an exit from the open trade for an asset. When no realized PnL is
+     * given it is estimated from the entry and exit prices. An exit smaller than
+     * the size still open is a partial close: its fees and PnL are added to the
+     * trade, which stays OPEN, and `exit_px` becomes the size-weighted average of
+     * the exits so far.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {Object} exit
+     * @param {string} exit.exitReason - Why the position was closed (e.g., "FIB-STOP").
+     * @param {number} [exit.exitPx] - The average exit price, if known.
+     * @param {number} [exit.size] - The size exited; defaults to everything still open.
+     * @param {number} [exit.fees=0] - Fees paid on exit.
+     * @param {number} [exit.realizedPnl] - The realized PnL of this exit before fees.
+     * @param {string} [exit.exitTime] - ISO timestamp; defaults to now.
+     * @returns {Promise<Object|null>} The updated trade, or null if none was open.
+     */
+    async closeTrade(asset, { exitReason, exitPx = null, size = null, fees = 0, realizedPnl = null, exitTime = new Date().toISOString() }) {
+        try {
+            const trade = await this.getOpenTrade(asset);
+            if (!trade) return null;
+            const side = trade.direction === 'SHORT' ? -1 : 1;
+            const remaining = trade.size - trade.closed_size;
+            const isPartial = size !== null && size < remaining - 1e-9;
+            const exitSize = isPartial ? size : remaining;
+
+            const pnl = realizedPnl ?? (exitPx !== null ? (exitPx - trade.entry_px) * exitSize * side : null);
+            const totalPnl = trade.realized_pnl === null ? pnl : trade.realized_pnl + (pnl ?? 0);
+            let averageExitPx = exitPx ?? trade.exit_px;
+            if (exitPx !== null && trade.exit_px !== null && trade.closed_size > 0) {
+                averageExitPx = (trade.exit_px * trade.closed_size + exitPx * exitSize) / (trade.closed_size + exitSize);
+            }
+
+            if (isPartial) {
+                await this.db.run(
+                    `UPDATE trades SET exit_px = ?, fees = fees + ?, realized_pnl = ?, closed_size = closed_size + ?
+                     WHERE id = ?`,
+                    [averageExitPx, fees, totalPnl, exitSize, trade.id]
+                );
+            } else {
+                await this.db.run(
+                    `UPDATE trades SET status = 'CLOSED', exit_time = ?, exit_px = ?, exit_reason = ?, fees = fees + ?, realized_pnl = ?, closed_size = size
+                     WHERE id = ?`,
+                    [exitTime, averageExitPx, exitReason, fees, totalPnl, trade.id]
+                );
+            }
+            return this.db.get('SELECT * FROM trades WHERE id = ?', [trade.id]);
+        } catch (error) {
+            this.logger.error(`Error recording trade exit for ${asset}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Overwrites a trade's prices, fees and PnL with the values from the exchange's fills.
+     * @param {number} id - The trade id.
+     * @param {Object} fields - { entryPx, exitPx, exitTime, fees, realizedPnl, exitReason? }.
+     */
+    async reconcileTrade(id, { entryPx, exitPx, exitTime, fees, realizedPnl, exitReason = null }) {
+        try {
+            await this.db.run(
+                `UPDATE trades SET entry_px = ?, exit_px = ?, exit_time = ?, fees = ?, realized_pnl = ?,
+                    exit_reason = COALESCE(?, exit_reason), reconciled = 1
+                 WHERE id = ?`,
+                [entryPx, exitPx, exitTime, fees, realizedPnl, exitReason, id]
+            );
+        } catch (error) {
+            this.logger.error(`Error reconciling trade ${id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @returns {Promise<Object|null>} The open trade for the asset, if any.
+     */
+    async getOpenTrade(asset) {
+        return (await this.db.get(
+            "SELECT * FROM trades WHERE asset = ? AND status = 'OPEN' ORDER BY id DESC LIMIT 1",
+            [asset]
+        )) || null;
+    }
+
+    /**
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {number} id - A trade id.
+     * @returns {Promise<Object|null>} The closed trade for the asset that came before `id`, if any.
+     */
+    async getPreviousTrade(asset, id) {
+        return (await this.db.get(
+            "SELECT * FROM trades WHERE asset = ? AND id < ? AND status = 'CLOSED' ORDER BY id DESC LIMIT 1",
+            [asset, id]
+        )) || null;
+    }
+
+    /**
+     * Retrieves closed trades, oldest exit first.
+     * @param {Object} [filters]
+     * @param {string} [filters.asset] - Only trades for this asset.
+     * @param {boolean} [filters.simulated] - Only paper (true) or only live (false) trades.
+     * @param {string} [filters.from] - Only trades that exited at or after this ISO timestamp.
+     * @returns {Promise<Array<Object>>}
+     */
+    async getClosedTrades({ asset = null, simulated = null, from = null } = {}) {
+        const conditions = ["status = 'CLOSED'"];
+        const params = [];
+        if (asset !== null) {
+            conditions.push('asset = ?');
+            params.push(asset);
+        }
+        if (simulated !== null) {
+            conditions.push('simulated = ?');
+            params.push(simulated ? 1 : 0);
+        }
+        if (from !== null) {
+            conditions.push('exit_time >= ?');
+            params.push(from);
+        }
+        try {
+            return await this.db.all(`SELECT * FROM trades WHERE ${conditions.join(' AND ')} ORDER BY exit_time ASC`, params);
+        } catch (error) {
+            this.logger.error(`Error getting closed trades: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * @param {Object} filters
+     * @param {string} filters.from - Count trades entered at or after this ISO timestamp.
+     * @param {boolean} [filters.simulated] - Only paper (true) or only live (false) trades.
+     * @returns {Promise<number>} The number of trades (open or closed) entered since `from`.
+     */
+    async countTradesEntered({ from, simulated = null }) {
+        const conditions = ['entry_time >= ?'];
+        const params = [from];
+        if (simulated !== null) {
+            conditions.push('simulated = ?');
+            params.push(simulated ? 1 : 0);
+        }
+        try {
+            const row = await this.db.get(`SELECT COUNT(*) AS count FROM trades WHERE ${conditions.join(' AND ')}`, params);
+            return row.count;
+        } catch (error) {
+            this.logger.error(`Error counting trades: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Saves a component's in-memory state for an asset so it survives restarts.
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {string} component - The owner of the state (e.g., "risk").
+     * @param {Object} state - A JSON-serializable object.
+     */
+    async saveState(asset, component, state) {
+        try {
+            await this.db.run(`
+                INSERT INTO bot_state (asset, component, state, updated_at)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT(asset, component) DO UPDATE SET
+                    state = excluded.state,
+                    updated_at = excluded.updated_at;
+            `, [asset, component, JSON.stringify(state), new Date().toISOString()]);
+        } catch (error) {
+            this.logger.error(`Error saving ${component} state for ${asset}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {string} component - The owner of the state (e.g., "risk").
+     * @returns {Promise<Object|null>} The saved state, or null if there is none.
+     */
+    async loadState(asset, component) {
+        try {
+            const row = await this.db.get('SELECT state FROM bot_state WHERE asset = ? AND component = ?', [asset, component]);
+            return row ? JSON.parse(row.state) : null;
+        } catch (error) {
+            this.logger.error(`Error loading ${component} state for ${asset}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} asset - The asset symbol (e.g., "SOL").
+     * @param {string} component - The owner of the state (e.g., "risk").
+     */
+    async deleteState(asset, component) {
+        try {
+            await this.db.run('DELETE FROM bot_state WHERE asset = ? AND component = ?', [asset, component]);
+        } catch (error) {
+            this.logger.error(`Error deleting ${component} state for ${asset}: ${error.message}`);
+        }
+    }
+
+    // --- Notification Outbox ---
+
+    /**
+     * Queues an alert for delivery on one channel.
+     * @param {string} channel - The channel name (e.g., "discord").
+     * @param {Object} notification - { title, message, severity, timestamp }.
+     */
+    async enqueueNotification(channel, { title, message, severity, timestamp }) {
+        try {
+            await this.db.run(
+                `INSERT INTO notification_outbox (channel, title, message, severity, created_at, next_attempt_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [channel, title, message, severity, timestamp, timestamp]
+            );
+        } catch (error) {
+            this.logger.error(`Error queueing ${channel} notification: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {string} now - ISO timestamp.
+     * @returns {Promise<Array<Object>>} Pending alerts due for an attempt, oldest first.
+     */
+    async getDueNotifications(now) {
+        try {
+            return await this.db.all(
+                "SELECT * FROM notification_outbox WHERE status = 'PENDING' AND next_attempt_at <= ? ORDER BY id ASC",
+                [now]
+            );
+        } catch (error) {
+            this.logger.error(`Error reading the notification outbox: ${error.message}`);
+            return [];
+        }
+    }
+
+    async deleteNotification(id) {
+        try {
+            await this.db.run('DELETE FROM notification_outbox WHERE id = ?', [id]);
+        } catch (error) {
+            this.logger.error(`Error removing notification ${id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Records a failed delivery attempt.
+     * @param {number} id - The outbox row.
+     * @param {Object} attempt
+     * @param {string|null} attempt.nextAttemptAt - ISO timestamp of the retry, or null to give up.
+     * @param {string} attempt.error - Why the attempt failed.
+     */
+    async recordNotificationFailure(id, { nextAttemptAt, error }) {
+        try {
+            await this.db.run(
+                `UPDATE notification_outbox SET attempts = attempts + 1, last_error = ?,
+                    status = CASE WHEN ? IS NULL THEN 'FAILED' ELSE 'PENDING' END,
+                    next_attempt_at = COALESCE(?, next_attempt_at)
+                 WHERE id = ?`,
+                [error, nextAttemptAt, nextAttemptAt, id]
+            );
+        } catch (dbError) {
+            this.logger.error(`Error updating notification ${id}: ${dbError.message}`);
+        }
+    }
+
     /**
      * Logs a significant event to the database.
      * @param {string} eventType - The type of event (e.g., "TRADE_EXECUTED").
@@ -171,7 +780,7 @@ class DatabaseManager {
                 this.streamer.logChange('events', 'INSERT', eventData);
             }
         } catch (error) {
-            logger.error(`Error logging event ${eventType}: ${error.message}`);
+            this.logger.error(`Error logging event ${eventType}: ${error.message}`);
         }
     }
 }
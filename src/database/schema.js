@@ -0,0 +1,184 @@
+// src/database/schema.js
+import { getAssetConfigs } from '../utils/helpers.js';
+
+/**
+ * The numbered schema migrations, applied in order by DatabaseManager.migrate().
+ * Each runs in its own transaction and is recorded in the `schema_version` table.
+ * Never edit or renumber a released migration; add a new one at the end.
+ *
+ * Databases created before versioning start at version 0 with any subset of the
+ * first eight migrations already in place, so those check before they create or
+ * add anything. Later migrations can rely on the schema the previous ones leave.
+ *
+ * Each `up(db, context)` gets the open `sqlite` database and { config, logger }.
+ */
+
+/**
+ * Adds a column to an existing table if it is missing.
+ * @param {Object} db - The open `sqlite` database.
+ * @param {string} table - The table name.
+ * @param {string} column - The column name.
+ * @param {string} definition - The column type and constraints.
+ */
+async function addColumn(db, table, column, definition) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial',
+        async up(db) {
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS prices (
+                    timestamp TEXT PRIMARY KEY,
+                    price REAL NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS positions (
+                    asset TEXT PRIMARY KEY,
+                    direction TEXT,
+                    size REAL,
+                    entry_px REAL,
+                    status TEXT, -- 'OPEN' or 'CLOSED'
+                    last_update TEXT NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp TEXT NOT NULL,
+                    event_type TEXT NOT NULL,
+                    details TEXT
+                );
+            `);
+        },
+    },
+    {
+        version: 2,
+        name: 'paper-positions',
+        async up(db) {
+            await addColumn(db, 'positions', 'simulated', 'INTEGER NOT NULL DEFAULT 0'); // 1 for paper trades
+        },
+    },
+    {
+        version: 3,
+        name: 'prices-per-asset',
+        // The prices table was keyed by timestamp only. Existing rows are assigned to
+        // the first configured asset, which is the only asset older versions traded.
+        async up(db, { config, logger }) {
+            const columns = await db.all('PRAGMA table_info(prices)');
+            if (columns.some(c => c.name === 'asset')) return;
+
+            const legacyAsset = getAssetConfigs(config)[0].trading.asset;
+            if (await db.get('SELECT 1 FROM prices LIMIT 1')) {
+                logger.warn(`Moving the prices table to per-asset storage. Existing rows are assigned to ${legacyAsset}.`);
+            }
+            await db.exec('ALTER TABLE prices RENAME TO prices_legacy;');
+            await db.exec(`
+                CREATE TABLE prices (
+                    asset TEXT NOT NULL,
+                    timestamp TEXT NOT NULL,
+                    price REAL NOT NULL,
+                    PRIMARY KEY (asset, timestamp)
+                );
+            `);
+            await db.run('INSERT INTO prices (asset, timestamp, price) SELECT ?, timestamp, price FROM prices_legacy', [legacyAsset]);
+            await db.exec('DROP TABLE prices_legacy;');
+        },
+    },
+    {
+        version: 4,
+        name: 'bot-state',
+        async up(db) {
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS bot_state (
+                    asset TEXT NOT NULL,
+                    component TEXT NOT NULL, -- e.g. 'risk' or 'triggers'
+                    state TEXT NOT NULL, -- JSON
+                    updated_at TEXT NOT NULL,
+                    PRIMARY KEY (asset, component)
+                );
+            `);
+        },
+    },
+    {
+        version: 5,
+        name: 'trade-ledger',
+        async up(db) {
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS trades (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    asset TEXT NOT NULL,
+                    direction TEXT NOT NULL, -- 'LONG' or 'SHORT'
+                    status TEXT NOT NULL, -- 'OPEN' or 'CLOSED'
+                    entry_time TEXT NOT NULL,
+                    entry_px REAL NOT NULL,
+                    size REAL NOT NULL,
+                    exit_time TEXT,
+                    exit_px REAL,
+                    exit_reason TEXT, -- 'FIB-STOP', 'STOP-LOSS', 'TAKE-PROFIT', 'MANUAL', 'EXTERNAL', ...
+                    fees REAL NOT NULL DEFAULT 0,
+                    realized_pnl REAL, -- Before fees
+                    simulated INTEGER NOT NULL DEFAULT 0, -- 1 for paper trades
+                    reconciled INTEGER NOT NULL DEFAULT 0, -- 1 once checked against the exchange's fills
+                    closed_size REAL NOT NULL DEFAULT 0 -- Size exited so far (partial closes)
+                );
+                CREATE INDEX IF NOT EXISTS idx_trades_asset_status ON trades (asset, status);
+            `);
+            // Ledgers from before partial closes lack it.
+            await addColumn(db, 'trades', 'closed_size', 'REAL NOT NULL DEFAULT 0');
+        },
+    },
+    {
+        version: 6,
+        name: 'notification-outbox',
+        async up(db) {
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS notification_outbox (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    channel TEXT NOT NULL, -- e.g. 'discord' or 'telegram'
+                    title TEXT NOT NULL,
+                    message TEXT NOT NULL,
+                    severity TEXT NOT NULL, -- 'info', 'success', 'warning' or 'error'
+                    created_at TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'PENDING', -- 'PENDING' or 'FAILED' (delivered rows are deleted)
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at TEXT NOT NULL,
+                    last_error TEXT
+                );
+                CREATE INDEX IF NOT EXISTS idx_outbox_status_next ON notification_outbox (status, next_attempt_at);
+            `);
+        },
+    },
+    {
+        version: 7,
+        name: 'price-sources',
+        async up(db) {
+            // 'live', 'backfill' (expanded from exchange candles) or 'import'
+            await addColumn(db, 'prices', 'source', "TEXT NOT NULL DEFAULT 'live'");
+        },
+    },
+    {
+        version: 8,
+        name: 'candles',
+        async up(db) {
+            await db.exec(`
+                CREATE TABLE IF NOT EXISTS candles (
+                    asset TEXT NOT NULL,
+                    timeframe TEXT NOT NULL, -- e.g. '1m' or '5m'
+                    timestamp TEXT NOT NULL, -- Start of the candle (ISO, UTC)
+                    open REAL NOT NULL,
+                    high REAL NOT NULL,
+                    low REAL NOT NULL,
+                    close REAL NOT NULL,
+                    ticks INTEGER NOT NULL DEFAULT 0, -- Price ticks the candle was built from (0 if unknown)
+                    source TEXT NOT NULL, -- e.g. 'import'
+                    PRIMARY KEY (asset, timeframe, timestamp)
+                );
+            `);
+        },
+    },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
@@ -0,0 +1,42 @@
+// src/notifications/Channel.js
+
+export const SEVERITIES = ['info', 'success', 'warning', 'error'];
+
+/**
+ * One destination for alerts. The Notifier queues every alert for each channel
+ * whose `minSeverity` it meets and calls `deliver()` from its outbox, retrying
+ * with backoff while it throws.
+ *
+ * Subclasses implement `deliver(notification)`, where the notification is
+ * `{ title, message, severity, timestamp }`, and throw on any failure.
+ */
+class Channel {
+    /**
+     * @param {string} name - The key of the channel in `notifications.channels`.
+     * @param {Object} config - The channel's config.
+     * @param {Object} options
+     * @param {string} options.botName - Shown as the sender where the service supports it.
+     * @param {number} options.timeoutMs - HTTP timeout per delivery attempt.
+     */
+    constructor(name, config, { botName, timeoutMs }) {
+        this.name = name;
+        this.config = config;
+        this.botName = botName;
+        this.timeoutMs = timeoutMs;
+        const minSeverity = config.minSeverity || 'info';
+        if (!SEVERITIES.includes(minSeverity)) {
+            throw new Error(`notifications.channels.${name}.minSeverity must be one of ${SEVERITIES.join(', ')}, got '${minSeverity}'.`);
+        }
+        this.minLevel = SEVERITIES.indexOf(minSeverity);
+    }
+
+    accepts(severity) {
+        return SEVERITIES.indexOf(severity) >= this.minLevel;
+    }
+
+    async deliver(notification) {
+        throw new Error(`${this.constructor.name} must implement deliver().`);
+    }
+}
+
+export default Channel;
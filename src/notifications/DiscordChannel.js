@@ -0,0 +1,24 @@
+// src/notifications/DiscordChannel.js
+import axios from 'axios';
+import Channel from './Channel.js';
+
+const COLORS = {
+    success: 3066993, // Green
+    error: 15158332, // Red
+    warning: 15105570, // Yellow
+    info: 3447003, // Blue
+};
+
+/**
+ * Posts an embed to a Discord webhook. Config: { webhookUrl }.
+ */
+class DiscordChannel extends Channel {
+    async deliver({ title, message, severity, timestamp }) {
+        await axios.post(this.config.webhookUrl, {
+            username: this.botName,
+            embeds: [{ title, description: message, color: COLORS[severity], timestamp }],
+        }, { timeout: this.timeoutMs });
+    }
+}
+
+export default DiscordChannel;
@@ -0,0 +1,27 @@
+// src/notifications/EmailChannel.js
+import Channel from './Channel.js';
+import { sendMail } from './smtp.js';
+
+/**
+ * Emails every alert over SMTP. Config: { host, port, secure, user, pass, from, to }
+ * where `to` is a comma-separated list of addresses.
+ */
+class EmailChannel extends Channel {
+    async deliver({ title, message, severity, timestamp }) {
+        const { host, port, secure, user, pass, from, to } = this.config;
+        await sendMail({
+            host,
+            port,
+            secure,
+            user,
+            pass,
+            from,
+            to: to.split(',').map(address => address.trim()).filter(Boolean),
+            subject: `[${this.botName}] ${title}`,
+            text: `${message}\n\nSeverity: ${severity}\nTime: ${timestamp}`,
+            timeoutMs: this.timeoutMs,
+        });
+    }
+}
+
+export default EmailChannel;
@@ -0,0 +1,24 @@
+// src/notifications/SlackChannel.js
+import axios from 'axios';
+import Channel from './Channel.js';
+
+const EMOJI = {
+    success: ':large_green_circle:',
+    error: ':red_circle:',
+    warning: ':large_yellow_circle:',
+    info: ':large_blue_circle:',
+};
+
+/**
+ * Posts to a Slack incoming webhook. Config: { webhookUrl }.
+ */
+class SlackChannel extends Channel {
+    async deliver({ title, message, severity }) {
+        await axios.post(this.config.webhookUrl, {
+            username: this.botName,
+            text: `${EMOJI[severity]} *${title}*\n${message}`,
+        }, { timeout: this.timeoutMs });
+    }
+}
+
+export default SlackChannel;
@@ -0,0 +1,21 @@
+// src/notifications/TelegramChannel.js
+import axios from 'axios';
+import Channel from './Channel.js';
+
+/**
+ * Sends a message through a Telegram bot. Config: { botToken, chatId, apiUrl }.
+ */
+class TelegramChannel extends Channel {
+    async deliver({ title, message, severity }) {
+        const response = await axios.post(`${this.config.apiUrl}/bot${this.config.botToken}/sendMessage`, {
+            chat_id: this.config.chatId,
+            text: `[${severity.toUpperCase()}] ${title}\n${message}\n— ${this.botName}`,
+            disable_web_page_preview: true,
+        }, { timeout: this.timeoutMs });
+        if (response.data && response.data.ok === false) {
+            throw new Error(`Telegram rejected the message: ${response.data.description}`);
+        }
+    }
+}
+
+export default TelegramChannel;
@@ -0,0 +1,18 @@
+// src/notifications/WebhookChannel.js
+import axios from 'axios';
+import Channel from './Channel.js';
+
+/**
+ * POSTs every alert as plain JSON ({ bot, title, message, severity, timestamp }),
+ * for custom receivers. Config: { url, headers? }.
+ */
+class WebhookChannel extends Channel {
+    async deliver({ title, message, severity, timestamp }) {
+        await axios.post(this.config.url, { bot: this.botName, title, message, severity, timestamp }, {
+            headers: this.config.headers || {},
+            timeout: this.timeoutMs,
+        });
+    }
+}
+
+export default WebhookChannel;
@@ -0,0 +1,38 @@
+// src/notifications/index.js
+import Channel, { SEVERITIES } from './Channel.js';
+import DiscordChannel from './DiscordChannel.js';
+import TelegramChannel from './TelegramChannel.js';
+import SlackChannel from './SlackChannel.js';
+import WebhookChannel from './WebhookChannel.js';
+import EmailChannel from './EmailChannel.js';
+
+// The channels that can be configured under `notifications.channels`, with the
+// settings each one needs before it is enabled.
+const CHANNEL_TYPES = {
+    discord: { ChannelClass: DiscordChannel, required: ['webhookUrl'] },
+    telegram: { ChannelClass: TelegramChannel, required: ['botToken', 'chatId'] },
+    slack: { ChannelClass: SlackChannel, required: ['webhookUrl'] },
+    webhook: { ChannelClass: WebhookChannel, required: ['url'] },
+    email: { ChannelClass: EmailChannel, required: ['host', 'from', 'to'] },
+};
+
+/**
+ * Builds the channels in `notifications.channels` that have every required setting
+ * (usually credentials from .env); the others are skipped.
+ * @param {Object} config - The `notifications` config section.
+ * @returns {Array<Channel>}
+ */
+export function createChannels(config) {
+    const channels = [];
+    for (const [name, channelConfig] of Object.entries(config.channels || {})) {
+        const type = CHANNEL_TYPES[name];
+        if (!type) {
+            throw new Error(`Unknown notification channel '${name}'. Available channels: ${Object.keys(CHANNEL_TYPES).join(', ')}.`);
+        }
+        if (!channelConfig || type.required.some(key => !channelConfig[key])) continue;
+        channels.push(new type.ChannelClass(name, channelConfig, { botName: config.botName, timeoutMs: config.timeoutSeconds * 1000 }));
+    }
+    return channels;
+}
+
+export { Channel, SEVERITIES };
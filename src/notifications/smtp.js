@@ -0,0 +1,167 @@
+// src/notifications/smtp.js
+import net from 'net';
+import tls from 'tls';
+
+/**
+ * A minimal SMTP client for plain-text alerts: implicit TLS (`secure`) or STARTTLS
+ * when the server offers it, AUTH PLAIN, one message per connection.
+ */
+class SmtpSession {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.waiter = null;
+        this.failure = null;
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out.')));
+        socket.on('data', (chunk) => {
+            this.buffer += chunk;
+            this.checkReply();
+        });
+        socket.on('error', (error) => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed unexpectedly.')));
+    }
+
+    // Stops reading the socket. A no-op 'error' handler stays attached, so a late reset
+    // (after QUIT, or on the plain socket under STARTTLS) is not an unhandled error.
+    detach() {
+        this.socket.removeAllListeners('data');
+        this.socket.removeAllListeners('error');
+        this.socket.removeAllListeners('close');
+        this.socket.on('error', () => {});
+        this.socket.setTimeout(0);
+    }
+
+    fail(error) {
+        this.failure = this.failure || error;
+        if (this.waiter) {
+            this.waiter.reject(this.failure);
+            this.waiter = null;
+        }
+    }
+
+    // A reply is complete at the first line of the form "250 text" (a space, not a dash, after the code).
+    checkReply() {
+        if (!this.waiter) return;
+        const lines = this.buffer.split('\r\n');
+        const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (end === -1 || end === lines.length - 1) return;
+        const replyLines = lines.slice(0, end + 1);
+        this.buffer = lines.slice(end + 1).join('\r\n');
+        const waiter = this.waiter;
+        this.waiter = null;
+        waiter.resolve({ code: Number(replyLines[end].slice(0, 3)), lines: replyLines.map(l => l.slice(4)) });
+    }
+
+    read() {
+        if (this.failure) return Promise.reject(this.failure);
+        return new Promise((resolve, reject) => {
+            this.waiter = { resolve, reject };
+            this.checkReply();
+        });
+    }
+
+    /**
+     * Sends a command (if any) and checks the reply code.
+     * @param {string|null} command
+     * @param {Array<number>} expected - Acceptable reply codes.
+     */
+    async command(command, expected) {
+        if (command !== null) this.socket.write(`${command}\r\n`);
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            const shown = command?.startsWith('AUTH') ? 'AUTH' : command;
+            throw new Error(`SMTP ${shown ?? 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+}
+
+// Resolves with the socket once it emits `readyEvent`, or rejects if it fails or
+// has been silent for timeoutMs first.
+function whenReady(socket, readyEvent, timeoutMs, step) {
+    return new Promise((resolve, reject) => {
+        const onTimeout = () => socket.destroy(new Error(`SMTP ${step} timed out after ${timeoutMs} ms.`));
+        socket.setTimeout(timeoutMs, onTimeout);
+        socket.once('error', reject);
+        socket.once(readyEvent, () => {
+            socket.setTimeout(0);
+            socket.removeListener('timeout', onTimeout);
+            socket.removeListener('error', reject);
+            resolve(socket);
+        });
+    });
+}
+
+function connect({ host, port, secure }, timeoutMs) {
+    return secure
+        ? whenReady(tls.connect({ host, port, servername: host }), 'secureConnect', timeoutMs, 'connection')
+        : whenReady(net.connect({ host, port }), 'connect', timeoutMs, 'connection');
+}
+
+function upgrade(socket, host, timeoutMs) {
+    return whenReady(tls.connect({ socket, servername: host }), 'secureConnect', timeoutMs, 'STARTTLS handshake');
+}
+
+const encodeHeader = (value) => `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+function buildMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body,
+    ].join('\r\n');
+}
+
+/**
+ * Sends one plain-text email.
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} [options.secure=false] - TLS from the start (port 465); otherwise STARTTLS if offered.
+ * @param {string} [options.user] - Login for AUTH PLAIN; no authentication if omitted.
+ * @param {string} [options.pass]
+ * @param {string} options.from - The sender address.
+ * @param {Array<string>} options.to - Recipient addresses.
+ * @param {string} options.subject
+ * @param {string} options.text
+ * @param {number} [options.timeoutMs=15000] - For the connect, the TLS handshake and each reply.
+ */
+export async function sendMail({ host, port, secure = false, user, pass, from, to, subject, text, timeoutMs = 15000 }) {
+    const session = new SmtpSession(await connect({ host, port, secure }, timeoutMs), timeoutMs);
+    try {
+        await session.command(null, [220]);
+        let ehlo = await session.command('EHLO localhost', [250]);
+        if (!secure && ehlo.lines.some(l => l.toUpperCase().startsWith('STARTTLS'))) {
+            await session.command('STARTTLS', [220]);
+            session.detach();
+            session.attach(await upgrade(session.socket, host, timeoutMs));
+            ehlo = await session.command('EHLO localhost', [250]);
+        }
+        if (user) {
+            await session.command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass ?? ''}`).toString('base64')}`, [235]);
+        }
+        await session.command(`MAIL FROM:<${from}>`, [250]);
+        for (const recipient of to) {
+            await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await session.command('DATA', [354]);
+        await session.command(`${buildMessage({ from, to, subject, text })}\r\n.`, [250]);
+        session.socket.write('QUIT\r\n');
+    } finally {
+        session.detach();
+        session.socket.end();
+    }
+}
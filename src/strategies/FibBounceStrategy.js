@@ -0,0 +1,133 @@
+// src/strategies/FibBounceStrategy.js
+import Strategy from './Strategy.js';
+import logger from '../utils/logger.js';
+
+/**
+ * The default strategy. Longs arm when price drops below fib_entry and buy on the
+ * bounce back above wma_fib_0; shorts mirror it on the highest-high side of the
+ * range. `trading.direction` selects "long", "short" or "both".
+ *
+ * With `ta.confirmTimeframes` set, an entry also needs every higher timeframe to
+ * agree: a long only fires while price is in the lower half of each higher
+ * timeframe's fib range (below its wma_fib_50), a short only in the upper half.
+ * Until they agree the trigger stays armed.
+ */
+class FibBounceStrategy extends Strategy {
+    static indicators = ['latest_price', 'fib_entry', 'wma_fib_0', 'fib_short_entry', 'wma_fib_100'];
+
+    evaluate(analysis) {
+        const direction = this.config.trading.direction || 'long';
+        const reasons = [];
+
+        if (direction === 'long' || direction === 'both') {
+            const longSignal = this.evaluateLong(analysis);
+            if (longSignal.type !== 'hold') return longSignal;
+            reasons.push(longSignal.reason);
+        }
+        if (direction === 'short' || direction === 'both') {
+            const shortSignal = this.evaluateShort(analysis);
+            if (shortSignal.type !== 'hold') return shortSignal;
+            reasons.push(shortSignal.reason);
+        }
+
+        return { type: 'hold', reason: reasons.join(' | ') || 'No signal conditions met.' };
+    }
+
+    evaluateLong(analysis) {
+        const currentPrice = analysis.latest_price;
+        const { fib_entry, wma_fib_0 } = analysis;
+
+        // --- FINAL CORRECTED LOGIC ---
+
+        // 1. Check conditions if the trigger is NOT currently armed
+        if (!this.state.isTriggerArmed()) {
+            // ARM condition: Price drops BELOW our desired entry zone.
+            if (currentPrice < fib_entry) {
+                this.state.setTriggerArmed(true);
+                const message = `BUY TRIGGER ARMED. Price ${currentPrice.toFixed(2)} is below entry level ${fib_entry.toFixed(2)}. Waiting for bounce above buy level > ${wma_fib_0.toFixed(2)}.`;
+                logger.info(message);
+                this.notifier.send("Trigger Armed", message, "info", { dedupeKey: `${this.config.trading.asset}:trigger-armed:long` });
+                return { type: 'hold', reason: 'Trigger has been armed.' };
+            }
+            // If not armed and condition isn't met, just wait.
+            return { type: 'hold', reason: `Waiting for price < ${fib_entry.toFixed(2)} to arm trigger.` };
+        }
+
+        // 2. Check conditions if the trigger IS currently armed
+        if (this.state.isTriggerArmed()) {
+            // BUY Condition: Price has bounced back up and crossed ABOVE our target buy level.
+            if (currentPrice > wma_fib_0) {
+                const disagreement = this.findDisagreement(analysis, 'long');
+                if (disagreement) return { type: 'hold', reason: `Buy level reached, but ${disagreement}` };
+
+                this.state.setTriggerArmed(false); // DISARM ONLY WHEN THE TRADE IS MADE.
+                const message = `BUY SIGNAL! Price ${currentPrice.toFixed(2)} is > WMA_Fib_0 ${wma_fib_0.toFixed(2)}.`;
+                logger.info(`🟢 ${message}`);
+                this.notifier.send("🔥 BUY SIGNAL 🔥", message, "success");
+                return { type: 'buy', reason: message };
+            }
+
+            // If still armed but the buy condition is not met, we simply wait.
+            // There is no other way to disarm the trigger.
+            return { type: 'hold', reason: `Trigger is armed. Waiting for price > ${wma_fib_0.toFixed(2)}.` };
+        }
+
+        // Default case, should not be reached but good for safety
+        return { type: 'hold', reason: 'No signal conditions met.' };
+    }
+
+    // Mirror of evaluateLong on the highest-high side of the fib range.
+    evaluateShort(analysis) {
+        const currentPrice = analysis.latest_price;
+        const { fib_short_entry, wma_fib_100 } = analysis;
+
+        if (!this.state.isTriggerArmed('short')) {
+            // ARM condition: Price spikes ABOVE the top of the range.
+            if (currentPrice > fib_short_entry) {
+                this.state.setTriggerArmed(true, 'short');
+                const message = `SELL TRIGGER ARMED. Price ${currentPrice.toFixed(2)} is above short entry level ${fib_short_entry.toFixed(2)}. Waiting for rejection below sell level < ${wma_fib_100.toFixed(2)}.`;
+                logger.info(message);
+                this.notifier.send("Short Trigger Armed", message, "info", { dedupeKey: `${this.config.trading.asset}:trigger-armed:short` });
+                return { type: 'hold', reason: 'Short trigger has been armed.' };
+            }
+            return { type: 'hold', reason: `Waiting for price > ${fib_short_entry.toFixed(2)} to arm short trigger.` };
+        }
+
+        // SELL Condition: Price has been rejected and crossed back BELOW the top of the range.
+        if (currentPrice < wma_fib_100) {
+            const disagreement = this.findDisagreement(analysis, 'short');
+            if (disagreement) return { type: 'hold', reason: `Sell level reached, but ${disagreement}` };
+
+            this.state.setTriggerArmed(false, 'short');
+            const message = `SELL SIGNAL! Price ${currentPrice.toFixed(2)} is < WMA_Fib_100 ${wma_fib_100.toFixed(2)}.`;
+            logger.info(`🔴 ${message}`);
+            this.notifier.send("🔥 SELL SIGNAL 🔥", message, "success");
+            return { type: 'sell', reason: message };
+        }
+
+        return { type: 'hold', reason: `Short trigger is armed. Waiting for price < ${wma_fib_100.toFixed(2)}.` };
+    }
+
+    /**
+     * Checks the confirmation timeframes for an entry.
+     * @param {Object} analysis - The primary analysis, with its `timeframes` map.
+     * @param {string} side - 'long' or 'short'.
+     * @returns {string|null} Why a higher timeframe disagrees, or null if all of them agree.
+     */
+    findDisagreement(analysis, side) {
+        for (const timeframe of this.config.ta.confirmTimeframes || []) {
+            const higher = analysis.timeframes?.[timeframe];
+            if (!higher) return `the ${timeframe} analysis is not ready yet.`;
+            const midline = higher.wma_fib_50;
+            if (side === 'long' && higher.latest_price >= midline) {
+                return `${timeframe} price ${higher.latest_price.toFixed(2)} is not below its WMA_Fib_50 ${midline.toFixed(2)}.`;
+            }
+            if (side === 'short' && higher.latest_price <= midline) {
+                return `${timeframe} price ${higher.latest_price.toFixed(2)} is not above its WMA_Fib_50 ${midline.toFixed(2)}.`;
+            }
+        }
+        return null;
+    }
+}
+
+export default FibBounceStrategy;
@@ -0,0 +1,45 @@
+// src/strategies/Strategy.js
+
+/**
+ * The contract every trading strategy implements. A strategy is loaded by name
+ * from `trading.strategy` and hosted by the SignalGenerator, which calls
+ * `evaluate()` once per analyzed tick.
+ *
+ * Subclasses:
+ *   - list the analysis fields they read in `static indicators`; ticks where any
+ *     of them is missing are skipped with a 'hold' instead of reaching evaluate();
+ *   - implement `evaluate(analysis, context)` and return
+ *     `{ type: 'buy' | 'sell' | 'hold', reason: string }`.
+ *
+ * 'buy' opens a long and 'sell' opens a short; signals are ignored while a
+ * position is open, and exits are left to the RiskManager.
+ */
+class Strategy {
+    static indicators = [];
+
+    /**
+     * @param {Object} config - The resolved config of the asset being traded.
+     * @param {Object} services
+     * @param {StateManager} services.state - Position and trigger state for the asset.
+     * @param {Notifier} services.notifier - For alerts worth sending to the notification channels.
+     */
+    constructor(config, { state, notifier }) {
+        this.config = config;
+        this.state = state;
+        this.notifier = notifier;
+    }
+
+    /**
+     * @param {Object} analysis - The latest output of the TechnicalAnalyzer, on `ta.timeframe`
+     *   candles. `analysis.timeframes` maps each of `ta.confirmTimeframes` to that
+     *   timeframe's latest analysis (null while it is still warming up).
+     * @param {Object} context - { asset, inPosition, position } where `position` is
+     *   { coin, entryPx, size } while a position is open, otherwise null.
+     * @returns {Object} { type, reason }
+     */
+    evaluate(analysis, context) {
+        throw new Error(`${this.constructor.name} must implement evaluate().`);
+    }
+}
+
+export default Strategy;
@@ -0,0 +1,33 @@
+// src/strategies/index.js
+import path from 'path';
+import { pathToFileURL } from 'url';
+import Strategy from './Strategy.js';
+import FibBounceStrategy from './FibBounceStrategy.js';
+
+// Strategies that can be selected by name in `trading.strategy`.
+const BUILT_IN_STRATEGIES = {
+    'fib-bounce': FibBounceStrategy,
+};
+
+/**
+ * Resolves `trading.strategy` to a strategy class. The value is either the name of a
+ * built-in strategy or the path (relative to the working directory) of a module
+ * whose default export extends Strategy.
+ * @param {string} [name="fib-bounce"]
+ * @returns {Promise<Function>} The strategy class.
+ */
+export async function loadStrategy(name = 'fib-bounce') {
+    if (BUILT_IN_STRATEGIES[name]) return BUILT_IN_STRATEGIES[name];
+
+    if (!name.endsWith('.js') && !name.includes('/')) {
+        throw new Error(`Unknown strategy '${name}'. Built-in strategies: ${Object.keys(BUILT_IN_STRATEGIES).join(', ')}.`);
+    }
+    const module = await import(pathToFileURL(path.resolve(process.cwd(), name)).href);
+    const StrategyClass = module.default;
+    if (typeof StrategyClass !== 'function' || !(StrategyClass.prototype instanceof Strategy)) {
+        throw new Error(`Strategy module '${name}' must default-export a class extending Strategy.`);
+    }
+    return StrategyClass;
+}
+
+export { Strategy };
@@ -6,13 +6,23 @@ import path from 'path';
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import { DateTime } from 'luxon';
-import config from '../config.js';
+import config, { args } from '../config.js';
+import { getAssetConfig, getTimeframeMs, getCandleStart, pickCandleTimeframe } from './helpers.js';
 
 // --- CONFIGURATION ---
 const DB_FILE = path.resolve(process.cwd(), config.database.file);
 const CHART_OUTPUT_FILE = path.resolve(process.cwd(), 'chart.html');
-const ANALYSIS_DATA_FILE = path.resolve(process.cwd(), 'analysis_data.json'); // --- ADDED ---
-const CANDLE_INTERVAL_MINUTES = 5;
+// Usage: node src/utils/ChartGenerator.js [ASSET] (defaults to the first configured asset)
+const ASSET = args[0] || getAssetConfig(config).trading.asset;
+// Events without an asset predate multi-asset support, when the first configured asset
+// was the only one traded (the same rule the prices-per-asset migration applies).
+const LEGACY_ASSET = getAssetConfig(config).trading.asset;
+const { timeframe: TIMEFRAME, confirmTimeframes: CONFIRM_TIMEFRAMES = [] } = (getAssetConfig(config, ASSET) || getAssetConfig(config)).ta;
+// Written by TechnicalAnalyzer in debug mode: analysis_data_SOL.json, analysis_data_SOL_1h.json, ...
+const analysisDataFile = (timeframe = null) =>
+    path.resolve(process.cwd(), `analysis_data_${ASSET}${timeframe ? `_${timeframe}` : ''}.json`);
+// Line colors of the confirmation timeframes' fib levels, in config order.
+const HIGHER_TIMEFRAME_COLORS = ['#ab47bc', '#26c6da', '#ff7043'];
 
 /**
  * Main function to generate the chart
@@ -28,76 +38,134 @@ async function generateChart() {
     }
 
     console.log('Fetching price and event data...');
-    const priceData = await db.all('SELECT timestamp, price FROM prices ORDER BY timestamp ASC');
+    const priceData = await db.all('SELECT timestamp, price FROM prices WHERE asset = ? ORDER BY timestamp ASC', [ASSET]);
+    const candleData = await readStoredCandles(db, priceData[0]?.timestamp);
     const eventData = await db.all('SELECT timestamp, event_type, details FROM events ORDER BY timestamp ASC');
     await db.close();
 
-    if (priceData.length === 0) {
-        console.error('No price data found in the database.');
+    if (priceData.length === 0 && candleData.length === 0) {
+        console.error(`No price data found in the database for ${ASSET}.`);
         return;
     }
 
-    console.log(`Processing ${priceData.length} price points into ${CANDLE_INTERVAL_MINUTES}-minute candles...`);
-    const ohlcData = resampleToOHLC(priceData);
+    console.log(`Processing ${priceData.length} price points${candleData.length > 0 ? ` and ${candleData.length} stored candles` : ''} into ${TIMEFRAME} candles...`);
+    const ticks = priceData.map(({ timestamp, price }) => ({ timestamp, open: price, high: price, low: price, close: price }));
+    const ohlcData = resampleToOHLC([...candleData, ...ticks]);
 
     // --- MODIFIED: Read analysis data from JSON file ---
     console.log('Reading full analysis data from JSON...');
-    let analysisData = [];
-    try {
-        const rawData = fs.readFileSync(ANALYSIS_DATA_FILE, 'utf-8');
-        analysisData = JSON.parse(rawData);
-    } catch (err) {
-        console.warn(`\n⚠️ WARNING: Could not read ${ANALYSIS_DATA_FILE}. Chart will not have analysis lines.`);
-        console.warn('   Run the main bot once to generate this file.');
+    const analysisData = readAnalysisData(analysisDataFile());
+    if (!analysisData) {
+        console.warn('   Run the main bot once with debug enabled to generate this file.');
     }
 
     // --- MODIFIED: Prepare analysis lines for the chart ---
-    const wmaFib0Data = analysisData.map(d => ({
-        time: Math.floor(new Date(d.timestamp).getTime() / 1000),
-        value: d.wma_fib_0
-    })).filter(d => d.value);
-
-    const wmaFib50Data = analysisData.map(d => ({
-        time: Math.floor(new Date(d.timestamp).getTime() / 1000),
-        value: d.wma_fib_50
-    })).filter(d => d.value);
+    const lineSeries = [];
+    if (analysisData) {
+        lineSeries.push(
+            { title: `WMA Fib 0 (${TIMEFRAME})`, color: '#ffc107', lineStyle: 0, data: toLineData(analysisData, 'wma_fib_0') },
+            { title: `WMA Fib 50 (${TIMEFRAME})`, color: '#2962FF', lineStyle: 2, data: toLineData(analysisData, 'wma_fib_50') },
+        );
+    }
+    CONFIRM_TIMEFRAMES.forEach((timeframe, i) => {
+        const higherData = readAnalysisData(analysisDataFile(timeframe));
+        if (!higherData) return;
+        const color = HIGHER_TIMEFRAME_COLORS[i % HIGHER_TIMEFRAME_COLORS.length];
+        lineSeries.push(
+            { title: `WMA Fib 0 (${timeframe})`, color, lineStyle: 0, data: toLineData(higherData, 'wma_fib_0') },
+            { title: `WMA Fib 50 (${timeframe})`, color, lineStyle: 2, data: toLineData(higherData, 'wma_fib_50') },
+        );
+    });
 
-    const eventMarkers = extractMarkersFromEvents(eventData);
+    const eventMarkers = extractMarkersFromEvents(eventData.filter(isAssetEvent));
 
     console.log('Generating chart HTML...');
-    const chartHtml = createChartHtml(ohlcData, eventMarkers, wmaFib0Data, wmaFib50Data);
+    const chartHtml = createChartHtml(ohlcData, eventMarkers, lineSeries.filter(s => s.data.length > 0));
 
     fs.writeFileSync(CHART_OUTPUT_FILE, chartHtml);
     console.log(`\n✅ Chart generated successfully! Open "${path.basename(CHART_OUTPUT_FILE)}" in your browser.`);
 }
 
 /**
- * Resamples raw price ticks into OHLC candles.
+ * Reads one analysis debug file, or returns null (with a warning) if it is missing.
+ */
+function readAnalysisData(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        console.warn(`\n⚠️ WARNING: Could not read ${file}. Chart will not have its analysis lines.`);
+        return null;
+    }
+}
+
+/**
+ * Turns analysis records into Lightweight Charts line points for one field.
+ */
+function toLineData(analysisData, field) {
+    return analysisData.map(d => ({
+        time: Math.floor(new Date(d.timestamp).getTime() / 1000),
+        value: d[field]
+    })).filter(d => d.value);
+}
+
+/**
+ * Reads the stored candles from before the oldest tick (history whose ticks were rolled
+ * up, or imported candles), in the longest timeframe that fits into the chart's.
+ */
+async function readStoredCandles(db, oldestTick) {
+    const hasCandles = await db.get("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'candles'");
+    if (!hasCandles) return [];
+    const stored = await db.all('SELECT DISTINCT timeframe FROM candles WHERE asset = ?', [ASSET]);
+    const timeframe = pickCandleTimeframe(stored.map(r => r.timeframe), TIMEFRAME);
+    if (!timeframe) return [];
+
+    const params = [ASSET, timeframe];
+    if (oldestTick) params.push(new Date(new Date(oldestTick).getTime() - getTimeframeMs(timeframe)).toISOString());
+    return db.all(
+        `SELECT timestamp, open, high, low, close FROM candles WHERE asset = ? AND timeframe = ?${oldestTick ? ' AND timestamp <= ?' : ''} ORDER BY timestamp ASC`,
+        params
+    );
+}
+
+/**
+ * Resamples price bars ({ timestamp, open, high, low, close }, in time order; a tick is
+ * a bar with all four at its price) into OHLC candles of the configured timeframe.
  */
 function resampleToOHLC(data) {
-    // This function remains the same as before
+    const intervalMs = getTimeframeMs(TIMEFRAME);
     const grouped = {};
     data.forEach(d => {
-        const dt = DateTime.fromISO(d.timestamp);
-        const minute = dt.minute - (dt.minute % CANDLE_INTERVAL_MINUTES);
-        const key = dt.set({ minute, second: 0, millisecond: 0 }).toISO();
+        const key = getCandleStart(d.timestamp, intervalMs).toISO();
 
         if (!grouped[key]) grouped[key] = [];
-        grouped[key].push(d.price);
+        grouped[key].push(d);
     });
 
     return Object.keys(grouped).map(key => {
-        const prices = grouped[key];
+        const bars = grouped[key];
         return {
             time: Math.floor(DateTime.fromISO(key).toSeconds()),
-            open: prices[0],
-            high: Math.max(...prices),
-            low: Math.min(...prices),
-            close: prices[prices.length - 1],
+            open: bars[0].open,
+            high: Math.max(...bars.map(b => b.high)),
+            low: Math.min(...bars.map(b => b.low)),
+            close: bars[bars.length - 1].close,
         };
     }).sort((a, b) => a.time - b.time);
 }
 
+/**
+ * @returns {boolean} true if an 'events' row belongs to ASSET (see LEGACY_ASSET).
+ */
+function isAssetEvent(event) {
+    let details;
+    try {
+        details = JSON.parse(event.details);
+    } catch {
+        details = null;
+    }
+    return details?.asset ? details.asset === ASSET : ASSET === LEGACY_ASSET;
+}
+
 /**
  * Extracts ONLY trade markers from the 'events' table.
  */
@@ -120,7 +188,7 @@ function extractMarkersFromEvents(events) {
 /**
  * Uses JSDOM and Lightweight Charts to create an HTML string of the chart.
  */
-function createChartHtml(ohlcData, eventMarkers, wmaFib0Data, wmaFib50Data) {
+function createChartHtml(ohlcData, eventMarkers, lineSeries) {
     const dom = new JSDOM(`
         <!DOCTYPE html>
         <html>
@@ -132,7 +200,7 @@ function createChartHtml(ohlcData, eventMarkers, wmaFib0Data, wmaFib50Data) {
             </style>
         </head>
         <body>
-            <h1>Trading Bot Analysis Chart</h1>
+            <h1>Trading Bot Analysis Chart - ${ASSET} (${TIMEFRAME})</h1>
             <div id="chart-container" style="position: absolute; top: 80px; left: 20px; right: 20px; bottom: 20px;"></div>
             <script src="https://unpkg.com/lightweight-charts@4.2.1/dist/lightweight-charts.standalone.production.js"></script>
         </body>
@@ -157,14 +225,10 @@ function createChartHtml(ohlcData, eventMarkers, wmaFib0Data, wmaFib50Data) {
             });
             candleSeries.setData(${JSON.stringify(ohlcData)});
 
-            if (${wmaFib0Data.length > 0}) {
-                const wma0Series = chart.addLineSeries({ color: '#ffc107', lineWidth: 2, lineStyle: LightweightCharts.LineStyle.Solid });
-                wma0Series.setData(${JSON.stringify(wmaFib0Data)});
-            }
-
-            if (${wmaFib50Data.length > 0}) {
-                const wma50Series = chart.addLineSeries({ color: '#2962FF', lineWidth: 2, lineStyle: LightweightCharts.LineStyle.Dashed });
-                wma50Series.setData(${JSON.stringify(wmaFib50Data)});
+            // One line per fib level and timeframe; lineStyle 0 is solid, 2 is dashed.
+            for (const { title, color, lineStyle, data } of ${JSON.stringify(lineSeries)}) {
+                const series = chart.addLineSeries({ title, color, lineStyle, lineWidth: 2 });
+                series.setData(data);
             }
 
             if (${eventMarkers.length > 0}) {
@@ -0,0 +1,146 @@
+// src/utils/HyperliquidSocket.js
+import EventEmitter from 'events';
+import WebSocket from 'ws';
+import logger from './logger.js';
+
+/**
+ * A small self-healing client for Hyperliquid's WebSocket API. It keeps a list
+ * of subscriptions, replays them after every reconnect, reconnects with
+ * exponential backoff and sends the keep-alive pings the server expects.
+ *
+ * Events:
+ *   'open'                       - the socket connected and subscriptions were sent.
+ *   'close'                      - the socket dropped (a reconnect is scheduled).
+ *   'message' (channel, data)    - any channel message other than pongs and acks.
+ */
+class HyperliquidSocket extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - The WebSocket endpoint (e.g. "wss://api.hyperliquid.xyz/ws").
+     * @param {number} options.pingIntervalMs - How often to send a keep-alive ping.
+     * @param {number} options.maxBackoffMs - The longest delay between reconnect attempts.
+     */
+    constructor({ url, pingIntervalMs, maxBackoffMs }) {
+        super();
+        this.url = url;
+        this.pingIntervalMs = pingIntervalMs;
+        this.maxBackoffMs = maxBackoffMs;
+        this.logger = logger.child({ component: 'HyperliquidSocket' });
+        this.subscriptions = [];
+        this.ws = null;
+        this.pingTimer = null;
+        this.reconnectTimer = null;
+        this.backoffMs = 1000;
+        this.lastMessageAt = 0;
+        this.closed = true;
+    }
+
+    connect() {
+        this.closed = false;
+        this.openSocket();
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.pingTimer);
+        this.discardSocket();
+    }
+
+    get isOpen() {
+        return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Registers a subscription. It is sent now if connected and again after every reconnect.
+     * @param {Object} subscription - e.g. { type: "allMids" } or { type: "trades", coin: "SOL" }.
+     */
+    subscribe(subscription) {
+        this.subscriptions.push(subscription);
+        if (this.isOpen) this.send({ method: "subscribe", subscription });
+    }
+
+    send(payload) {
+        this.ws.send(JSON.stringify(payload));
+    }
+
+    openSocket() {
+        this.logger.info(`Connecting to WebSocket ${this.url}...`);
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            this.logger.success(`WebSocket connected to ${this.url}.`);
+            this.lastMessageAt = Date.now();
+            for (const subscription of this.subscriptions) {
+                this.send({ method: "subscribe", subscription });
+            }
+            this.pingTimer = setInterval(() => {
+                if (this.isOpen) this.send({ method: "ping" });
+            }, this.pingIntervalMs);
+            this.emit('open');
+        });
+
+        ws.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                this.logger.warn(`Ignoring malformed WebSocket message: ${error.message}`);
+                return;
+            }
+            if (message.channel === 'pong' || message.channel === 'subscriptionResponse') return;
+            if (message.channel === 'error') {
+                this.logger.error(`WebSocket server error: ${JSON.stringify(message.data)}`);
+                return;
+            }
+            // Only data counts towards liveness; a socket that answers pings but
+            // has stopped streaming is still stale.
+            this.lastMessageAt = Date.now();
+            this.backoffMs = 1000;
+            this.emit('message', message.channel, message.data);
+        });
+
+        ws.on('error', (error) => {
+            this.logger.warn(`WebSocket error: ${error.message}`);
+        });
+
+        ws.on('close', () => {
+            clearInterval(this.pingTimer);
+            this.ws = null;
+            if (this.closed) return;
+            this.logger.warn(`WebSocket disconnected. Reconnecting in ${this.backoffMs / 1000} seconds...`);
+            this.emit('close');
+            this.scheduleReconnect();
+        });
+    }
+
+    discardSocket() {
+        if (!this.ws) return;
+        this.ws.removeAllListeners();
+        this.ws.on('error', () => {});
+        this.ws.terminate();
+        this.ws = null;
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            if (!this.closed) this.openSocket();
+        }, this.backoffMs);
+        this.backoffMs = Math.min(this.backoffMs * 2, this.maxBackoffMs);
+    }
+
+    /**
+     * Forces a reconnect, e.g. when the connection is open but has gone silent.
+     */
+    reconnect() {
+        if (this.closed) return;
+        clearInterval(this.pingTimer);
+        this.discardSocket();
+        this.logger.warn(`Reconnecting WebSocket in ${this.backoffMs / 1000} seconds...`);
+        this.scheduleReconnect();
+    }
+}
+
+export default HyperliquidSocket;
@@ -0,0 +1,186 @@
+// src/utils/VirtualAccount.js
+import { systemClock } from './helpers.js';
+
+/**
+ * A simulated perpetuals account. It fills orders at a given mark price with
+ * configurable slippage and fees, tracks one net position per coin and can
+ * describe itself in the same shape as Hyperliquid's `clearinghouseState`,
+ * so code written against the live exchange keeps working unchanged.
+ */
+class VirtualAccount {
+    /**
+     * @param {Object} options
+     * @param {number} options.startingBalance - Initial account value in USD.
+     * @param {number} options.leverage - Default leverage used to derive margin and ROE.
+     * @param {number} options.feeRate - Taker fee as a fraction of notional (e.g. 0.00045).
+     * @param {number} options.slippage - Price impact per fill as a fraction (e.g. 0.0005).
+     * @param {Object} [clock] - An object with a `now()` method returning a Date.
+     */
+    constructor({ startingBalance, leverage, feeRate, slippage }, clock = systemClock) {
+        this.balance = startingBalance;
+        this.leverage = leverage;
+        this.feeRate = feeRate;
+        this.slippage = slippage;
+        this.clock = clock;
+        this.leverageByCoin = {};
+        this.positions = {}; // coin -> { szi, entryPx, openedAt, fees }
+        this.totalFees = 0;
+    }
+
+    /**
+     * Overrides the leverage for a single coin.
+     * @param {string} coin - The asset symbol (e.g., "SOL").
+     * @param {number} leverage
+     */
+    setLeverage(coin, leverage) {
+        this.leverageByCoin[coin] = leverage;
+    }
+
+    leverageFor(coin) {
+        return this.leverageByCoin[coin] ?? this.leverage;
+    }
+
+    /**
+     * Fills a market order against the supplied mark price.
+     * @param {string} coin - The asset symbol (e.g., "SOL").
+     * @param {boolean} isBuy - true to buy, false to sell.
+     * @param {number} size - The absolute order size in coins.
+     * @param {number} markPrice - The price the order is filled against before slippage.
+     * @returns {Object} { avgPx, totalSz, fee, realizedPnl, closedPosition }
+     */
+    fill(coin, isBuy, size, markPrice) {
+        const avgPx = isBuy ? markPrice * (1 + this.slippage) : markPrice * (1 - this.slippage);
+        const fee = avgPx * size * this.feeRate;
+        const signedSize = isBuy ? size : -size;
+
+        this.balance -= fee;
+        this.totalFees += fee;
+
+        const existing = this.positions[coin];
+        let realizedPnl = 0;
+        let closedPosition = null;
+
+        if (!existing) {
+            this.positions[coin] = { szi: signedSize, entryPx: avgPx, openedAt: this.clock.now(), fees: fee };
+        } else if (Math.sign(existing.szi) === Math.sign(signedSize)) {
+            // Adding to the position: average the entry price.
+            const newSize = existing.szi + signedSize;
+            existing.entryPx = (existing.entryPx * existing.szi + avgPx * signedSize) / newSize;
+            existing.szi = newSize;
+            existing.fees += fee;
+        } else {
+            // Reducing (or flipping) the position: realize PnL on the closed part.
+            const closedSize = Math.min(Math.abs(signedSize), Math.abs(existing.szi));
+            const direction = Math.sign(existing.szi);
+            realizedPnl = (avgPx - existing.entryPx) * closedSize * direction;
+            this.balance += realizedPnl;
+            existing.fees += fee;
+
+            const remaining = existing.szi + signedSize;
+            if (Math.abs(remaining) < 1e-12) {
+                closedPosition = { ...existing };
+                delete this.positions[coin];
+            } else if (Math.sign(remaining) !== direction) {
+                closedPosition = { ...existing };
+                this.positions[coin] = { szi: remaining, entryPx: avgPx, openedAt: this.clock.now(), fees: 0 };
+            } else {
+                existing.szi = remaining;
+            }
+        }
+
+        return { avgPx, totalSz: size, fee, realizedPnl, closedPosition };
+    }
+
+    getPosition(coin) {
+        return this.positions[coin] || null;
+    }
+
+    /**
+     * @returns {Object} A JSON-serializable copy of the account's balances and positions.
+     */
+    snapshot() {
+        const positions = {};
+        for (const [coin, pos] of Object.entries(this.positions)) {
+            positions[coin] = { ...pos, openedAt: pos.openedAt.toISOString() };
+        }
+        return { balance: this.balance, totalFees: this.totalFees, positions };
+    }
+
+    /**
+     * Restores balances and positions previously produced by snapshot().
+     * @param {Object} snapshot
+     */
+    restore(snapshot) {
+        this.balance = snapshot.balance;
+        this.totalFees = snapshot.totalFees || 0;
+        this.positions = {};
+        for (const [coin, pos] of Object.entries(snapshot.positions || {})) {
+            this.positions[coin] = { ...pos, openedAt: new Date(pos.openedAt) };
+        }
+    }
+
+    /**
+     * @param {Object} markPrices - A map of coin -> current mark price.
+     * @returns {number} The account value including unrealized PnL.
+     */
+    getEquity(markPrices) {
+        let unrealized = 0;
+        for (const [coin, pos] of Object.entries(this.positions)) {
+            const mark = markPrices[coin] ?? pos.entryPx;
+            unrealized += (mark - pos.entryPx) * pos.szi;
+        }
+        return this.balance + unrealized;
+    }
+
+    /**
+     * Describes the account in the shape returned by `infoClient.clearinghouseState()`.
+     * Numeric fields are strings, exactly like the live API.
+     * @param {Object} markPrices - A map of coin -> current mark price.
+     */
+    getClearinghouseState(markPrices) {
+        let totalNtlPos = 0;
+        let totalMarginUsed = 0;
+
+        const assetPositions = Object.entries(this.positions).map(([coin, pos]) => {
+            const mark = markPrices[coin] ?? pos.entryPx;
+            const positionValue = Math.abs(pos.szi) * mark;
+            const leverage = this.leverageFor(coin);
+            const marginUsed = (Math.abs(pos.szi) * pos.entryPx) / leverage;
+            const unrealizedPnl = (mark - pos.entryPx) * pos.szi;
+            totalNtlPos += positionValue;
+            totalMarginUsed += marginUsed;
+            return {
+                type: "oneWay",
+                position: {
+                    coin,
+                    szi: pos.szi.toString(),
+                    entryPx: pos.entryPx.toString(),
+                    positionValue: positionValue.toString(),
+                    unrealizedPnl: unrealizedPnl.toString(),
+                    returnOnEquity: (unrealizedPnl / marginUsed).toString(),
+                    marginUsed: marginUsed.toString(),
+                    leverage: { type: "cross", value: leverage },
+                    liquidationPx: null,
+                },
+            };
+        });
+
+        const accountValue = this.getEquity(markPrices);
+        const marginSummary = {
+            accountValue: accountValue.toString(),
+            totalNtlPos: totalNtlPos.toString(),
+            totalRawUsd: this.balance.toString(),
+            totalMarginUsed: totalMarginUsed.toString(),
+        };
+
+        return {
+            marginSummary,
+            crossMarginSummary: marginSummary,
+            withdrawable: Math.max(accountValue - totalMarginUsed, 0).toString(),
+            assetPositions,
+            time: this.clock.now().getTime(),
+        };
+    }
+}
+
+export default VirtualAccount;
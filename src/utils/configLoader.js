@@ -0,0 +1,310 @@
+// src/utils/configLoader.js
+
+// --- Schema Nodes ---
+// A schema mirrors the shape of the config. Sections list their settings; leaves
+// describe one value. Leaf options:
+//   optional - null/undefined is allowed (the setting is off or not configured)
+//   secret   - hidden when the effective config is printed or saved
+//   check    - (value) => problem text or null, for rules the options cannot express;
+//              a section's check may return [key, text] to point at one of its settings
+
+export const section = (keys, options = {}) => ({ kind: 'section', keys, ...options });
+export const number = (options = {}) => ({ kind: 'number', ...options });
+export const integer = (options = {}) => ({ kind: 'number', integer: true, ...options });
+export const boolean = (options = {}) => ({ kind: 'boolean', ...options });
+export const string = (options = {}) => ({ kind: 'string', ...options });
+export const oneOf = (values, options = {}) => ({ kind: 'string', values, ...options });
+export const arrayOf = (items, options = {}) => ({ kind: 'array', items, ...options });
+export const mapOf = (values, options = {}) => ({ kind: 'map', values, ...options });
+// A string or a (partial) section, e.g. an entry of trading.assets.
+export const stringOr = (objectNode, options = {}) => ({ kind: 'stringOr', objectNode, ...options });
+
+const ENV_PREFIX = 'BOT_';
+const PROFILE_ENV = 'BOT_PROFILE';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+const show = (value) => (typeof value === 'string' ? `'${value}'` : JSON.stringify(value));
+
+// stopLossPercentage -> STOP_LOSS_PERCENTAGE
+const toEnvName = (key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+function unknownSetting(path, key, known) {
+    const suggestion = known.find(k => k.toLowerCase() === key.toLowerCase() || editDistance(k, key) <= 2);
+    return `${joinPath(path, key)} is not a known setting.${suggestion ? ` Did you mean '${suggestion}'?` : ''}`;
+}
+
+// --- Validation ---
+
+function validateLeaf(value, node, path) {
+    switch (node.kind) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number, got ${show(value)}.`;
+            if (node.integer && !Number.isInteger(value)) return `${path} must be a whole number, got ${value}.`;
+            if (node.min !== undefined && value < node.min) return `${path} must be at least ${node.min}, got ${value}.`;
+            if (node.above !== undefined && value <= node.above) return `${path} must be greater than ${node.above}, got ${value}.`;
+            if (node.max !== undefined && value > node.max) return `${path} must be at most ${node.max}, got ${value}.`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be true or false, got ${show(value)}.`;
+        case 'string':
+            if (typeof value !== 'string') return `${path} must be a string, got ${show(value)}.`;
+            if (node.values && !node.values.includes(value)) return `${path} must be one of ${node.values.join(', ')}, got '${value}'.`;
+            if (!node.values && value.trim() === '') return `${path} must not be empty.`;
+            return null;
+        default:
+            return null;
+    }
+}
+
+function validateNode(value, node, path, problems) {
+    if (value === undefined || value === null) {
+        if (!node.optional) problems.push(`${path} is required.`);
+        return;
+    }
+    const before = problems.length;
+
+    switch (node.kind) {
+        case 'section':
+            if (!isPlainObject(value)) {
+                problems.push(`${path} must be an object, got ${show(value)}.`);
+                return;
+            }
+            for (const key of Object.keys(value)) {
+                if (!(key in node.keys)) problems.push(unknownSetting(path, key, Object.keys(node.keys)));
+            }
+            for (const [key, child] of Object.entries(node.keys)) {
+                // Partial sections (per-asset overrides) only check the settings they contain.
+                if (node.partial && !(key in value)) continue;
+                validateNode(value[key], child, joinPath(path, key), problems);
+            }
+            break;
+        case 'map':
+            if (!isPlainObject(value)) {
+                problems.push(`${path} must be an object, got ${show(value)}.`);
+                return;
+            }
+            for (const [key, entry] of Object.entries(value)) validateNode(entry, node.values, joinPath(path, key), problems);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                problems.push(`${path} must be a list, got ${show(value)}.`);
+                return;
+            }
+            value.forEach((entry, i) => validateNode(entry, node.items, `${path}[${i}]`, problems));
+            break;
+        case 'stringOr':
+            if (typeof value === 'string') validateNode(value, string(), path, problems);
+            else validateNode(value, node.objectNode, path, problems);
+            break;
+        default: {
+            const problem = validateLeaf(value, node, path);
+            if (problem) problems.push(problem);
+        }
+    }
+
+    // Cross-field checks only run on values that are well-formed so far.
+    if (node.check && problems.length === before) {
+        const problem = node.check(value);
+        if (Array.isArray(problem)) problems.push(`${joinPath(path, problem[0])} ${problem[1]}`);
+        else if (problem) problems.push(`${path} ${problem}`);
+    }
+}
+
+/**
+ * @param {Object} config
+ * @param {Object} schema - A section() describing the whole config.
+ * @returns {Array<string>} One line per problem; empty when the config is valid.
+ */
+export function validateConfig(config, schema) {
+    const problems = [];
+    validateNode(config, schema, '', problems);
+    return problems;
+}
+
+// --- Overrides ---
+
+function deepMerge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override;
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = deepMerge(base[key], value);
+    }
+    return merged;
+}
+
+// Environment and CLI values are text; they are converted by the kind of the setting.
+function parseValue(raw, node, where) {
+    if (node.optional && (raw === '' || raw === 'null')) return null;
+    switch (node.kind) {
+        case 'number': {
+            const value = Number(raw);
+            if (raw.trim() === '' || Number.isNaN(value)) throw new Error(`${where} must be a number, got '${raw}'.`);
+            return value;
+        }
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+            throw new Error(`${where} must be true or false, got '${raw}'.`);
+        case 'string':
+            return raw;
+        default:
+            try {
+                return JSON.parse(raw);
+            } catch {
+                // A list of plain names can be given comma-separated: SOL,ETH
+                if (node.kind === 'array' || node.kind === 'stringOr') return raw.split(',').map(s => s.trim()).filter(Boolean);
+                throw new Error(`${where} must be JSON, got '${raw}'.`);
+            }
+    }
+}
+
+/**
+ * Sets one setting in `config`, resolving each path segment against the schema.
+ * @param {Object} config - Modified in place.
+ * @param {Object} schema
+ * @param {Array<string>} segments - The path, e.g. ['risk', 'stopLossPercentage'].
+ * @param {string} raw - The value as text.
+ * @param {string} where - How to name the setting in errors, e.g. the env variable.
+ * @param {Function} [matchKey] - (segment, key) => boolean; exact match by default.
+ * @returns {string} The dotted path of the setting.
+ */
+function applyOverride(config, schema, segments, raw, where, matchKey = (segment, key) => segment === key) {
+    let node = schema;
+    let target = config;
+    const path = [];
+    segments.forEach((segment, i) => {
+        let key = segment;
+        let child;
+        if (node.kind === 'section') {
+            key = Object.keys(node.keys).find(k => matchKey(segment, k));
+            if (key === undefined) throw new Error(`${where}: ${unknownSetting(path.join('.'), segment, Object.keys(node.keys))}`);
+            child = node.keys[key];
+        } else if (node.kind === 'map') {
+            child = node.values;
+        } else {
+            throw new Error(`${where}: ${path.join('.')} has no setting '${segment}'.`);
+        }
+        path.push(key);
+        if (i === segments.length - 1) {
+            target[key] = parseValue(raw, child, where);
+        } else {
+            if (!isPlainObject(target[key])) target[key] = {};
+            target = target[key];
+            node = child;
+        }
+    });
+    return path.join('.');
+}
+
+/**
+ * Splits the command line into config flags and the script's own arguments.
+ *   --profile <name>      (or --profile=<name>; comma-separate several)
+ *   --<path> <value>      (or --<path>=<value>), e.g. --risk.stopLossPercentage=0.3
+ * Only flags whose path starts with a top-level config key are config flags; anything
+ * else (such as backtest.js's --asset) is left for the script. A config flag without a
+ * value is set to true.
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @param {Array<string>} sections - The top-level config keys.
+ * @returns {Object} { profile, flags: [[path, value]], args }
+ */
+export function parseCommandLine(argv, sections) {
+    const flags = [];
+    const args = [];
+    let profile = null;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (!arg.startsWith('--') || (name !== 'profile' && !sections.includes(name.split('.')[0]))) {
+            args.push(arg);
+            continue;
+        }
+        let value = inlineValue;
+        if (value === undefined) {
+            const next = argv[i + 1];
+            value = next !== undefined && !next.startsWith('--') ? argv[++i] : 'true';
+        }
+        if (name === 'profile') profile = value;
+        else flags.push([name, value]);
+    }
+    return { profile, flags, args };
+}
+
+/**
+ * Builds the effective config. Later sources win:
+ *   1. `defaults` (src/config.js)
+ *   2. the selected profiles, in order (`--profile a,b` or BOT_PROFILE)
+ *   3. environment variables: BOT_ + the path in upper snake case, with "__" between
+ *      levels, e.g. BOT_RISK__STOP_LOSS_PERCENTAGE=0.3
+ *   4. command line flags, e.g. --risk.stopLossPercentage=0.3
+ * The result is validated against the schema.
+ * @param {Object} defaults
+ * @param {Object} profiles - Profile name -> partial config.
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env]
+ * @param {Array<string>} [options.argv=process.argv.slice(2)]
+ * @returns {Object} { config, profiles, overrides: [{ path, source }], args }, where `args`
+ *   are the command line arguments that are not config flags.
+ * @throws {Error} Listing every problem found, if the config is invalid.
+ */
+export function loadConfig(defaults, profiles, schema, { env = process.env, argv = process.argv.slice(2) } = {}) {
+    const commandLine = parseCommandLine(argv, Object.keys(schema.keys));
+    const profileNames = (commandLine.profile ?? env[PROFILE_ENV] ?? '').split(',').map(s => s.trim()).filter(Boolean);
+
+    let config = structuredClone(defaults);
+    for (const name of profileNames) {
+        if (!profiles[name]) {
+            throw new Error(`Unknown config profile '${name}'. Available profiles: ${Object.keys(profiles).join(', ') || 'none'}.`);
+        }
+        config = deepMerge(config, structuredClone(profiles[name]));
+    }
+
+    const overrides = [];
+    const envNames = Object.keys(env).filter(name => name.startsWith(ENV_PREFIX) && name !== PROFILE_ENV).sort();
+    for (const name of envNames) {
+        const segments = name.slice(ENV_PREFIX.length).split('__');
+        // Map keys (e.g. component names) are taken as written; settings match in upper snake case.
+        const path = applyOverride(config, schema, segments, env[name], name, (segment, key) => toEnvName(key) === segment);
+        overrides.push({ path, source: name });
+    }
+    for (const [flag, value] of commandLine.flags) {
+        const path = applyOverride(config, schema, flag.split('.'), value, `--${flag}`);
+        overrides.push({ path, source: `--${flag}` });
+    }
+
+    const problems = validateConfig(config, schema);
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    }
+    return { config, profiles: profileNames, overrides, args: commandLine.args };
+}
+
+/**
+ * A copy of the config with every `secret` setting that is set replaced by "***",
+ * for printing and saving.
+ * @param {*} value
+ * @param {Object} node - The schema node of the value.
+ */
+export function redactConfig(value, node) {
+    if (value === undefined || value === null) return value ?? null;
+    if (node.secret) return '***';
+    if (node.kind === 'section' && isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactConfig(entry, node.keys[key] || {})]));
+    }
+    return value;
+}
@@ -0,0 +1,175 @@
+// src/utils/helpers.js
+import { DateTime } from 'luxon';
+
+/**
+ * The default clock used by components that need the current time.
+ * The backtester swaps this for a simulated clock so that time-based rules
+ * (grace periods, cooldowns) follow the replayed data instead of the wall clock.
+ */
+export const systemClock = {
+    now: () => new Date(),
+};
+
+/**
+ * Expands `config.trading.assets` into one full config object per asset.
+ * Each entry is either a symbol ("SOL") or an object such as
+ * `{ asset: "ETH", tradeUsdSize: 500, leverage: 10, ta: { fibLookback: 60 } }`
+ * whose fields override the shared `trading` and `ta` defaults. The result has
+ * `trading.asset` set, so components built for a single asset work unchanged.
+ * @param {Object} config - The global application configuration object.
+ * @returns {Array<Object>} One resolved config per asset, in configured order.
+ */
+export function getAssetConfigs(config) {
+    const { assets, ...tradingDefaults } = config.trading;
+    const entries = assets && assets.length > 0 ? assets : [tradingDefaults.asset];
+    return entries.map(entry => {
+        const { asset, ta: taOverrides = {}, ...tradingOverrides } = typeof entry === 'string' ? { asset: entry } : entry;
+        return {
+            ...config,
+            trading: { ...tradingDefaults, ...tradingOverrides, asset },
+            ta: { ...config.ta, ...taOverrides },
+        };
+    });
+}
+
+/**
+ * @param {Object} config - The global application configuration object.
+ * @param {string} [asset] - The asset symbol. Defaults to the first configured asset.
+ * @returns {Object|null} The resolved config for that asset, or null if it is not configured.
+ */
+export function getAssetConfig(config, asset) {
+    const configs = getAssetConfigs(config);
+    if (!asset) return configs[0];
+    return configs.find(c => c.trading.asset === asset) || null;
+}
+
+// Candle timeframes the analyzer accepts, in milliseconds.
+export const TIMEFRAMES = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '30m': 30 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+};
+
+/**
+ * @param {string} timeframe - A candle timeframe such as "5m" or "1h".
+ * @returns {number} The candle length in milliseconds.
+ */
+export function getTimeframeMs(timeframe) {
+    const ms = TIMEFRAMES[timeframe];
+    if (!ms) throw new Error(`Unsupported timeframe '${timeframe}'. Use one of: ${Object.keys(TIMEFRAMES).join(', ')}.`);
+    return ms;
+}
+
+/**
+ * The start of the candle a timestamp belongs to. Candles are aligned to the epoch
+ * (i.e. to UTC), like the exchange's own candles.
+ * @param {string} timestamp - An ISO timestamp.
+ * @param {number} intervalMs - The candle length from getTimeframeMs().
+ * @returns {DateTime} The candle's start, in the zone the timestamp was parsed in.
+ */
+export function getCandleStart(timestamp, intervalMs) {
+    const dt = DateTime.fromISO(timestamp);
+    return DateTime.fromMillis(Math.floor(dt.toMillis() / intervalMs) * intervalMs, { zone: dt.zone });
+}
+
+/**
+ * Picks which stored candles can stand in for ticks when resampling into a timeframe:
+ * the longest of `available` whose length divides it, so that every stored candle
+ * falls inside a single candle of `timeframe`.
+ * @param {Array<string>} available - Timeframes that have stored candles.
+ * @param {string} timeframe - The timeframe being resampled into.
+ * @returns {string|null} The timeframe to read, or null if none fits.
+ */
+export function pickCandleTimeframe(available, timeframe) {
+    const fitting = available.filter(tf => TIMEFRAMES[tf] && getTimeframeMs(timeframe) % TIMEFRAMES[tf] === 0);
+    return fitting.sort((a, b) => TIMEFRAMES[b] - TIMEFRAMES[a])[0] ?? null;
+}
+
+/**
+ * Turns an OHLC candle into the four ticks it implies, spread evenly over the candle:
+ * the open, the low and the high (the high first on a down candle), then the close.
+ * Resampling the ticks gives the candle back.
+ * @param {Object} candle - { start, intervalMs, open, high, low, close }, with `start` in epoch ms.
+ * @returns {Array<Object>} Ticks of { timestamp, price } in time order.
+ */
+export function expandCandle({ start, intervalMs, open, high, low, close }) {
+    const path = close >= open ? [open, low, high, close] : [open, high, low, close];
+    return path.map((price, i) => ({
+        timestamp: new Date(start + Math.floor((i * intervalMs) / path.length)).toISOString(),
+        price,
+    }));
+}
+
+/**
+ * Formats a price the way Hyperliquid accepts it for a perp order: at most five
+ * significant figures and at most (6 - szDecimals) decimal places.
+ * @param {number} price
+ * @param {number} szDecimals - The asset's size decimals from the exchange metadata.
+ * @returns {string}
+ */
+export function formatPrice(price, szDecimals) {
+    const fixed = Number(Number(price).toPrecision(5)).toFixed(Math.max(6 - szDecimals, 0));
+    return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+}
+
+/**
+ * Converts the ROE-based stop-loss and take-profit thresholds into prices.
+ * ROE is the price move times leverage, so a 45% ROE stop at 20x sits 2.25% from entry.
+ * @param {number} entryPx - The position's entry price.
+ * @param {boolean} isShort - true for a short position.
+ * @param {number} leverage - The position's leverage.
+ * @param {Object} risk - The `risk` config section.
+ * @returns {Object} { stopLossPx, takeProfitPx }
+ */
+export function getRoeExitPrices(entryPx, isShort, leverage, { stopLossPercentage, takeProfitPercentage }) {
+    const side = isShort ? -1 : 1;
+    return {
+        stopLossPx: entryPx * (1 - side * stopLossPercentage / leverage),
+        takeProfitPx: entryPx * (1 + side * takeProfitPercentage / leverage),
+    };
+}
+
+/**
+ * The initial stop of a new position: the fixed ROE stop, or with `risk.initialStop`
+ * set to "atr", `risk.atrStopMultiplier` ATRs away from entry.
+ * @param {number} entryPx - The position's entry price.
+ * @param {boolean} isShort - true for a short position.
+ * @param {number} leverage - The position's leverage.
+ * @param {Object} risk - The `risk` config section.
+ * @param {number} [atr] - The latest ATR (required for ATR-based stops).
+ * @returns {number} The stop price.
+ */
+export function getInitialStopPrice(entryPx, isShort, leverage, risk, atr) {
+    if (risk.initialStop === 'atr') {
+        if (!(atr > 0)) throw new Error("An ATR-based stop needs a positive ATR.");
+        const distance = atr * risk.atrStopMultiplier;
+        return isShort ? entryPx + distance : entryPx - distance;
+    }
+    return getRoeExitPrices(entryPx, isShort, leverage, risk).stopLossPx;
+}
+
+/**
+ * Reduces a position to the fields that identify it, so persisted state can be
+ * matched against the position it was saved for.
+ * @param {Object|null} position - A clearinghouse position ({ coin, szi, entryPx }) or null.
+ * @returns {Object|null} { coin, entryPx, size }, or null when there is no position.
+ */
+export function getPositionIdentity(position) {
+    if (!position) return null;
+    return { coin: position.coin, entryPx: Number(position.entryPx), size: Math.abs(Number(position.szi)) };
+}
+
+/**
+ * @param {Object|null} a - A position identity from getPositionIdentity().
+ * @param {Object|null} b - Another position identity.
+ * @returns {boolean} true if both describe the same position (or both are null).
+ */
+export function isSamePosition(a, b) {
+    if (!a || !b) return a === b;
+    return a.coin === b.coin
+        && Math.abs(a.entryPx - b.entryPx) <= Math.abs(b.entryPx) * 1e-9
+        && Math.abs(a.size - b.size) < 1e-9;
+}
@@ -0,0 +1,192 @@
+// src/utils/indicators.js
+
+// Each indicator has an `...At(values, i, ...)` form that computes the value at one
+// index, and a batch form that maps it over a whole series. The TechnicalAnalyzer
+// uses the first on its rolling candle window and the second for full-history
+// recomputation; sharing the arithmetic makes both give the same values for the same
+// candles. The recursive averages (ema, wilder) and the day-anchored VWAP also depend
+// on where the series starts; see TechnicalAnalyzer.warmUpCandles() and isWarm().
+// Series may start with NaN (e.g. before a lookback fills up); the result is NaN
+// until `period` finite values are available.
+
+export const SMOOTHING_METHODS = ['sma', 'wma', 'ema', 'wilder'];
+
+/**
+ * The moving average of `values` at index `i`.
+ *
+ *   sma    - simple average of the last `period` values.
+ *   wma    - linearly weighted average; the newest value weighs `period`, the oldest 1.
+ *   ema    - exponential average, alpha = 2 / (period + 1).
+ *   wilder - Wilder's smoothing (RMA), alpha = 1 / period, as used by the classic ATR and RSI.
+ *
+ * The recursive methods (ema, wilder) are seeded with the SMA of the first `period`
+ * values and then need the previous average.
+ * @param {Array<number>} values - The input series, oldest first.
+ * @param {number} i - The index to compute.
+ * @param {number} period
+ * @param {string} method - One of SMOOTHING_METHODS.
+ * @param {number} [previous] - The average at `i - 1` (ema and wilder only).
+ * @returns {number} The average, or NaN if there are not enough values yet.
+ */
+export function averageAt(values, i, period, method, previous = NaN) {
+    switch (method) {
+        case 'sma': {
+            if (i < period - 1) return NaN;
+            let sum = 0;
+            for (let j = 0; j < period; j++) {
+                sum += values[i - j];
+            }
+            return sum / period;
+        }
+        case 'wma': {
+            if (i < period - 1) return NaN;
+            let sum = 0;
+            for (let j = 0; j < period; j++) {
+                sum += values[i - j] * (period - j);
+            }
+            return sum / (period * (period + 1) / 2);
+        }
+        case 'ema':
+        case 'wilder': {
+            if (!Number.isFinite(previous)) return averageAt(values, i, period, 'sma');
+            const alpha = method === 'ema' ? 2 / (period + 1) : 1 / period;
+            return alpha * values[i] + (1 - alpha) * previous;
+        }
+        default:
+            throw new Error(`Unknown smoothing method '${method}'. Use one of: ${SMOOTHING_METHODS.join(', ')}.`);
+    }
+}
+
+/**
+ * @param {Array<number>} values - The input series, oldest first.
+ * @param {number} period
+ * @param {string} method - One of SMOOTHING_METHODS.
+ * @returns {Array<number>} The moving average at every index (NaN until it is defined).
+ */
+export function movingAverage(values, period, method) {
+    const result = [];
+    let previous = NaN;
+    for (let i = 0; i < values.length; i++) {
+        previous = averageAt(values, i, period, method, previous);
+        result.push(previous);
+    }
+    return result;
+}
+
+export const sma = (values, period) => movingAverage(values, period, 'sma');
+export const wma = (values, period) => movingAverage(values, period, 'wma');
+export const ema = (values, period) => movingAverage(values, period, 'ema');
+export const wilder = (values, period) => movingAverage(values, period, 'wilder');
+
+/**
+ * @param {Object} candle - { high, low }
+ * @param {Object} [previous] - The previous candle ({ close }), if any.
+ * @returns {number} The candle's true range.
+ */
+export function trueRange(candle, previous) {
+    const range = candle.high - candle.low;
+    if (!previous) return range;
+    return Math.max(range, Math.abs(candle.high - previous.close), Math.abs(candle.low - previous.close));
+}
+
+/**
+ * Average True Range. Wilder's original definition uses method 'wilder'.
+ * @param {Array<Object>} candles - { high, low, close }, oldest first.
+ * @param {number} period
+ * @param {string} [method='wilder'] - One of SMOOTHING_METHODS.
+ * @returns {Array<number>}
+ */
+export function atr(candles, period, method = 'wilder') {
+    const trueRanges = candles.map((c, i) => trueRange(c, candles[i - 1]));
+    return movingAverage(trueRanges, period, method);
+}
+
+/**
+ * The gain and loss of a close over the previous one, the inputs of the RSI averages.
+ * @returns {Object} { gain, loss }, both NaN for the first candle.
+ */
+export function closeChange(close, previousClose) {
+    if (previousClose === undefined) return { gain: NaN, loss: NaN };
+    const change = close - previousClose;
+    return { gain: Math.max(change, 0), loss: Math.max(-change, 0) };
+}
+
+/**
+ * @param {number} averageGain - Wilder-smoothed gains.
+ * @param {number} averageLoss - Wilder-smoothed losses.
+ * @returns {number} The RSI (0-100), or NaN if either average is undefined.
+ */
+export function rsiFromAverages(averageGain, averageLoss) {
+    if (!Number.isFinite(averageGain) || !Number.isFinite(averageLoss)) return NaN;
+    if (averageLoss === 0) return averageGain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + averageGain / averageLoss);
+}
+
+/**
+ * Wilder's Relative Strength Index.
+ * @param {Array<number>} closes - Oldest first.
+ * @param {number} period
+ * @returns {Array<number>}
+ */
+export function rsi(closes, period) {
+    const changes = closes.map((close, i) => closeChange(close, closes[i - 1]));
+    // The first change is at index 1, so the averages are seeded one index later than usual.
+    const averageGains = movingAverage(changes.map(c => c.gain), period, 'wilder');
+    const averageLosses = movingAverage(changes.map(c => c.loss), period, 'wilder');
+    return averageGains.map((gain, i) => rsiFromAverages(gain, averageLosses[i]));
+}
+
+/**
+ * Bollinger Bands at index `i`: the SMA of the last `period` values plus and minus
+ * `stdDevs` population standard deviations.
+ * @returns {Object} { middle, upper, lower } (all NaN until `period` values exist).
+ */
+export function bollingerAt(values, i, period, stdDevs) {
+    const middle = averageAt(values, i, period, 'sma');
+    if (Number.isNaN(middle)) return { middle: NaN, upper: NaN, lower: NaN };
+    let squares = 0;
+    for (let j = 0; j < period; j++) {
+        squares += (values[i - j] - middle) ** 2;
+    }
+    const deviation = Math.sqrt(squares / period) * stdDevs;
+    return { middle, upper: middle + deviation, lower: middle - deviation };
+}
+
+/**
+ * @param {Array<number>} values - Oldest first.
+ * @param {number} period
+ * @param {number} stdDevs - Band width in standard deviations (usually 2).
+ * @returns {Array<Object>} { middle, upper, lower } per index.
+ */
+export function bollingerBands(values, period, stdDevs) {
+    return values.map((_, i) => bollingerAt(values, i, period, stdDevs));
+}
+
+/**
+ * Adds one candle to a running VWAP. The VWAP is anchored to the UTC day: it
+ * restarts with the first candle of each day.
+ * @param {Object|null} previous - The running sums after the previous candle, or null.
+ * @param {Object} candle - { timestamp, high, low, close, volume }
+ * @returns {Object} { day, priceVolume, volume, vwap }
+ */
+export function vwapStep(previous, candle) {
+    const day = new Date(candle.timestamp).toISOString().slice(0, 10);
+    const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+    const carried = previous && previous.day === day ? previous : { priceVolume: 0, volume: 0 };
+    const priceVolume = carried.priceVolume + typicalPrice * candle.volume;
+    const volume = carried.volume + candle.volume;
+    return { day, priceVolume, volume, vwap: volume > 0 ? priceVolume / volume : NaN };
+}
+
+/**
+ * Session VWAP, anchored to the UTC day.
+ * @param {Array<Object>} candles - { timestamp, high, low, close, volume }, oldest first.
+ * @returns {Array<number>}
+ */
+export function vwap(candles) {
+    let running = null;
+    return candles.map(candle => {
+        running = vwapStep(running, candle);
+        return running.vwap;
+    });
+}
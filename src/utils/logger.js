@@ -1,54 +1,175 @@
 // src/utils/logger.js
+import fs from 'fs';
+import path from 'path';
 
 // ANSI color codes for terminal output
 const colors = {
     reset: "\x1b[0m",
-    bright: "\x1b[1m",
     dim: "\x1b[2m",
-    underscore: "\x1b[4m",
-    blink: "\x1b[5m",
-    reverse: "\x1b[7m",
-    hidden: "\x1b[8m",
-    
     fg: {
-        black: "\x1b[30m",
         red: "\x1b[31m",
         green: "\x1b[32m",
         yellow: "\x1b[33m",
-        blue: "\x1b[34m",
-        magenta: "\x1b[35m",
         cyan: "\x1b[36m",
-        white: "\x1b[37m",
+        gray: "\x1b[90m",
     },
-    bg: {
-        black: "\x1b[40m",
-        red: "\x1b[41m",
-        green: "\x1b[42m",
-        yellow: "\x1b[43m",
-        blue: "\x1b[44m",
-        magenta: "\x1b[45m",
-        cyan: "\x1b[46m",
-        white: "\x1b[47m",
-    }
 };
 
-const getTimestamp = () => new Date().toLocaleTimeString();
+// `success` is an info-level line that is shown in green.
+const LEVELS = { trace: 10, debug: 20, info: 30, success: 35, warn: 40, error: 50 };
+const LEVEL_COLORS = {
+    trace: colors.fg.gray,
+    debug: colors.fg.gray,
+    info: colors.fg.cyan,
+    success: colors.fg.green,
+    warn: colors.fg.yellow,
+    error: colors.fg.red,
+};
+const CONTEXT_KEYS = ['component', 'asset', 'tradeId'];
 
-const logger = {
-    info: (message) => {
-        console.log(`${colors.fg.cyan}[${getTimestamp()}] INFO: ${message}${colors.reset}`);
-    },
-    warn: (message) => {
-        console.warn(`${colors.fg.yellow}[${getTimestamp()}] WARN: ${message}${colors.reset}`);
-    },
-    error: (message) => {
-        console.error(`${colors.fg.red}[${getTimestamp()}] ERROR: ${message}${colors.reset}`);
-    },
-    success: (message) => {
-        console.log(`${colors.fg.green}[${getTimestamp()}] SUCCESS: ${message}${colors.reset}`);
-    }
+// Shared by the root logger and all of its children; changed through configure().
+const settings = {
+    level: LEVELS.info,
+    components: {}, // component name -> level
+    console: 'pretty',
+    quiet: false, // When quiet, only errors are printed (used by the backtester to keep replays readable).
+    file: null, // { path, maxBytes, maxFiles, size }
 };
 
-// This is the crucial part that fixes your error.
-// We are exporting the logger object as the default export for this module.
-export default logger;
\ No newline at end of file
+function parseLevel(name, where) {
+    if (!(name in LEVELS) || name === 'success') {
+        throw new Error(`${where} must be one of trace, debug, info, warn, error; got '${name}'.`);
+    }
+    return LEVELS[name];
+}
+
+function serialize(value) {
+    if (value instanceof Error) return { message: value.message, stack: value.stack };
+    return value;
+}
+
+// --- File Output ---
+
+function rotate(file) {
+    for (let i = file.maxFiles - 1; i >= 1; i--) {
+        const from = `${file.path}.${i}`;
+        if (fs.existsSync(from)) fs.renameSync(from, `${file.path}.${i + 1}`);
+    }
+    if (fs.existsSync(file.path)) fs.renameSync(file.path, `${file.path}.1`);
+    file.size = 0;
+}
+
+function writeFile(line) {
+    const file = settings.file;
+    try {
+        const bytes = Buffer.byteLength(line);
+        if (file.size > 0 && file.size + bytes > file.maxBytes) rotate(file);
+        fs.appendFileSync(file.path, line);
+        file.size += bytes;
+    } catch (error) {
+        // Keep trading if the disk is full or the directory disappears; say so once.
+        settings.file = null;
+        console.error(`${colors.fg.red}Logging to file stopped: ${error.message}${colors.reset}`);
+    }
+}
+
+// --- Console Output ---
+
+function formatPretty(record) {
+    const { time, level, msg, ...rest } = record;
+    const context = CONTEXT_KEYS.filter(key => rest[key] != null)
+        .map(key => (key === 'tradeId' ? `#${rest[key]}` : rest[key]));
+    const fields = Object.fromEntries(Object.entries(rest).filter(([key]) => !CONTEXT_KEYS.includes(key)));
+    const contextText = context.length > 0 ? ` [${context.join(' ')}]` : '';
+    const fieldsText = Object.keys(fields).length > 0 ? ` ${colors.dim}${JSON.stringify(fields)}` : '';
+    return `${LEVEL_COLORS[level]}[${time}] ${level.toUpperCase()}:${contextText} ${msg}${fieldsText}${colors.reset}`;
+}
+
+/**
+ * Leveled logger. Each line is a record `{ time, level, msg, ...context, ...fields }`;
+ * the console shows it as a colored line (or raw JSON), and the log file, if configured,
+ * gets one JSON object per line.
+ *
+ * `child({ component, asset, tradeId })` returns a logger that adds that context to
+ * every record. The `component` of a record selects its level from
+ * `logging.components`, falling back to `logging.level`.
+ */
+class Logger {
+    constructor(context = {}) {
+        this.context = context;
+    }
+
+    child(context) {
+        return new Logger({ ...this.context, ...context });
+    }
+
+    isLevelEnabled(level) {
+        const threshold = settings.components[this.context.component] ?? settings.level;
+        return LEVELS[level] >= threshold;
+    }
+
+    /**
+     * @param {string} level
+     * @param {string} message
+     * @param {Object} [fields] - Structured data for the record.
+     */
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+        const record = { time: new Date().toISOString(), level, msg: String(message), ...this.context };
+        for (const [key, value] of Object.entries(fields)) {
+            record[key] = serialize(value);
+        }
+
+        if (!settings.quiet || level === 'error') {
+            const line = settings.console === 'json' ? JSON.stringify(record) : formatPretty(record);
+            if (level === 'error') console.error(line);
+            else if (level === 'warn') console.warn(line);
+            else console.log(line);
+        }
+        if (settings.file) writeFile(`${JSON.stringify(record)}\n`);
+    }
+
+    trace(message, fields) { this.log('trace', message, fields); }
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    success(message, fields) { this.log('success', message, fields); }
+    warn(message, fields) { this.log('warn', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+
+    /**
+     * Applies the `logging` config section. Scripts that never call this log info and
+     * above to the console only.
+     * @param {Object} options
+     * @param {string} [options.level="info"]
+     * @param {Object} [options.components] - Levels per component name.
+     * @param {string} [options.console="pretty"] - "pretty" or "json".
+     * @param {Object} [options.file] - { path, maxSizeMb, maxFiles }; no file output without a path.
+     */
+    configure({ level = 'info', components = {}, console: consoleFormat = 'pretty', file = null } = {}) {
+        if (consoleFormat !== 'pretty' && consoleFormat !== 'json') {
+            throw new Error(`logging.console must be 'pretty' or 'json', got '${consoleFormat}'.`);
+        }
+        settings.level = parseLevel(level, 'logging.level');
+        settings.components = Object.fromEntries(Object.entries(components)
+            .map(([component, componentLevel]) => [component, parseLevel(componentLevel, `logging.components.${component}`)]));
+        settings.console = consoleFormat;
+        settings.file = null;
+        if (file?.path) {
+            fs.mkdirSync(path.dirname(path.resolve(file.path)), { recursive: true });
+            settings.file = {
+                path: file.path,
+                maxBytes: file.maxSizeMb * 1024 * 1024,
+                maxFiles: file.maxFiles,
+                size: fs.existsSync(file.path) ? fs.statSync(file.path).size : 0,
+            };
+        }
+    }
+
+    setQuiet(value) {
+        settings.quiet = value;
+    }
+}
+
+const logger = new Logger();
+
+export default logger;
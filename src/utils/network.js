@@ -0,0 +1,50 @@
+// src/utils/network.js
+import * as hl from "@nktkas/hyperliquid";
+import path from 'path';
+
+// Public endpoints of each Hyperliquid network.
+export const NETWORKS = {
+    mainnet: { apiUrl: "https://api.hyperliquid.xyz", wsUrl: "wss://api.hyperliquid.xyz/ws" },
+    testnet: { apiUrl: "https://api.hyperliquid-testnet.xyz", wsUrl: "wss://api.hyperliquid-testnet.xyz/ws" },
+};
+
+/**
+ * Resolves the `network` config section: the network's public endpoints unless
+ * `apiUrl` / `wsUrl` point somewhere else (e.g. a local mock).
+ * @param {Object} config - The global application configuration object.
+ * @returns {Object} { name, isTestnet, apiUrl, wsUrl }
+ */
+export function getNetwork(config) {
+    const { name, apiUrl, wsUrl } = config.network;
+    return {
+        name,
+        isTestnet: name === 'testnet',
+        apiUrl: apiUrl || NETWORKS[name].apiUrl,
+        wsUrl: wsUrl || NETWORKS[name].wsUrl,
+    };
+}
+
+/**
+ * The HTTP transport every Hyperliquid client should use. Orders signed through it
+ * are signed for the configured network.
+ * @param {Object} config - The global application configuration object.
+ * @returns {hl.HttpTransport}
+ */
+export function createTransport(config) {
+    const { isTestnet, apiUrl } = getNetwork(config);
+    return new hl.HttpTransport({ isTestnet, apiUrl });
+}
+
+/**
+ * The database file for a network. Mainnet uses `database.file` as is; any other
+ * network gets its name added before the extension (trading_bot.testnet.db), so its
+ * prices and trades never mix with mainnet data.
+ * @param {string} file - The configured `database.file`.
+ * @param {string} network - The network name.
+ * @returns {string}
+ */
+export function getNetworkDatabaseFile(file, network) {
+    if (network === 'mainnet') return file;
+    const { dir, name, ext } = path.parse(file);
+    return path.join(dir, `${name}.${network}${ext}`);
+}
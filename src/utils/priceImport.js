@@ -0,0 +1,207 @@
+// src/utils/priceImport.js
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+// Streaming readers and record parsing for backfill_data.js. Files are read as a
+// stream, one record at a time, so their size does not matter.
+
+export const FORMATS = ['json', 'ndjson', 'csv'];
+
+// Accepted field names, e.g. Hyperliquid's candle snapshots use t/o/h/l/c.
+const FIELDS = {
+    timestamp: ['timestamp', 'time', 'date', 't'],
+    price: ['price', 'mid', 'p'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c'],
+    ticks: ['ticks', 'n'],
+};
+
+/**
+ * @param {string} file
+ * @returns {string|null} The format implied by the file extension.
+ */
+export function detectFormat(file) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.json') return 'json';
+    if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+    if (ext === '.csv') return 'csv';
+    return null;
+}
+
+/**
+ * Reads the raw records of a file.
+ * @param {string} file
+ * @param {string} format - One of FORMATS.
+ * @returns {AsyncGenerator<Object>} Yields { row, record } or, for text that is not
+ *   valid JSON, { row, error }. `row` is the line (NDJSON, CSV) or array element (JSON) number.
+ */
+export function readRecords(file, format) {
+    switch (format) {
+        case 'json': return readJsonArray(file);
+        case 'ndjson': return readNdjson(file);
+        case 'csv': return readCsv(file);
+        default: throw new Error(`Unsupported format '${format}'. Use one of: ${FORMATS.join(', ')}.`);
+    }
+}
+
+const isSpace = (ch) => ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t';
+
+function parseJson(row, text) {
+    try {
+        return { row, record: JSON.parse(text) };
+    } catch (error) {
+        return { row, error: `is not valid JSON (${error.message})` };
+    }
+}
+
+/**
+ * Splits a JSON array into its elements as the text streams in, so only one
+ * element is held in memory at a time.
+ */
+async function* readJsonArray(file) {
+    const stream = fs.createReadStream(file, { encoding: 'utf8' });
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let pending = ''; // Start of an element that continues in the next chunk
+    let inElement = false;
+    let row = 0;
+
+    for await (const chunk of stream) {
+        let start = inElement ? 0 : -1;
+        for (let i = 0; i < chunk.length; i++) {
+            const ch = chunk[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+            if (depth === 0) {
+                if (ch === '[') depth = 1;
+                else if (!isSpace(ch)) throw new Error(`${file} is not a JSON array.`);
+                continue;
+            }
+            const endsElement = depth === 1 && (ch === ',' || ch === ']');
+            if (endsElement) {
+                if (start >= 0) {
+                    yield parseJson(++row, pending + chunk.slice(start, i));
+                    pending = '';
+                    start = -1;
+                    inElement = false;
+                }
+                if (ch === ']') depth = 0;
+                continue;
+            }
+            if (depth === 1 && start < 0 && !isSpace(ch)) {
+                start = i;
+                inElement = true;
+            }
+            if (ch === '"') inString = true;
+            else if (ch === '{' || ch === '[') depth++;
+            else if (ch === '}' || ch === ']') depth--;
+        }
+        if (start >= 0) pending += chunk.slice(start);
+    }
+    if (inElement || depth !== 0) throw new Error(`${file} ends in the middle of the JSON array.`);
+}
+
+async function* readLines(file) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+    let row = 0;
+    for await (const line of lines) {
+        row++;
+        if (line.trim() !== '') yield { row, line };
+    }
+}
+
+async function* readNdjson(file) {
+    for await (const { row, line } of readLines(file)) {
+        yield parseJson(row, line);
+    }
+}
+
+/**
+ * CSV with a header row naming the columns (see FIELDS). Values are not expected
+ * to contain commas; surrounding quotes are removed.
+ */
+async function* readCsv(file) {
+    let header = null;
+    for await (const { row, line } of readLines(file)) {
+        const values = line.split(',').map(value => value.trim().replace(/^"(.*)"$/, '$1'));
+        if (!header) {
+            header = values.map(name => name.toLowerCase());
+            continue;
+        }
+        if (values.length !== header.length) {
+            yield { row, error: `has ${values.length} columns, the header has ${header.length}` };
+            continue;
+        }
+        yield { row, record: Object.fromEntries(header.map((name, i) => [name, values[i]])) };
+    }
+}
+
+function pick(record, field) {
+    for (const name of FIELDS[field]) {
+        if (record[name] !== undefined && record[name] !== '') return record[name];
+    }
+    return undefined;
+}
+
+/**
+ * Epoch numbers (seconds or milliseconds) and date strings, as an ISO string in UTC.
+ */
+function parseTimestamp(value) {
+    if (value === undefined) throw new Error('has no timestamp');
+    let date;
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+        const number = Number(value);
+        date = new Date(number < 1e12 ? number * 1000 : number);
+    } else {
+        date = new Date(value);
+    }
+    if (Number.isNaN(date.getTime())) throw new Error(`has no valid timestamp (got ${JSON.stringify(value)})`);
+    return date.toISOString();
+}
+
+function parsePrice(value, name) {
+    const price = Number(value);
+    if (value === undefined || value === null || !(price > 0) || !Number.isFinite(price)) {
+        throw new Error(`has no valid ${name} (got ${JSON.stringify(value)})`);
+    }
+    return price;
+}
+
+/**
+ * Turns a raw record into a price tick or an OHLC candle. A record with open, high,
+ * low and close is a candle; anything else must have a price.
+ * @param {Object} record
+ * @param {number|null} intervalMs - The candle length; required for candles, whose
+ *   timestamp must be the start of a candle.
+ * @returns {Object} { kind: 'tick', timestamp, price } or
+ *   { kind: 'candle', timestamp, open, high, low, close, ticks }.
+ * @throws {Error} Describing what is wrong with the record.
+ */
+export function parseRecord(record, intervalMs) {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) throw new Error('is not an object');
+    const timestamp = parseTimestamp(pick(record, 'timestamp'));
+
+    if (pick(record, 'open') === undefined && pick(record, 'close') === undefined) {
+        return { kind: 'tick', timestamp, price: parsePrice(pick(record, 'price'), 'price') };
+    }
+
+    if (!intervalMs) throw new Error('is a candle; candles need --interval');
+    if (new Date(timestamp).getTime() % intervalMs !== 0) throw new Error(`is not at the start of a candle (${timestamp})`);
+    const open = parsePrice(pick(record, 'open'), 'open');
+    const high = parsePrice(pick(record, 'high'), 'high');
+    const low = parsePrice(pick(record, 'low'), 'low');
+    const close = parsePrice(pick(record, 'close'), 'close');
+    if (high < Math.max(open, close) || low > Math.min(open, close)) {
+        throw new Error(`has a high/low outside its open and close (o ${open}, h ${high}, l ${low}, c ${close})`);
+    }
+    const ticks = Number(pick(record, 'ticks') ?? 0);
+    return { kind: 'candle', timestamp, open, high, low, close, ticks: Number.isInteger(ticks) && ticks > 0 ? ticks : 0 };
+}
@@ -0,0 +1,74 @@
+// test/ControlServer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import ControlServer from '../src/components/ControlServer.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+const TOKEN = 'test-token';
+
+// A ControlServer on a free local port, steering a bot with one SOL market.
+async function withServer(run) {
+    const events = [];
+    const market = { asset: 'SOL', entriesPaused: false };
+    const bot = {
+        markets: new Map([['SOL', market]]),
+        setEntriesPaused: async (m, paused) => { m.entriesPaused = paused; },
+    };
+    const db = { logEvent: async (type, details) => { events.push({ type, details }); } };
+    const server = new ControlServer({ token: TOKEN, host: '127.0.0.1', port: 0 }, bot, db);
+    await server.start();
+    try {
+        await run({ port: server.server.address().port, events, market });
+    } finally {
+        server.stop();
+    }
+}
+
+// Sends a raw body and resolves with the reply, or with the socket error if there is none.
+function post(port, path, body) {
+    return new Promise((resolve) => {
+        const req = http.request({
+            host: '127.0.0.1', port, path, method: 'POST',
+            headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+        }, (res) => {
+            let raw = '';
+            res.on('data', (chunk) => { raw += chunk; });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(raw) }));
+        });
+        req.on('error', (error) => resolve({ error }));
+        req.end(body);
+    });
+}
+
+test('a body that is valid JSON but not an object is a 400', async () => {
+    await withServer(async ({ port, events }) => {
+        for (const body of ['null', '1', '[]', '"SOL"']) {
+            const reply = await post(port, '/pause', body);
+            assert.equal(reply.statusCode, 400, `body ${body}`);
+            assert.equal(reply.body.error, 'Request body must be a JSON object.');
+        }
+        assert.ok(events.every(({ details }) => details.ok === false));
+    });
+});
+
+test('an oversized body gets its 413 reply', async () => {
+    await withServer(async ({ port, market }) => {
+        const reply = await post(port, '/pause', JSON.stringify({ asset: 'SOL', padding: 'x'.repeat(64 * 1024) }));
+        assert.equal(reply.error, undefined);
+        assert.equal(reply.statusCode, 413);
+        assert.equal(reply.body.error, 'Request body too large.');
+        assert.equal(market.entriesPaused, false);
+    });
+});
+
+test('the body cannot overwrite the action or outcome in the audit log', async () => {
+    await withServer(async ({ port, events, market }) => {
+        const reply = await post(port, '/pause', JSON.stringify({ asset: 'SOL', action: 'GET /status', ok: false }));
+        assert.equal(reply.statusCode, 200);
+        assert.equal(market.entriesPaused, true);
+        assert.deepEqual(events, [{ type: 'CONTROL_ACTION', details: { asset: 'SOL', action: 'POST /pause', ok: true } }]);
+    });
+});
@@ -0,0 +1,131 @@
+// test/DataCollector.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import { WebSocketServer } from 'ws';
+import DataCollector from '../src/components/DataCollector.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+// A local stand-in for the exchange: allMids over HTTP (POST /info) and a WebSocket
+// endpoint at /ws. The HTTP and streamed prices differ, so each tick shows its source.
+async function startExchange() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(request.type === 'allMids' ? { SOL: '100' } : null));
+        });
+    });
+    const wss = new WebSocketServer({ server, path: '/ws' });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    return {
+        wss,
+        close: () => { wss.close(); server.close(); },
+        apiUrl: `http://127.0.0.1:${port}`,
+        wsUrl: `ws://127.0.0.1:${port}/ws`,
+    };
+}
+
+const makeConfig = ({ apiUrl, wsUrl }) => ({
+    network: { name: 'mainnet', apiUrl, wsUrl },
+    trading: { assets: ['SOL'] },
+    collector: {
+        intervalSeconds: 0.1,
+        transport: 'websocket',
+        websocket: { minTickIntervalMs: 0, staleAfterSeconds: 0.4, pingIntervalSeconds: 30, maxBackoffSeconds: 1 },
+    },
+});
+
+const streamMids = (ws, price) => ws.send(JSON.stringify({ channel: 'allMids', data: { mids: { SOL: String(price) } } }));
+
+// Resolves with the next tick whose price satisfies `matches`.
+async function nextTick(collector, matches) {
+    while (true) {
+        const [tick] = await once(collector, 'newData');
+        if (matches(tick.price)) return tick;
+    }
+}
+
+test('falls back to HTTP polling while the socket is down, and back once it streams again', async () => {
+    const exchange = await startExchange();
+    const collector = new DataCollector(makeConfig(exchange));
+    try {
+        const connected = once(exchange.wss, 'connection');
+        collector.start();
+        const [first] = await connected;
+        streamMids(first, 150);
+        assert.equal((await nextTick(collector, price => price === 150)).asset, 'SOL');
+        assert.equal(collector.isPolling, false);
+
+        const reconnected = once(exchange.wss, 'connection');
+        first.terminate();
+        await nextTick(collector, price => price === 100);
+        assert.equal(collector.isPolling, true);
+
+        const [second] = await reconnected;
+        streamMids(second, 151);
+        await nextTick(collector, price => price === 151);
+        assert.equal(collector.isPolling, false);
+    } finally {
+        collector.stop();
+        exchange.close();
+    }
+});
+
+test('falls back to HTTP polling when an open socket goes silent, and reconnects it', async () => {
+    const exchange = await startExchange();
+    const collector = new DataCollector(makeConfig(exchange));
+    try {
+        const connected = once(exchange.wss, 'connection');
+        collector.start();
+        const [first] = await connected;
+        streamMids(first, 150);
+        await nextTick(collector, price => price === 150);
+
+        // Nothing more is streamed, so the socket is stale after staleAfterSeconds.
+        const reconnected = once(exchange.wss, 'connection');
+        await nextTick(collector, price => price === 100);
+        assert.equal(collector.isPolling, true);
+
+        const [second] = await reconnected;
+        streamMids(second, 151);
+        await nextTick(collector, price => price === 151);
+        assert.equal(collector.isPolling, false);
+    } finally {
+        collector.stop();
+        exchange.close();
+    }
+});
+
+test('a rate-limit pause starts no second interval and does not outlive a recovered stream', async () => {
+    const collector = new DataCollector(makeConfig({ apiUrl: 'http://127.0.0.1:9', wsUrl: null }));
+    let requests = 0;
+    collector.infoClient = { allMids: async () => { requests++; throw new Error('Request failed with status code 429'); } };
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    try {
+        collector.fallBackToPolling('WebSocket disconnected');
+        await wait(20);
+        assert.equal(collector.isPolling, true, 'the pause still counts as polling');
+        assert.equal(collector.intervalId, null);
+
+        // The reconnect fails during the pause, then the stream comes back.
+        collector.fallBackToPolling('WebSocket disconnected');
+        assert.equal(collector.intervalId, null);
+        collector.handleSocketMessage('allMids', { mids: { SOL: '150' } });
+        assert.equal(collector.isPolling, false);
+
+        // The 100 ms backoff passes without polling resuming.
+        await wait(300);
+        assert.equal(requests, 1);
+        assert.equal(collector.isPolling, false);
+    } finally {
+        collector.stop();
+    }
+});
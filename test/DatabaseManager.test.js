@@ -0,0 +1,131 @@
+// test/DatabaseManager.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import DatabaseManager from '../src/database/DatabaseManager.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+const config = { debug: false, trading: { asset: 'SOL' }, network: { name: 'mainnet' } };
+
+async function withDatabase(run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dbmanager-'));
+    const db = new DatabaseManager(path.join(dir, 'test.db'), config);
+    await db.connect();
+    try {
+        await run(db);
+    } finally {
+        await db.db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const ticks = (count, start = Date.UTC(2025, 0, 1)) => Array.from({ length: count }, (_, i) => ({
+    asset: 'SOL',
+    timestamp: new Date(start + i * 1000).toISOString(),
+    price: 100 + i,
+}));
+
+test('a batch stores its records in one transaction', async () => {
+    await withDatabase(async (db) => {
+        assert.equal(await db.savePriceBatch(ticks(500)), 500);
+        assert.equal((await db.db.get('SELECT COUNT(*) AS count FROM prices')).count, 500);
+    });
+});
+
+test('writes made while a batch runs are kept when the batch rolls back', async () => {
+    await withDatabase(async (db) => {
+        // The last record breaks the NOT NULL constraint (which INSERT OR REPLACE does not
+        // skip), so the batch rolls back.
+        const records = [...ticks(3000), { asset: 'SOL', timestamp: '2025-02-01T00:00:00.000Z', price: null }];
+        const batch = db.savePriceBatch(records, { replace: true });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const singleWrites = Promise.all([
+            db.savePriceData({ asset: 'ETH', timestamp: '2025-01-01T00:00:00.000Z', price: 3000 }),
+            db.logEvent('TEST_EVENT', { during: 'batch' }),
+            db.saveState('SOL', 'test', { kept: true }),
+        ]);
+
+        await assert.rejects(batch, /NOT NULL/);
+        await singleWrites;
+        assert.equal((await db.db.get("SELECT COUNT(*) AS count FROM prices WHERE asset = 'SOL'")).count, 0);
+        assert.equal((await db.db.get("SELECT COUNT(*) AS count FROM prices WHERE asset = 'ETH'")).count, 1);
+        assert.equal((await db.db.get("SELECT COUNT(*) AS count FROM events WHERE event_type = 'TEST_EVENT'")).count, 1);
+        assert.deepEqual(await db.loadState('SOL', 'test'), { kept: true });
+    });
+});
+
+// --- Migrations ---
+
+// A database from before schema versioning: per-timestamp prices and no `simulated` column.
+const BASELINE_SCHEMA = `
+    CREATE TABLE prices (timestamp TEXT PRIMARY KEY, price REAL);
+    CREATE TABLE positions (asset TEXT PRIMARY KEY, direction TEXT, size REAL, entry_px REAL, status TEXT, last_update TEXT NOT NULL);
+    CREATE TABLE events (id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp TEXT NOT NULL, event_type TEXT NOT NULL, details TEXT);
+`;
+
+// Opens a baseline database in a temp dir without migrating it. Its prices belong to
+// the first of the configured assets, ETH.
+async function withBaselineDatabase(prices, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dbmigrate-'));
+    const db = new DatabaseManager(path.join(dir, 'legacy.db'), { ...config, trading: { assets: ['ETH', 'SOL'] } });
+    await db.connect({ migrate: false });
+    try {
+        await db.db.exec(BASELINE_SCHEMA);
+        for (const [timestamp, price] of prices) {
+            await db.db.run('INSERT INTO prices (timestamp, price) VALUES (?, ?)', [timestamp, price]);
+        }
+        await run(db, dir);
+    } finally {
+        await db.db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const LEGACY_PRICES = [['2025-01-01T00:00:00.000Z', 3300], ['2025-01-01T00:00:01.000Z', 3301]];
+
+test('migrate() brings a baseline database to the latest version once, after a backup', async () => {
+    await withBaselineDatabase(LEGACY_PRICES, async (db, dir) => {
+        const first = await db.migrate();
+        assert.deepEqual(first.applied.map(m => m.version), [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.equal((await db.getSchemaStatus()).current, 8);
+
+        // The backup is the database as it was before migrating.
+        assert.equal(path.dirname(first.backupFile), dir);
+        assert.match(path.basename(first.backupFile), /^legacy\.backup-v0-\d{8}T\d{6}Z\.db$/);
+        const backup = new DatabaseManager(first.backupFile, config);
+        await backup.connect({ migrate: false });
+        assert.equal((await backup.getSchemaStatus()).current, 0);
+        assert.equal((await backup.db.get('SELECT COUNT(*) AS count FROM prices')).count, 2);
+        await backup.db.close();
+
+        // The legacy prices moved to the first configured asset, as live ticks.
+        assert.deepEqual(await db.db.all('SELECT asset, timestamp, price, source FROM prices ORDER BY timestamp'), [
+            { asset: 'ETH', timestamp: LEGACY_PRICES[0][0], price: 3300, source: 'live' },
+            { asset: 'ETH', timestamp: LEGACY_PRICES[1][0], price: 3301, source: 'live' },
+        ]);
+        assert.ok((await db.db.all('PRAGMA table_info(positions)')).some(c => c.name === 'simulated'));
+
+        // Running it again changes nothing and makes no second backup.
+        const second = await db.migrate();
+        assert.deepEqual(second, { applied: [], backupFile: null });
+        assert.equal((await db.getSchemaStatus()).applied.length, 8);
+        assert.equal((await db.db.get('SELECT COUNT(*) AS count FROM prices')).count, 2);
+        assert.equal(fs.readdirSync(dir).filter(file => file.includes('.backup-')).length, 1);
+    });
+});
+
+test('a failed migration is rolled back and the ones before it stay applied', async () => {
+    // A price the per-asset table (NOT NULL) cannot take makes migration 3 fail.
+    await withBaselineDatabase([...LEGACY_PRICES, ['2025-01-01T00:00:02.000Z', null]], async (db) => {
+        await assert.rejects(db.migrate(), /Migration 3 \(prices-per-asset\) failed and was rolled back: .*NOT NULL.*The schema is at version 2\. The backup from before migrating is /);
+        assert.equal((await db.getSchemaStatus()).current, 2);
+        // The prices table is the legacy one, untouched.
+        assert.deepEqual((await db.db.all('PRAGMA table_info(prices)')).map(c => c.name), ['timestamp', 'price']);
+        assert.equal(await db.db.get("SELECT 1 FROM sqlite_master WHERE name = 'prices_legacy'"), undefined);
+        assert.equal((await db.db.get('SELECT COUNT(*) AS count FROM prices')).count, 3);
+    });
+});
@@ -0,0 +1,24 @@
+// test/GapFiller.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GapFiller from '../src/components/GapFiller.js';
+
+const makeConfig = (timeframe) => ({
+    trading: { assets: ['SOL'] },
+    ta: { timeframe },
+    collector: { backfill: { enabled: true, maxGapSeconds: 180, lookbackHours: 24, interval: '1m' } },
+});
+
+test('ticks further apart than maxGapSeconds are a gap', () => {
+    const filler = new GapFiller(makeConfig('5m'), null, null);
+    assert.equal(filler.isGap('SOL', '2025-01-01T10:00:10.000Z', '2025-01-01T10:03:00.000Z'), false);
+    assert.equal(filler.isGap('SOL', '2025-01-01T10:00:10.000Z', '2025-01-01T10:03:30.000Z'), true);
+});
+
+test('ticks that leave an analyzed candle empty are a gap, however close together', () => {
+    const filler = new GapFiller(makeConfig('1m'), null, null);
+    // 62 seconds apart, but the 10:01 candle has no ticks.
+    assert.equal(filler.isGap('SOL', '2025-01-01T10:00:59.000Z', '2025-01-01T10:02:01.000Z'), true);
+    // Adjacent candles.
+    assert.equal(filler.isGap('SOL', '2025-01-01T10:00:01.000Z', '2025-01-01T10:01:59.000Z'), false);
+});
@@ -0,0 +1,88 @@
+// test/HyperliquidSocket.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { WebSocketServer } from 'ws';
+import HyperliquidSocket from '../src/utils/HyperliquidSocket.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+const SUBSCRIPTIONS = [{ type: 'allMids' }, { type: 'trades', coin: 'SOL' }];
+
+// A local stand-in for the exchange's WebSocket endpoint. Each connection is recorded
+// with the time it opened and the subscriptions it sent.
+async function startServer() {
+    const wss = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    await once(wss, 'listening');
+    const connections = [];
+    wss.on('connection', (ws) => {
+        const connection = { ws, openedAt: Date.now(), subscriptions: [] };
+        connections.push(connection);
+        ws.on('message', (raw) => {
+            const message = JSON.parse(raw.toString());
+            if (message.method === 'subscribe') {
+                connection.subscriptions.push(message.subscription);
+                ws.send(JSON.stringify({ channel: 'subscriptionResponse', data: message }));
+            }
+            wss.emit('client-message', connection, message);
+        });
+    });
+    return { wss, connections, url: `ws://127.0.0.1:${wss.address().port}` };
+}
+
+// Resolves once the server holds `count` connections that have sent every subscription.
+async function waitForConnections(server, count) {
+    while (!(server.connections.length >= count && server.connections[count - 1].subscriptions.length === SUBSCRIPTIONS.length)) {
+        await once(server.wss, 'client-message');
+    }
+    return server.connections[count - 1];
+}
+
+test('reconnects with exponential backoff and resubscribes each time', async () => {
+    const server = await startServer();
+    const socket = new HyperliquidSocket({ url: server.url, pingIntervalMs: 30000, maxBackoffMs: 2000 });
+    SUBSCRIPTIONS.forEach(subscription => socket.subscribe(subscription));
+    try {
+        socket.connect();
+        const first = await waitForConnections(server, 1);
+        assert.deepEqual(first.subscriptions, SUBSCRIPTIONS);
+
+        first.ws.terminate();
+        const second = await waitForConnections(server, 2);
+        assert.deepEqual(second.subscriptions, SUBSCRIPTIONS);
+        assert.ok(second.openedAt - first.openedAt >= 950, `reconnected after ${second.openedAt - first.openedAt}ms, expected 1s`);
+
+        // No data arrived in between, so the delay doubles, up to maxBackoffMs.
+        second.ws.terminate();
+        const third = await waitForConnections(server, 3);
+        assert.deepEqual(third.subscriptions, SUBSCRIPTIONS);
+        assert.ok(third.openedAt - second.openedAt >= 1950, `reconnected after ${third.openedAt - second.openedAt}ms, expected 2s`);
+        assert.equal(socket.backoffMs, 2000);
+
+        // Data resets the backoff.
+        const received = once(socket, 'message');
+        third.ws.send(JSON.stringify({ channel: 'allMids', data: { mids: { SOL: '150.5' } } }));
+        assert.deepEqual(await received, ['allMids', { mids: { SOL: '150.5' } }]);
+        assert.equal(socket.backoffMs, 1000);
+    } finally {
+        socket.close();
+        server.wss.close();
+    }
+});
+
+test('close() stops reconnecting', async () => {
+    const server = await startServer();
+    const socket = new HyperliquidSocket({ url: server.url, pingIntervalMs: 30000, maxBackoffMs: 2000 });
+    SUBSCRIPTIONS.forEach(subscription => socket.subscribe(subscription));
+    try {
+        socket.connect();
+        await waitForConnections(server, 1);
+        socket.close();
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        assert.equal(server.connections.length, 1);
+        assert.equal(socket.isOpen, false);
+    } finally {
+        server.wss.close();
+    }
+});
@@ -0,0 +1,247 @@
+// test/Notifier.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import Notifier from '../src/components/Notifier.js';
+import DatabaseManager from '../src/database/DatabaseManager.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+// A local stand-in for the services the channels post to. Every request is recorded;
+// while `failures` is above zero, requests are answered with a 500.
+async function startReceiver() {
+    const receiver = { requests: [], failures: 0 };
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+            if (receiver.failures > 0) {
+                receiver.failures--;
+                res.writeHead(500);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true }));
+        });
+    });
+    receiver.server.listen(0, '127.0.0.1');
+    await once(receiver.server, 'listening');
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+    return receiver;
+}
+
+const makeConfig = (url, { channels, ...overrides } = {}) => ({
+    botName: 'Test Bot',
+    channels: channels ?? { webhook: { url: `${url}/webhook`, minSeverity: 'info' } },
+    dedupeWindowSeconds: 300,
+    maxPerMinute: 20,
+    retry: { maxAttempts: 3, baseDelaySeconds: 5, maxDelaySeconds: 600 },
+    flushIntervalSeconds: 5,
+    timeoutSeconds: 5,
+    ...overrides,
+});
+
+// A clock the test moves by hand.
+function makeClock(start = Date.UTC(2025, 0, 1)) {
+    let now = start;
+    return { now: () => new Date(now), advance: (ms) => { now += ms; } };
+}
+
+async function withSetup(run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-'));
+    const dbFile = path.join(dir, 'test.db');
+    const connect = async () => {
+        const db = new DatabaseManager(dbFile, { debug: false, trading: { asset: 'SOL' }, network: { name: 'mainnet' } });
+        await db.connect();
+        return db;
+    };
+    const receiver = await startReceiver();
+    const db = await connect();
+    try {
+        await run({ db, receiver, connect });
+    } finally {
+        await db.db.close();
+        receiver.server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const outbox = (db) => db.db.all('SELECT * FROM notification_outbox ORDER BY id ASC');
+
+test('each channel posts the alert in its own format', async () => {
+    await withSetup(async ({ db, receiver }) => {
+        const channels = {
+            discord: { webhookUrl: `${receiver.url}/discord` },
+            telegram: { botToken: 'TOKEN', chatId: '42', apiUrl: receiver.url },
+            slack: { webhookUrl: `${receiver.url}/slack`, minSeverity: 'warning' },
+            webhook: { url: `${receiver.url}/webhook`, headers: { 'X-Token': 'secret' } },
+        };
+        const clock = makeClock();
+        const notifier = new Notifier(makeConfig(receiver.url, { channels }), db, clock);
+        await notifier.send('Stop Hit', 'SOL closed at $150.', 'error');
+        await notifier.flush();
+
+        const byPath = Object.fromEntries(receiver.requests.map(r => [r.path, r]));
+        assert.deepEqual(byPath['/discord'].body, {
+            username: 'Test Bot',
+            embeds: [{ title: 'Stop Hit', description: 'SOL closed at $150.', color: 15158332, timestamp: clock.now().toISOString() }],
+        });
+        assert.deepEqual(byPath['/botTOKEN/sendMessage'].body, {
+            chat_id: '42',
+            text: '[ERROR] Stop Hit\nSOL closed at $150.\n— Test Bot',
+            disable_web_page_preview: true,
+        });
+        assert.deepEqual(byPath['/slack'].body, { username: 'Test Bot', text: ':red_circle: *Stop Hit*\nSOL closed at $150.' });
+        assert.deepEqual(byPath['/webhook'].body, {
+            bot: 'Test Bot', title: 'Stop Hit', message: 'SOL closed at $150.', severity: 'error', timestamp: clock.now().toISOString(),
+        });
+        assert.equal(byPath['/webhook'].headers['x-token'], 'secret');
+        assert.deepEqual(await outbox(db), []);
+
+        // Slack only takes warnings and up.
+        await notifier.send('Armed', 'Trigger armed.', 'info');
+        await notifier.flush();
+        assert.equal(receiver.requests.filter(r => r.path === '/slack').length, 1);
+        assert.equal(receiver.requests.length, 7);
+    });
+});
+
+test('repeats within the dedupe window are dropped', async () => {
+    await withSetup(async ({ db, receiver }) => {
+        const clock = makeClock();
+        const notifier = new Notifier(makeConfig(receiver.url), db, clock);
+        await notifier.send('Gap', 'Missing candles.', 'warning');
+        await notifier.send('Gap', 'Missing candles.', 'warning');
+        await notifier.send('Gap', 'Missing 3 candles.', 'warning', { dedupeKey: 'Gap' });
+        await notifier.send('Gap', 'Missing 4 candles.', 'warning', { dedupeKey: 'Gap' });
+        await notifier.flush();
+        assert.equal(receiver.requests.length, 2);
+
+        clock.advance(300 * 1000);
+        await notifier.send('Gap', 'Missing candles.', 'warning');
+        await notifier.flush();
+        assert.equal(receiver.requests.length, 3);
+    });
+});
+
+test('each channel delivers at most maxPerMinute alerts; the rest wait in the outbox', async () => {
+    await withSetup(async ({ db, receiver }) => {
+        const clock = makeClock();
+        const notifier = new Notifier(makeConfig(receiver.url, { maxPerMinute: 2 }), db, clock);
+        for (const n of [1, 2, 3]) {
+            await notifier.send(`Alert ${n}`, 'Details.');
+        }
+        await notifier.flush();
+        assert.deepEqual(receiver.requests.map(r => r.body.title), ['Alert 1', 'Alert 2']);
+        assert.deepEqual((await outbox(db)).map(r => r.title), ['Alert 3']);
+
+        clock.advance(30 * 1000);
+        await notifier.flush();
+        assert.equal(receiver.requests.length, 2);
+
+        clock.advance(31 * 1000);
+        await notifier.flush();
+        assert.deepEqual(receiver.requests.map(r => r.body.title), ['Alert 1', 'Alert 2', 'Alert 3']);
+        assert.deepEqual(await outbox(db), []);
+    });
+});
+
+test('failed deliveries are retried with exponential backoff, then given up', async () => {
+    await withSetup(async ({ db, receiver }) => {
+        const clock = makeClock();
+        const start = clock.now().getTime();
+        const notifier = new Notifier(makeConfig(receiver.url), db, clock);
+        receiver.failures = 1;
+        await notifier.send('Order Failed', 'Rejected.', 'error');
+        await notifier.flush();
+
+        let [row] = await outbox(db);
+        assert.equal(row.attempts, 1);
+        assert.equal(row.status, 'PENDING');
+        assert.match(row.last_error, /500/);
+        assert.equal(row.next_attempt_at, new Date(start + 5 * 1000).toISOString());
+
+        // Not due yet.
+        clock.advance(4 * 1000);
+        await notifier.flush();
+        assert.equal(receiver.requests.length, 1);
+
+        clock.advance(1000);
+        await notifier.flush();
+        assert.equal(receiver.requests.length, 2);
+        assert.deepEqual(await outbox(db), []);
+
+        // With every attempt failing, the delay doubles until maxAttempts.
+        receiver.failures = 3;
+        await notifier.send('Order Failed', 'Rejected again.', 'error');
+        await notifier.flush();
+        clock.advance(5 * 1000);
+        await notifier.flush();
+        [row] = await outbox(db);
+        assert.equal(row.attempts, 2);
+        assert.equal(row.next_attempt_at, new Date(clock.now().getTime() + 10 * 1000).toISOString());
+
+        clock.advance(10 * 1000);
+        await notifier.flush();
+        [row] = await outbox(db);
+        assert.equal(row.attempts, 3);
+        assert.equal(row.status, 'FAILED');
+        assert.equal(receiver.requests.length, 5);
+
+        clock.advance(3600 * 1000);
+        await notifier.flush();
+        assert.equal(receiver.requests.length, 5);
+    });
+});
+
+test('a Telegram reply with ok: false counts as a failed delivery', async () => {
+    await withSetup(async ({ db, receiver }) => {
+        const channels = { telegram: { botToken: 'TOKEN', chatId: '42', apiUrl: receiver.url } };
+        const notifier = new Notifier(makeConfig(receiver.url, { channels }), db, makeClock());
+        receiver.server.removeAllListeners('request');
+        receiver.server.on('request', (req, res) => {
+            req.resume();
+            req.on('end', () => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ ok: false, description: 'chat not found' }));
+            });
+        });
+        await notifier.send('Armed', 'Trigger armed.');
+        await notifier.flush();
+
+        const [row] = await outbox(db);
+        assert.equal(row.attempts, 1);
+        assert.match(row.last_error, /chat not found/);
+    });
+});
+
+test('alerts left in the outbox are delivered after a restart', async () => {
+    await withSetup(async ({ db, receiver, connect }) => {
+        const clock = makeClock();
+        receiver.failures = 1;
+        const before = new Notifier(makeConfig(receiver.url), db, clock);
+        await before.send('Bot Stopping', 'Shutting down.', 'warning');
+        await before.flush();
+        assert.equal((await outbox(db)).length, 1);
+
+        // A new process: a fresh connection and Notifier, after the retry is due.
+        clock.advance(5 * 1000);
+        const reopened = await connect();
+        try {
+            const after = new Notifier(makeConfig(receiver.url), reopened, clock);
+            await after.start();
+            after.stop();
+            assert.deepEqual(receiver.requests.map(r => r.body.title), ['Bot Stopping', 'Bot Stopping']);
+            assert.deepEqual(await outbox(reopened), []);
+        } finally {
+            await reopened.db.close();
+        }
+    });
+});
@@ -0,0 +1,93 @@
+// test/OrderManager.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OrderManager from '../src/components/OrderManager.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+const config = { orders: { maxAttempts: 4, slippageStep: 0.005, maxSlippage: 0.012, retryDelayMs: 0 } };
+
+const IOC_MISS = 'Order could not immediately match against any resting orders. asset=5';
+
+// The exchange's answers to an order, in the shapes the SDK returns (or throws).
+const filled = (totalSz, avgPx) => ({ status: 'ok', response: { data: { statuses: [{ filled: { totalSz: String(totalSz), avgPx: String(avgPx), oid: 1 } }] } } });
+const resting = (oid) => ({ status: 'ok', response: { data: { statuses: [{ resting: { oid } }] } } });
+const rejected = (error) => Object.assign(new Error('Order rejected'), { response: { response: { data: { statuses: [{ error }] } } } });
+
+// An OrderManager on a stubbed exchange that answers each order with the next reply.
+// A reply that is an Error is thrown, the way the SDK throws on a rejection.
+function makeOrderManager(replies, { orderStatus } = {}) {
+    const orders = [];
+    const cancels = [];
+    const exchangeClient = {
+        order: async ({ orders: [order] }) => {
+            orders.push(order);
+            const reply = replies.shift();
+            if (reply instanceof Error) throw reply;
+            return reply;
+        },
+        cancel: async ({ cancels: [cancel] }) => { cancels.push(cancel); },
+    };
+    const infoClient = { orderStatus: async () => orderStatus };
+    const dataCollector = { getCurrentPrice: async () => 100 };
+    const manager = new OrderManager(config, { exchangeClient, infoClient, dataCollector, userAddress: '0xABC' });
+    return { manager, orders, cancels };
+}
+
+const BUY = { asset: 'SOL', assetIndex: 5, szDecimals: 2, isBuy: true, size: 2, slippage: 0.005 };
+
+test('the unfilled rest of a partial fill is sent again at a wider price', async () => {
+    const { manager, orders } = makeOrderManager([filled(1.2, 100.4), filled(0.8, 100.9)]);
+    const result = await manager.fill(BUY);
+
+    assert.deepEqual(orders.map(o => [o.p, o.s, o.t.limit.tif]), [['100.5', '2.00', 'Ioc'], ['101', '0.80', 'Ioc']]);
+    assert.equal(result.filledSize, 2);
+    assert.ok(Math.abs(result.avgPx - (1.2 * 100.4 + 0.8 * 100.9) / 2) < 1e-9);
+    assert.equal(result.attempts, 2);
+    assert.equal(result.error, null);
+});
+
+test('the slippage widens by slippageStep up to maxSlippage, then the order gives up', async () => {
+    const { manager, orders } = makeOrderManager([rejected(IOC_MISS), rejected(IOC_MISS), rejected(IOC_MISS), rejected(IOC_MISS)]);
+    const result = await manager.fill({ ...BUY, isBuy: false, reduceOnly: true });
+
+    // 0.5%, 1%, then capped at 1.2% below the $100 mid.
+    assert.deepEqual(orders.map(o => o.p), ['99.5', '99', '98.8', '98.8']);
+    assert.ok(orders.every(o => o.r === true && o.b === false));
+    assert.equal(result.filledSize, 0);
+    assert.equal(result.avgPx, null);
+    assert.equal(result.attempts, 4);
+    assert.equal(result.error, `Only 0 of 2 filled after 4 attempt(s). Last: ${IOC_MISS}`);
+});
+
+test('an order left resting is cancelled and its fills are counted', async () => {
+    const orderStatus = { status: 'order', order: { status: 'canceled', order: { origSz: '2', sz: '0.5', limitPx: '100.5' } } };
+    const { manager, orders, cancels } = makeOrderManager([resting(7), filled(0.5, 100.8)], { orderStatus });
+    const result = await manager.fill(BUY);
+
+    assert.deepEqual(cancels, [{ a: 5, o: 7 }]);
+    // The resting order's 1.5 are counted at its limit price, and the rest is sent again.
+    assert.deepEqual(orders.map(o => o.s), ['2.00', '0.50']);
+    assert.equal(result.filledSize, 2);
+    assert.ok(Math.abs(result.avgPx - (1.5 * 100.5 + 0.5 * 100.8) / 2) < 1e-9);
+    assert.equal(result.error, null);
+});
+
+test('an order whose outcome is unknown is not sent again', async () => {
+    const { manager, orders } = makeOrderManager([new Error('Request timed out'), filled(2, 100.4)]);
+    const result = await manager.fill(BUY);
+
+    assert.equal(orders.length, 1);
+    assert.equal(result.filledSize, 0);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.error, 'Order outcome unknown: Request timed out');
+});
+
+test('a rejection other than a missed IOC is not retried', async () => {
+    const { manager, orders } = makeOrderManager([rejected('Insufficient margin to place order.'), filled(2, 100.4)]);
+    const result = await manager.fill(BUY);
+
+    assert.equal(orders.length, 1);
+    assert.equal(result.error, 'Insufficient margin to place order.');
+});
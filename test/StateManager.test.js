@@ -0,0 +1,48 @@
+// test/StateManager.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import StateManager from '../src/components/StateManager.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+// A database whose writes take longer the earlier they were issued, so unordered
+// writes would finish newest first. `saved` lists the states in the order they landed.
+function makeSlowDb() {
+    const saved = [];
+    let delay = 40;
+    return {
+        saved,
+        saveState: (asset, component, state) => new Promise(resolve => {
+            setTimeout(() => { saved.push(state); resolve(); }, delay);
+            delay = Math.max(delay - 10, 0);
+        }),
+    };
+}
+
+test('trigger and position changes are saved in the order they were made', async () => {
+    const db = makeSlowDb();
+    const state = new StateManager(db, null, 'SOL');
+
+    // The strategies cannot wait for these.
+    state.setTriggerArmed(true);
+    state.setTriggerArmed(true, 'short');
+    state.setTriggerArmed(false);
+    await state.setInPosition(true, { coin: 'SOL', szi: '2', entryPx: '100' });
+
+    assert.deepEqual(db.saved, [
+        { triggerArmed: true, shortTriggerArmed: false, position: null },
+        { triggerArmed: true, shortTriggerArmed: true, position: null },
+        { triggerArmed: false, shortTriggerArmed: true, position: null },
+        { triggerArmed: false, shortTriggerArmed: true, position: { coin: 'SOL', entryPx: 100, size: 2 } },
+    ]);
+});
+
+test('setTriggerArmed settles once the state is saved, and skips unchanged triggers', async () => {
+    const db = makeSlowDb();
+    const state = new StateManager(db, null, 'SOL');
+    await state.setTriggerArmed(true);
+    assert.equal(db.saved.length, 1);
+    await state.setTriggerArmed(true);
+    assert.equal(db.saved.length, 1);
+});
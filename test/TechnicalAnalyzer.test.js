@@ -0,0 +1,114 @@
+// test/TechnicalAnalyzer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TechnicalAnalyzer from '../src/components/TechnicalAnalyzer.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+const TA = {
+    timeframe: '5m',
+    confirmTimeframes: [],
+    fibLookback: 42,
+    wmaPeriod: 24,
+    fibSmoothing: 'ema',
+    atrPeriod: 14,
+    atrSmoothing: 'wilder',
+    rsiPeriod: 14,
+    bollingerPeriod: 20,
+    bollingerStdDev: 2,
+    fibEntryOffsetPct: 0.0001,
+    fibShortEntryOffsetPct: 0.0001,
+};
+
+const makeConfig = (ta = {}) => ({ debug: false, trading: { asset: 'SOL' }, ta: { ...TA, ...ta } });
+
+const MINUTE_MS = 60 * 1000;
+
+// A deterministic random walk of one tick per minute from `start`.
+function makeTicks(count, start = '2025-01-01T00:00:00.000Z') {
+    let seed = 42;
+    let price = 150;
+    const startMs = new Date(start).getTime();
+    return Array.from({ length: count }, (_, i) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        price *= 1 + (seed / 2147483648 - 0.5) * 0.004;
+        return { timestamp: new Date(startMs + i * MINUTE_MS).toISOString(), price };
+    });
+}
+
+const FIELDS = ['wma_fib_0', 'wma_fib_50', 'wma_fib_100', 'atr', 'rsi', 'bb_upper', 'bb_middle', 'bb_lower', 'vwap'];
+
+// Warms the analyzer from the newest ticks the way app.js does: doubling the slice until it is warm.
+function warmUpFromTail(analyzer, ticks) {
+    let limit = (analyzer.warmUpCandles() + 1) * 10;
+    while (true) {
+        const analysis = analyzer.warmUp(ticks.slice(-limit));
+        if (analyzer.isWarm() || limit >= ticks.length) return analysis;
+        limit *= 2;
+    }
+}
+
+test('warmUpCandles adds the convergence lookback of the longest recursive average', () => {
+    // requiredCandles() is max(42 + 24, 15, 15, 20) = 66; the ema fib lines have the longest period.
+    assert.equal(new TechnicalAnalyzer(makeConfig()).warmUpCandles(), 66 + 10 * 24);
+    // With sma fib lines and ATR, only the (Wilder) RSI is recursive.
+    assert.equal(new TechnicalAnalyzer(makeConfig({ fibSmoothing: 'sma', atrSmoothing: 'sma' })).warmUpCandles(), 66 + 10 * 14);
+});
+
+test('isWarm waits for the start of the UTC day the latest candle is in', () => {
+    const analyzer = new TechnicalAnalyzer(makeConfig({ timeframe: '1m' }));
+    const required = analyzer.warmUpCandles() + 1;
+    const ticks = makeTicks(24 * 60 + required + 60);
+    const dayStart = 24 * 60;
+
+    // Enough candles, but all from the same day: the VWAP would start mid-session.
+    analyzer.warmUp(ticks.slice(dayStart + 60, dayStart + 60 + required));
+    assert.equal(analyzer.isWarm(), false);
+
+    analyzer.warmUp(ticks.slice(dayStart - required, dayStart + 60 + required));
+    assert.equal(analyzer.isWarm(), true);
+});
+
+test('a bounded warm-up matches calculate() over the full history within the tolerance', () => {
+    const ticks = makeTicks(6 * 24 * 60);
+    const full = new TechnicalAnalyzer(makeConfig()).calculate(ticks);
+    const analyzer = new TechnicalAnalyzer(makeConfig());
+    const warmed = warmUpFromTail(analyzer, ticks);
+
+    assert.ok(analyzer.isWarm());
+    assert.ok(analyzer.tickCount < ticks.length, 'the warm-up should not need the whole history');
+    assert.equal(warmed.timestamp, full.timestamp);
+    for (const field of FIELDS) {
+        assert.ok(Math.abs(warmed[field] - full[field]) <= Math.abs(full[field]) * 1e-6, `${field}: ${warmed[field]}, expected ${full[field]}`);
+    }
+    assert.equal(warmed.vwap, full.vwap);
+});
+
+// The analysis fields compared between the incremental and the batch path.
+const pick = (analysis) => analysis && Object.fromEntries(
+    [...FIELDS, 'timestamp', 'open', 'high', 'low', 'close', 'fib_entry', 'fib_short_entry', 'gap_candles'].map(field => [field, analysis[field]]),
+);
+
+for (const [fibSmoothing, atrSmoothing] of [['sma', 'sma'], ['wma', 'ema'], ['ema', 'wilder'], ['wilder', 'sma']]) {
+    test(`warm-up plus updates equals calculate() on the same ticks (fib ${fibSmoothing}, atr ${atrSmoothing})`, () => {
+        const config = makeConfig({ fibSmoothing, atrSmoothing, confirmTimeframes: ['1h'] });
+        // Four days of ticks with a 20-minute hole, so the window also carries empty candles.
+        const ticks = makeTicks(4 * 24 * 60).filter((_, i) => i < 5000 || i >= 5020);
+        const analyzer = new TechnicalAnalyzer(config);
+        analyzer.warmUp(ticks.slice(0, 4500));
+
+        const checked = [];
+        for (const [i, tick] of ticks.slice(4500).entries()) {
+            const incremental = analyzer.update(tick, { writeDebug: false, logGaps: false });
+            const seen = 4500 + i + 1;
+            if (seen % 250 !== 0 && seen !== ticks.length) continue;
+            const batch = new TechnicalAnalyzer(config).calculate(ticks.slice(0, seen));
+            assert.deepEqual(pick(incremental), pick(batch), `after ${seen} ticks`);
+            assert.deepEqual(pick(incremental.timeframes['1h']), pick(batch.timeframes['1h']), `1h after ${seen} ticks`);
+            checked.push(incremental);
+        }
+        assert.ok(checked.some(analysis => analysis.gap_candles > 0), 'the hole should show up in some window');
+        assert.ok(checked.every(analysis => analysis.timeframes['1h'] !== null), 'the 1h analysis should be warm');
+    });
+}
@@ -0,0 +1,104 @@
+// test/TradeExecutor.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TradeExecutor from '../src/components/TradeExecutor.js';
+import RiskManager from '../src/components/RiskManager.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+// A throwaway key; the exchange is stubbed, so nothing is ever signed for real.
+process.env.HYPERLIQUID_WALLET_PRIVATE_KEY ??= '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const config = {
+    network: { name: 'testnet', apiUrl: 'http://127.0.0.1:9', wsUrl: null },
+    trading: { assets: [{ asset: 'SOL', slippage: 0.01 }], leverage: 20, slippage: 0.005 },
+    risk: { stopLossPercentage: 0.45, takeProfitPercentage: 0.9, initialStop: 'atr', atrStopMultiplier: 2 },
+    orders: { maxAttempts: 2, slippageStep: 0.005, maxSlippage: 0.03, retryDelayMs: 0 },
+};
+
+const eventSink = { logEvent: async () => {}, saveState: async () => {}, loadState: async () => null, deleteState: async () => {} };
+
+// A 2 SOL long from $100 at 20x, with no trigger orders resting on the exchange.
+const LIVE_POSITION = { coin: 'SOL', szi: '2', entryPx: '100', leverage: { value: 20 } };
+
+function makeExecutor() {
+    const executor = new TradeExecutor(config, eventSink, null);
+    const orders = [];
+    executor.infoClient = {
+        meta: async () => ({ universe: [{ name: 'SOL', szDecimals: 2 }] }),
+        frontendOpenOrders: async () => [],
+    };
+    executor.exchangeClient = {
+        order: async ({ orders: [order] }) => {
+            orders.push(order);
+            return { response: { data: { statuses: [{ resting: { oid: orders.length } }] } } };
+        },
+        cancel: async () => {},
+    };
+    return { executor, orders };
+}
+
+test('a missing stop is placed at the stop the RiskManager holds', async () => {
+    const riskManager = new RiskManager({ ...config, trading: { ...config.trading, asset: 'SOL' } }, eventSink);
+    await riskManager.startPosition('SOL', LIVE_POSITION, 96);
+    const { executor, orders } = makeExecutor();
+
+    const stop = await executor.reconcileProtectiveOrders('SOL', LIVE_POSITION, riskManager.getStopPrice('SOL'));
+    assert.equal(stop.triggerPx, '96');
+    assert.equal(orders[0].t.trigger.tpsl, 'sl');
+
+    // Once the fib trail is active, it is the trail's stop.
+    riskManager.positionState.SOL.fibStopActive = true;
+    riskManager.positionState.SOL.stopPrice = 101.5;
+    assert.equal(riskManager.getStopPrice('SOL'), 101.5);
+});
+
+test('without a price-based stop the missing stop is the fixed ROE stop', async () => {
+    const { executor, orders } = makeExecutor();
+    const stop = await executor.reconcileProtectiveOrders('SOL', LIVE_POSITION, null);
+    // 45% ROE at 20x is 2.25% below entry.
+    assert.equal(stop.triggerPx, '97.75');
+    assert.deepEqual(orders.map(o => o.t.trigger.tpsl), ['sl', 'tp']);
+});
+
+test("trigger orders are limited by the asset's own slippage", async () => {
+    const { executor, orders } = makeExecutor();
+    await executor.placeTriggerOrder('SOL', true, 2, 100, 'sl');
+    // The SOL entry overrides the shared 0.5% with 1%.
+    assert.equal(orders[0].p, '99');
+    assert.equal(orders[0].s, '2.00');
+    assert.equal(orders[0].r, true);
+});
+
+test('a close that leaves part of the position open is not reported as done', async () => {
+    const { executor } = makeExecutor();
+    // The position is 2 SOL before the close and 0.5 SOL after it.
+    const positions = [LIVE_POSITION, { ...LIVE_POSITION, szi: '0.5' }];
+    const info = { ...executor.infoClient, clearinghouseState: async () => ({ assetPositions: [{ position: positions.shift() }] }) };
+    const miss = Object.assign(new Error('Order rejected'), {
+        response: { response: { data: { statuses: [{ error: 'Order could not immediately match against any resting orders.' }] } } },
+    });
+    const replies = [{ status: 'ok', response: { data: { statuses: [{ filled: { totalSz: '1.5', avgPx: '99.5' } }] } } }, miss];
+    Object.assign(executor.orders, {
+        infoClient: info,
+        dataCollector: { getCurrentPrice: async () => 100 },
+        exchangeClient: { order: async () => { const reply = replies.shift(); if (reply instanceof Error) throw reply; return reply; } },
+    });
+    const ledger = [];
+    executor.db = {
+        closeTrade: async (asset, details) => { ledger.push(['closeTrade', details]); return null; },
+        updatePosition: async (...args) => { ledger.push(['updatePosition', args]); },
+        logEvent: async (type, details) => { ledger.push([type, details]); },
+    };
+
+    const result = await executor.closePosition('SOL', 2, 'FIB-STOP');
+    assert.equal(result.success, false);
+    assert.equal(result.size, 1.5);
+    assert.equal(result.remaining, 0.5);
+    assert.match(result.error, /Only 1.5 of 2 filled/);
+    // The ledger records the 1.5 that closed and keeps the rest open.
+    assert.deepEqual(ledger[0], ['closeTrade', { exitReason: 'FIB-STOP', exitPx: 99.5, size: 1.5 }]);
+    assert.deepEqual(ledger[1], ['updatePosition', ['SOL', 'LONG', 0.5, 100, 'OPEN']]);
+    assert.deepEqual(ledger.map(([type]) => type).slice(2), ['POSITION_REDUCED', 'CLOSE_INCOMPLETE']);
+});
@@ -0,0 +1,112 @@
+// test/indicators.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    averageAt, sma, wma, ema, wilder, movingAverage, trueRange, atr, rsi, rsiFromAverages,
+    bollingerAt, bollingerBands, vwapStep, vwap,
+} from '../src/utils/indicators.js';
+
+// Compares two series value by value; NaN only matches NaN.
+function assertSeries(actual, expected, tolerance = 1e-9) {
+    assert.equal(actual.length, expected.length, `length ${actual.length}, expected ${expected.length}`);
+    expected.forEach((value, i) => {
+        if (Number.isNaN(value)) {
+            assert.ok(Number.isNaN(actual[i]), `index ${i}: ${actual[i]}, expected NaN`);
+        } else {
+            assert.ok(Math.abs(actual[i] - value) <= tolerance, `index ${i}: ${actual[i]}, expected ${value}`);
+        }
+    });
+}
+
+const VALUES = [1, 2, 3, 4, 5];
+
+test('sma averages the last period values', () => {
+    assertSeries(sma(VALUES, 3), [NaN, NaN, 2, 3, 4]);
+});
+
+test('wma weighs the newest value by period', () => {
+    // (1*1 + 2*2 + 3*3) / 6, (2*1 + 3*2 + 4*3) / 6, (3*1 + 4*2 + 5*3) / 6
+    assertSeries(wma(VALUES, 3), [NaN, NaN, 14 / 6, 20 / 6, 26 / 6]);
+});
+
+test('ema is seeded with the sma and uses alpha = 2 / (period + 1)', () => {
+    // alpha 0.5: 2, 0.5*4 + 0.5*2, 0.5*5 + 0.5*3
+    assertSeries(ema(VALUES, 3), [NaN, NaN, 2, 3, 4]);
+    assertSeries(ema([2, 4, 6, 8, 12, 14], 4), [NaN, NaN, NaN, 5, 7.8, 10.28]);
+});
+
+test('wilder is seeded with the sma and uses alpha = 1 / period', () => {
+    // 2, (4 + 2*2) / 3, (5 + 2*8/3) / 3
+    assertSeries(wilder(VALUES, 3), [NaN, NaN, 2, 8 / 3, 31 / 9]);
+});
+
+test('recursive averages start after leading NaNs', () => {
+    assertSeries(movingAverage([NaN, 1, 2, 3, 4], 2, 'wilder'), [NaN, NaN, 1.5, 2.25, 3.125]);
+});
+
+test('averageAt rejects unknown methods', () => {
+    assert.throws(() => averageAt(VALUES, 2, 3, 'hull'), /Unknown smoothing method 'hull'/);
+});
+
+test('trueRange includes gaps from the previous close', () => {
+    assert.equal(trueRange({ high: 10, low: 8 }), 2);
+    assert.equal(trueRange({ high: 10, low: 8 }, { close: 12 }), 4);
+    assert.equal(trueRange({ high: 10, low: 8 }, { close: 5 }), 5);
+    assert.equal(trueRange({ high: 10, low: 8 }, { close: 9 }), 2);
+});
+
+test('atr smooths the true ranges with Wilder by default', () => {
+    const candles = [
+        { high: 10, low: 8, close: 9 }, // TR 2
+        { high: 11, low: 9, close: 10 }, // TR 2
+        { high: 14, low: 10, close: 13 }, // TR 4
+        { high: 13, low: 12, close: 12 }, // TR 1
+        { high: 12, low: 6, close: 7 }, // TR 6
+    ];
+    // Seed (2 + 2 + 4) / 3, then (1 + 2*8/3) / 3, then (6 + 2*19/9) / 3
+    assertSeries(atr(candles, 3), [NaN, NaN, 8 / 3, 19 / 9, 92 / 27]);
+    assertSeries(atr(candles, 3, 'sma'), [NaN, NaN, 8 / 3, 7 / 3, 11 / 3]);
+});
+
+test('rsi matches the classic 14-period reference series', () => {
+    // Wilder's RSI over the widely published 14-period example closes, with unrounded
+    // averages (tables that round the averages to two decimals show 70.53, 66.32, ...).
+    const closes = [
+        44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28,
+        46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21,
+    ];
+    const result = rsi(closes, 14);
+    assertSeries(result.slice(0, 14), new Array(14).fill(NaN));
+    assertSeries(result.slice(14), [70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88], 0.005);
+});
+
+test('rsiFromAverages handles flat and one-sided markets', () => {
+    assert.equal(rsiFromAverages(0, 0), 50);
+    assert.equal(rsiFromAverages(1, 0), 100);
+    assert.equal(rsiFromAverages(0, 1), 0);
+    assert.equal(rsiFromAverages(1, 1), 50);
+    assert.ok(Number.isNaN(rsiFromAverages(NaN, 1)));
+});
+
+test('bollinger bands use the population standard deviation', () => {
+    // Mean 5, population standard deviation 2
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+    assert.deepEqual(bollingerAt(values, 7, 8, 2), { middle: 5, upper: 9, lower: 1 });
+    const bands = bollingerBands(values, 8, 2);
+    assert.ok(Number.isNaN(bands[6].middle));
+    assert.deepEqual(bands[7], { middle: 5, upper: 9, lower: 1 });
+});
+
+test('vwap weighs the typical price by volume and restarts each UTC day', () => {
+    const candles = [
+        { timestamp: '2025-08-20T23:50:00.000Z', high: 12, low: 9, close: 9, volume: 1 }, // typical 10
+        { timestamp: '2025-08-20T23:55:00.000Z', high: 22, low: 19, close: 19, volume: 3 }, // typical 20
+        { timestamp: '2025-08-21T00:00:00.000Z', high: 32, low: 29, close: 29, volume: 2 }, // typical 30, new day
+        { timestamp: '2025-08-21T00:05:00.000Z', high: 42, low: 39, close: 39, volume: 2 }, // typical 40
+    ];
+    assertSeries(vwap(candles), [10, 17.5, 30, 35]);
+
+    const step = vwapStep(null, candles[0]);
+    assert.deepEqual(step, { day: '2025-08-20', priceVolume: 10, volume: 1, vwap: 10 });
+    assert.ok(Number.isNaN(vwapStep(null, { ...candles[0], volume: 0 }).vwap));
+});
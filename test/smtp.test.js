@@ -0,0 +1,129 @@
+// test/smtp.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { once } from 'events';
+import { sendMail } from '../src/notifications/smtp.js';
+import logger from '../src/utils/logger.js';
+
+logger.setQuiet(true);
+
+// A local SMTP server. `reply(command, socket)` answers each command line; the
+// defaults accept everything. With `greet: false` the server never says a word.
+async function startServer({ greet = true, reply = () => null } = {}) {
+    const server = { commands: [], sockets: [] };
+    server.net = net.createServer((socket) => {
+        server.sockets.push(socket);
+        socket.on('error', () => {});
+        if (!greet) return;
+        socket.write('220 localhost ready\r\n');
+        let buffer = '';
+        let inData = false;
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    }
+                    continue;
+                }
+                server.commands.push(line);
+                const custom = reply(line, socket);
+                if (custom !== null) {
+                    if (custom) socket.write(custom);
+                } else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line.startsWith('EHLO')) {
+                    socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+                } else if (line.startsWith('AUTH')) {
+                    socket.write('235 authenticated\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    server.net.listen(0, '127.0.0.1');
+    await once(server.net, 'listening');
+    server.port = server.net.address().port;
+    server.close = () => {
+        server.sockets.forEach(socket => socket.destroy());
+        server.net.close();
+    };
+    return server;
+}
+
+const MESSAGE = { host: '127.0.0.1', from: 'bot@example.com', to: ['me@example.com'], subject: 'Stop Hit', text: 'SOL closed.' };
+
+test('sends a message through the SMTP dialogue', async () => {
+    const server = await startServer();
+    try {
+        await sendMail({ ...MESSAGE, port: server.port, user: 'bot', pass: 'secret' });
+        const [socket] = server.sockets;
+        if (!socket.destroyed) await once(socket, 'close');
+        assert.deepEqual(server.commands, [
+            'EHLO localhost',
+            `AUTH PLAIN ${Buffer.from('\0bot\0secret').toString('base64')}`,
+            'MAIL FROM:<bot@example.com>',
+            'RCPT TO:<me@example.com>',
+            'DATA',
+            'QUIT',
+        ]);
+    } finally {
+        server.close();
+    }
+});
+
+test('a reset after QUIT does not surface as an unhandled error', async () => {
+    const server = await startServer({
+        reply: (line, socket) => {
+            if (line !== 'QUIT') return null;
+            socket.resetAndDestroy();
+            return '';
+        },
+    });
+    try {
+        await sendMail({ ...MESSAGE, port: server.port });
+        // An 'error' without a listener would fail the test run here.
+        await new Promise(resolve => setTimeout(resolve, 100));
+    } finally {
+        server.close();
+    }
+});
+
+test('a TLS connect to a silent server times out', async () => {
+    const server = await startServer({ greet: false });
+    try {
+        await assert.rejects(
+            sendMail({ ...MESSAGE, port: server.port, secure: true, timeoutMs: 200 }),
+            /SMTP connection timed out after 200 ms/,
+        );
+    } finally {
+        server.close();
+    }
+});
+
+test('a STARTTLS handshake that never completes times out', async () => {
+    const server = await startServer({
+        reply: (line) => {
+            if (line.startsWith('EHLO')) return '250-localhost\r\n250 STARTTLS\r\n';
+            return line === 'STARTTLS' ? '220 go ahead\r\n' : null;
+        },
+    });
+    try {
+        await assert.rejects(
+            sendMail({ ...MESSAGE, port: server.port, timeoutMs: 200 }),
+            /SMTP STARTTLS handshake timed out after 200 ms/,
+        );
+    } finally {
+        server.close();
+    }
+});
@@ -1,33 +1,83 @@
 // trigger_trade.js
-import fs from 'fs/promises';
+import 'dotenv/config';
+import axios from 'axios';
 import logger from './src/utils/logger.js';
+import config, { args } from './src/config.js';
+import { getAssetConfig } from './src/utils/helpers.js';
 
-const overrideFile = 'manual_override.json';
+/**
+ * Command-line client for the bot's control API. The bot must be running with
+ * CONTROL_API_TOKEN set; this script reads the same token from .env.
+ *
+ * Usage:
+ *   node trigger_trade.js status
+ *   node trigger_trade.js buy [ASSET]             # force a long (ASSET defaults to the first configured asset)
+ *   node trigger_trade.js sell [ASSET]            # force a short
+ *   node trigger_trade.js close [ASSET]           # close the open position
+ *   node trigger_trade.js pause [ASSET]           # stop new entries (all assets if omitted)
+ *   node trigger_trade.js resume [ASSET]
+ *   node trigger_trade.js arm [ASSET] [long|short]
+ *   node trigger_trade.js disarm [ASSET] [long|short]
+ *   node trigger_trade.js stop ASSET PRICE        # move the stop of the open position
+ *   node trigger_trade.js breaker                 # circuit breaker state
+ *   node trigger_trade.js kill [flatten]          # engage the kill switch, optionally closing every position
+ *   node trigger_trade.js reset                   # release the kill switch / tripped circuit breaker
+ */
+const USAGE = "Usage: node trigger_trade.js [status|buy|sell|close|pause|resume|arm|disarm|stop|breaker|kill|reset] [ASSET|flatten] [long|short|PRICE]";
 
-async function manageTrigger() {
-    const command = process.argv[2]; // Get command line argument (e.g., 'buy' or 'clear')
+function buildRequest(command, asset, extra) {
+    const defaultAsset = asset || getAssetConfig(config).trading.asset;
+    switch (command) {
+        case 'status': return ['get', '/status'];
+        case 'buy':
+        case 'sell':
+        case 'close': return ['post', `/${command}`, { asset: defaultAsset }];
+        case 'pause':
+        case 'resume': return ['post', `/${command}`, asset ? { asset } : {}];
+        case 'arm':
+        case 'disarm': return ['post', '/trigger', { asset: defaultAsset, side: extra || 'long', armed: command === 'arm' }];
+        case 'stop':
+            if (!asset || !extra) return null;
+            return ['post', '/stop', { asset, price: Number(extra) }];
+        case 'breaker': return ['get', '/breaker'];
+        case 'kill': return ['post', '/kill', asset === 'flatten' ? { flatten: true } : {}];
+        case 'reset': return ['post', '/breaker/reset'];
+        default: return null;
+    }
+}
+
+async function sendCommand() {
+    const [command, asset, extra] = args;
+    const request = buildRequest(command, asset, extra);
+    if (!request) {
+        logger.error("Invalid command.");
+        console.log(USAGE);
+        process.exit(1);
+    }
+    if (!config.control.token) {
+        logger.error("CONTROL_API_TOKEN is not set in the .env file.");
+        process.exit(1);
+    }
 
-    if (command === 'buy') {
-        logger.warn("Injecting a manual 'BUY' signal via override file...");
-        const overrideData = { signal: "buy", timestamp: new Date().toISOString() };
-        await fs.writeFile(overrideFile, JSON.stringify(overrideData, null, 2));
-        logger.success(`'${overrideFile}' created. Bot will trigger a buy on the next cycle.`);
-    } else if (command === 'clear') {
-        logger.info("Clearing manual override file...");
-        try {
-            await fs.unlink(overrideFile);
-            logger.success(`'${overrideFile}' deleted.`);
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                logger.warn(`'${overrideFile}' does not exist. Nothing to clear.`);
-            } else {
-                logger.error(`Error clearing file: ${error.message}`);
-            }
+    const [method, path, body] = request;
+    try {
+        const response = await axios({
+            method,
+            url: `http://${config.control.host}:${config.control.port}${path}`,
+            data: body,
+            headers: { Authorization: `Bearer ${config.control.token}` },
+            timeout: 30000,
+        });
+        logger.success(`${command} OK`);
+        console.log(JSON.stringify(response.data.result, null, 2));
+    } catch (error) {
+        if (error.response) {
+            logger.error(`${command} failed (${error.response.status}): ${error.response.data.error}`);
+        } else {
+            logger.error(`Could not reach the bot's control API: ${error.message}. Is the bot running?`);
         }
-    } else {
-        logger.error("Invalid command. Use 'buy' or 'clear'.");
-        console.log("Usage: node trigger_trade.js [buy|clear]");
+        process.exit(1);
     }
 }
 
-manageTrigger();
\ No newline at end of file
+sendCommand();